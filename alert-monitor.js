@@ -0,0 +1,80 @@
+class AlertMonitor {
+    /**
+     * Checks each new analysis against the alert rules. Every area keeps its own previous
+     * result and its own cooldown per rule, so a busy chart can't silence the others.
+     * @param {Function} getConfig - Returns the current alert settings ({ rules: { decisionFlip, confidence, newScenario } })
+     */
+    constructor(getConfig) {
+        this.getConfig = getConfig;
+        this.lastAnalysis = new Map();
+        this.lastFired = new Map();
+    }
+
+    /**
+     * Compare an analysis with the area's previous one and return the alerts that fire
+     * @param {Object} area - Watchlist entry ({ id, name })
+     * @param {Object} analysis - Validated analysis
+     * @param {number} [now] - Current time in ms
+     * @returns {Array<Object>} - { rule, title, body } per fired alert
+     */
+    evaluate(area, analysis, now = Date.now()) {
+        const { rules } = this.getConfig();
+        const previous = this.lastAnalysis.get(area.id) || null;
+        this.lastAnalysis.set(area.id, analysis);
+
+        const candidates = [];
+        const isTrade = analysis.decision === 'Long' || analysis.decision === 'Short';
+        const previousDecision = previous ? previous.decision : 'Wait';
+
+        if (rules.decisionFlip.enabled && isTrade && analysis.decision !== previousDecision) {
+            candidates.push({
+                rule: 'decisionFlip',
+                title: `${area.name}: ${previousDecision} → ${analysis.decision}`,
+                body: `Confidence ${analysis.confidence} · ${analysis.reason}`
+            });
+        }
+
+        if (rules.confidence.enabled && isTrade && analysis.confidence >= rules.confidence.min) {
+            candidates.push({
+                rule: 'confidence',
+                title: `${area.name}: ${analysis.decision} at ${analysis.confidence}`,
+                body: analysis.reason
+            });
+        }
+
+        if (rules.newScenario.enabled && previous) {
+            const known = new Set(previous.scenarios.map(scenario => this.scenarioKey(scenario)));
+            const added = analysis.scenarios.filter(scenario => !known.has(this.scenarioKey(scenario)));
+            if (added.length > 0) {
+                candidates.push({
+                    rule: 'newScenario',
+                    title: `${area.name}: new ${added[0].side} scenario`,
+                    body: `Entry ${added[0].entry} · Stop ${added[0].stop} · ${added[0].conditions}`
+                });
+            }
+        }
+
+        return candidates.filter(alert => {
+            const key = `${area.id}:${alert.rule}`;
+            const cooldownMs = rules[alert.rule].cooldownSec * 1000;
+            if (now - (this.lastFired.get(key) || -Infinity) < cooldownMs) {
+                return false;
+            }
+            this.lastFired.set(key, now);
+            return true;
+        });
+    }
+
+    scenarioKey(scenario) {
+        return `${scenario.side}:${scenario.entry}`;
+    }
+
+    /**
+     * Forget previous results so the next analysis of every area compares against Wait
+     */
+    reset() {
+        this.lastAnalysis.clear();
+    }
+}
+
+module.exports = AlertMonitor;
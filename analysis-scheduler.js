@@ -0,0 +1,94 @@
+const TICK_MS = 1000;
+
+class AnalysisScheduler {
+    /**
+     * Shared scheduler that runs one analysis cycle per capture area on that area's interval
+     * @param {Object} options
+     * @param {Function} options.getAreas - Returns the areas to schedule ({ id, intervalMs })
+     * @param {Function} options.runCycle - async (area) => void, runs one capture+analyze cycle
+     */
+    constructor({ getAreas, runCycle }) {
+        this.getAreas = getAreas;
+        this.runCycle = runCycle;
+        this.timer = null;
+        this.nextRunAt = new Map();
+        this.inFlight = new Set();
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Start ticking; every area gets a first cycle right away
+     */
+    start() {
+        if (this.timer) return;
+
+        this.nextRunAt.clear();
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.nextRunAt.clear();
+    }
+
+    /**
+     * Run an area on the next tick regardless of its interval
+     * @param {string} areaId - Area id
+     */
+    runNow(areaId) {
+        this.nextRunAt.set(areaId, 0);
+        if (this.timer) {
+            this.tick();
+        }
+    }
+
+    /**
+     * Run one cycle for an area right away, outside its schedule
+     * @param {Object} area - Area to run
+     * @param {Object} [options] - Passed to runCycle
+     * @returns {boolean} - False when the area already has a cycle in flight
+     */
+    runOnce(area, options) {
+        if (this.inFlight.has(area.id)) return false;
+
+        this.inFlight.add(area.id);
+        if (this.timer) {
+            this.nextRunAt.set(area.id, Date.now() + area.intervalMs);
+        }
+
+        Promise.resolve()
+            .then(() => this.runCycle(area, options))
+            .catch(error => console.error(`[Scheduler] Manual cycle failed for ${area.id}:`, error))
+            .finally(() => this.inFlight.delete(area.id));
+        return true;
+    }
+
+    tick() {
+        const now = Date.now();
+
+        for (const area of this.getAreas()) {
+            // An area never has two cycles in flight; a slow one simply delays the next
+            if (this.inFlight.has(area.id)) continue;
+
+            const dueAt = this.nextRunAt.has(area.id) ? this.nextRunAt.get(area.id) : now;
+            if (now < dueAt) continue;
+
+            this.nextRunAt.set(area.id, now + area.intervalMs);
+            this.inFlight.add(area.id);
+
+            Promise.resolve()
+                .then(() => this.runCycle(area))
+                .catch(error => console.error(`[Scheduler] Cycle failed for ${area.id}:`, error))
+                .finally(() => this.inFlight.delete(area.id));
+        }
+    }
+}
+
+module.exports = AnalysisScheduler;
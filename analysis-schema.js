@@ -0,0 +1,103 @@
+const { z } = require('zod');
+
+const Side = z.enum(['Long', 'Short']);
+const Bias = z.enum(['Long', 'Short', 'Neutral']);
+// A new object per use keeps $refs out of the JSON schema sent to providers
+const axisLabel = () => z.object({
+    price: z.number(),
+    y: z.number().min(0).max(1).describe('0-1 (0 = top edge of the image, 1 = bottom edge)')
+});
+
+/**
+ * The one definition of an analysis result. It is sent to providers as their native
+ * structured output schema, rendered into the prompt and used to validate every reply.
+ */
+const AnalysisSchema = z.object({
+    decision: z.enum(['Long', 'Short', 'Wait']),
+    confidence: z.number().int().min(1).max(100).describe('1-100'),
+    reason: z.string().describe('string (max 80 chars)'),
+    scenarios: z.array(z.object({
+        side: Side,
+        entry: z.string(),
+        stop: z.string(),
+        targets: z.array(z.string()),
+        conditions: z.string().describe('string (max 60 chars)'),
+        invalidate: z.string().describe('string (max 40 chars)')
+    })),
+    levels: z.object({
+        support: z.array(z.string()),
+        resistance: z.array(z.string())
+    }),
+    // Only filled for multi-timeframe groups; single charts may omit it
+    timeframes: z.array(z.object({
+        timeframe: z.string().describe('chart label'),
+        bias: Bias,
+        note: z.string().describe('string (max 40 chars)')
+    })).default([]),
+    // Two price labels read off the (first) chart's price axis; the chart overlay maps prices to pixels with them
+    price_axis: z.object({
+        top: axisLabel(),
+        bottom: axisLabel()
+    }).nullable().default(null),
+    // The current (last traded) price, used to follow up on paper trades
+    last_price: z.number().describe('number (current price)').nullable().default(null)
+}).describe('Trading decision for the chart screenshot');
+
+/**
+ * Render a schema as the compact JSON-like template used in prompts
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @param {number} [indent] - Current indentation level
+ * @returns {string} - Template text
+ */
+function describeSchema(schema = AnalysisSchema, indent = 0) {
+    const pad = '  '.repeat(indent);
+    const def = schema._def;
+
+    switch (def.typeName) {
+        case 'ZodObject': {
+            const fields = Object.entries(schema.shape)
+                .map(([key, value]) => `${pad}  "${key}": ${describeSchema(value, indent + 1)}`);
+            return `{\n${fields.join(',\n')}\n${pad}}`;
+        }
+        case 'ZodArray': {
+            const element = describeSchema(def.type, indent + 1);
+            return element.startsWith('{') ? `[\n${pad}  ${element}\n${pad}]` : `[${element}]`;
+        }
+        case 'ZodDefault':
+            return describeSchema(def.innerType, indent);
+        case 'ZodNullable':
+            return `${describeSchema(def.innerType, indent)} | null`;
+        case 'ZodEnum':
+            return def.values.map(value => `"${value}"`).join(' | ');
+        case 'ZodNumber':
+            return schema.description || 'number';
+        case 'ZodString':
+            return schema.description ? `"${schema.description}"` : '"string"';
+        default:
+            return '"string"';
+    }
+}
+
+/**
+ * Validate parsed model output against the analysis schema
+ * @param {*} data - Parsed JSON
+ * @returns {Object} - { success: true, data } or { success: false, error: string }
+ */
+function validateAnalysis(data) {
+    const result = AnalysisSchema.safeParse(data);
+    if (result.success) {
+        return { success: true, data: result.data };
+    }
+
+    const error = result.error.issues
+        .slice(0, 5)
+        .map(issue => `${issue.path.join('.') || 'response'}: ${issue.message}`)
+        .join('; ');
+    return { success: false, error };
+}
+
+module.exports = {
+    AnalysisSchema,
+    describeSchema,
+    validateAnalysis
+};
@@ -0,0 +1,182 @@
+const screenshot = require('screenshot-desktop');
+const sharp = require('sharp');
+
+const LABEL_HEIGHT = 22;
+
+class CaptureService {
+    /**
+     * @param {Electron.Screen} screenModule - Electron screen module (usable once the app is ready)
+     */
+    constructor(screenModule) {
+        this.screen = screenModule;
+    }
+
+    /**
+     * Find the display that contains a capture area
+     * @param {Object} area - Area in global DIP coordinates ({ x, y, width, height })
+     * @returns {Electron.Display} - The single display containing the area
+     */
+    getDisplayForArea(area) {
+        const displays = this.screen.getAllDisplays();
+        const touched = displays.filter(display => this.intersects(area, display.bounds));
+
+        if (touched.length === 0) {
+            throw new Error('Capture area is outside of every connected display');
+        }
+        if (touched.length > 1) {
+            throw new Error('Capture area spans multiple displays - select an area on a single monitor');
+        }
+
+        return touched[0];
+    }
+
+    intersects(area, bounds) {
+        return area.x < bounds.x + bounds.width &&
+            area.x + area.width > bounds.x &&
+            area.y < bounds.y + bounds.height &&
+            area.y + area.height > bounds.y;
+    }
+
+    /**
+     * Match an Electron display to the screenshot-desktop source that captures it.
+     * Linux and Windows report each source's position in physical pixels, macOS only
+     * reports the primary flag with the remaining displays in enumeration order.
+     * @param {Electron.Display} display - Target display
+     * @returns {Promise<string|number|null>} - screenshot-desktop screen id, null for the default screen
+     */
+    async resolveScreenSource(display) {
+        let sources;
+        try {
+            sources = await screenshot.listDisplays();
+        } catch (error) {
+            console.error('[Capture] Failed to list displays:', error);
+            sources = [];
+        }
+
+        const primaryDisplay = this.screen.getPrimaryDisplay();
+
+        if (sources.length <= 1) {
+            if (display.id !== primaryDisplay.id && this.screen.getAllDisplays().length > 1) {
+                throw new Error('Unable to find a screenshot source for the selected display');
+            }
+            return null;
+        }
+
+        const positioned = sources.filter(source => this.sourceOrigin(source) !== null);
+        if (positioned.length === sources.length) {
+            const scale = display.scaleFactor || 1;
+            const match = sources.find(source => {
+                const origin = this.sourceOrigin(source);
+                return (origin.x === display.bounds.x && origin.y === display.bounds.y) ||
+                    (Math.abs(origin.x - display.bounds.x * scale) <= 1 &&
+                        Math.abs(origin.y - display.bounds.y * scale) <= 1);
+            });
+            if (match) {
+                return match.id;
+            }
+        }
+
+        // Fall back to enumeration order: primary first, then the others as Electron lists them
+        if (display.id === primaryDisplay.id) {
+            const primarySource = sources.find(source => source.primary) || sources[0];
+            return primarySource.id;
+        }
+
+        const secondaryDisplays = this.screen.getAllDisplays().filter(d => d.id !== primaryDisplay.id);
+        const secondarySources = sources.filter(source => !source.primary);
+        const index = secondaryDisplays.findIndex(d => d.id === display.id);
+        if (index === -1 || !secondarySources[index]) {
+            throw new Error('Unable to find a screenshot source for the selected display');
+        }
+        return secondarySources[index].id;
+    }
+
+    sourceOrigin(source) {
+        const x = source.left !== undefined ? source.left : source.offsetX;
+        const y = source.top !== undefined ? source.top : source.offsetY;
+        if (x === undefined || y === undefined) {
+            return null;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Capture and crop an area from the display it lives on
+     * @param {Object} area - Area in global DIP coordinates
+     * @returns {Promise<Object>} - { buffer, cropArea, displayId }
+     */
+    async capture(area) {
+        const display = this.getDisplayForArea(area);
+        const screenId = await this.resolveScreenSource(display);
+
+        const img = await screenshot(screenId === null ? { format: 'png' } : { format: 'png', screen: screenId });
+
+        // Derive the scale from the captured image rather than trusting scaleFactor alone,
+        // so mixed-DPI setups crop the same region the user dragged over
+        const metadata = await sharp(img).metadata();
+        const scaleX = metadata.width / display.bounds.width || display.scaleFactor || 1;
+        const scaleY = metadata.height / display.bounds.height || display.scaleFactor || 1;
+
+        const left = Math.max(0, Math.round((area.x - display.bounds.x) * scaleX));
+        const top = Math.max(0, Math.round((area.y - display.bounds.y) * scaleY));
+        const cropArea = {
+            left,
+            top,
+            width: Math.min(Math.round(area.width * scaleX), metadata.width - left),
+            height: Math.min(Math.round(area.height * scaleY), metadata.height - top)
+        };
+
+        const buffer = await sharp(img)
+            .extract(cropArea)
+            .png()
+            .toBuffer();
+
+        return {
+            buffer,
+            cropArea,
+            displayId: display.id
+        };
+    }
+
+    /**
+     * Stack the captures of a multi-timeframe group into one labeled image for the
+     * dashboard, history and webhooks
+     * @param {Array<Object>} frames - { label, buffer } per capture, top to bottom
+     * @returns {Promise<Buffer>} - PNG
+     */
+    async compose(frames) {
+        const parts = await Promise.all(frames.map(async frame => {
+            const metadata = await sharp(frame.buffer).metadata();
+            return { ...frame, width: metadata.width, height: metadata.height };
+        }));
+        const width = Math.max(...parts.map(part => part.width));
+        const height = parts.reduce((sum, part) => sum + LABEL_HEIGHT + part.height, 0);
+
+        const layers = [];
+        let top = 0;
+        parts.forEach(part => {
+            layers.push({ input: this.renderLabel(part.label, width), left: 0, top });
+            layers.push({ input: part.buffer, left: 0, top: top + LABEL_HEIGHT });
+            top += LABEL_HEIGHT + part.height;
+        });
+
+        return sharp({
+            create: { width, height, channels: 3, background: '#1e1e1e' }
+        })
+            .composite(layers)
+            .png()
+            .toBuffer();
+    }
+
+    renderLabel(label, width) {
+        const text = String(label).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+        return Buffer.from(
+            `<svg width="${width}" height="${LABEL_HEIGHT}" xmlns="http://www.w3.org/2000/svg">` +
+            `<rect width="100%" height="100%" fill="#1e1e1e"/>` +
+            `<text x="8" y="16" font-family="sans-serif" font-size="13" fill="#e0e0e0">${text}</text>` +
+            '</svg>'
+        );
+    }
+}
+
+module.exports = CaptureService;
@@ -0,0 +1,72 @@
+// Content protection keeps the app's windows out of screenshots here; elsewhere they are hidden while capturing
+const CAPTURE_EXCLUDED_PLATFORMS = ['darwin', 'win32'];
+const HIDE_SETTLE_MS = 60;
+
+class CaptureShield {
+    /**
+     * Keeps SnapScalp's own always-on-top windows (chart overlays, HUD) out of the captures, so the
+     * model never sees its own lines or advice. Each window owner registers its windows once.
+     */
+    constructor() {
+        this.sources = [];
+        this.hidden = new Set();
+        this.captures = 0;
+    }
+
+    /**
+     * @param {Function} getWindows - () => BrowserWindows to keep out of captures
+     */
+    register(getWindows) {
+        this.sources.push(getWindows);
+    }
+
+    /**
+     * Show a window that just finished loading, or once the captures running now are done
+     * @param {BrowserWindow} window - Window to show without focusing it
+     */
+    show(window) {
+        if (this.captures > 0) {
+            this.hidden.add(window);
+        } else {
+            window.showInactive();
+        }
+    }
+
+    /**
+     * Run a capture with the registered windows out of the picture
+     * @param {Function} capture - async () => result
+     * @returns {Promise<*>} - The capture's result
+     */
+    async whileHidden(capture) {
+        if (CAPTURE_EXCLUDED_PLATFORMS.includes(process.platform)) {
+            return capture();
+        }
+        const visible = this.sources
+            .flatMap(getWindows => getWindows())
+            .filter(window => !window.isDestroyed() && window.isVisible());
+        if (visible.length === 0 && this.captures === 0) {
+            return capture();
+        }
+
+        // Overlapping captures of several areas share one hide; the last one to finish shows them again
+        this.captures++;
+        visible.forEach(window => {
+            this.hidden.add(window);
+            window.hide();
+        });
+        try {
+            await new Promise(resolve => setTimeout(resolve, HIDE_SETTLE_MS));
+            return await capture();
+        } finally {
+            this.captures--;
+            if (this.captures === 0) {
+                this.hidden.forEach(window => {
+                    if (!window.isDestroyed()) window.showInactive();
+                });
+                this.hidden.clear();
+            }
+        }
+    }
+}
+
+module.exports = CaptureShield;
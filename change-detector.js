@@ -0,0 +1,79 @@
+const sharp = require('sharp');
+
+// Frames are compared as small grayscale thumbnails so compression noise and
+// sub-pixel rendering differences don't count as chart movement
+const FINGERPRINT_WIDTH = 96;
+const FINGERPRINT_HEIGHT = 64;
+const PIXEL_DELTA = 24;
+
+class ChangeDetector {
+    constructor() {
+        this.lastAnalyzed = new Map();
+    }
+
+    /**
+     * Build a comparable fingerprint from a cropped capture
+     * @param {Buffer} buffer - PNG buffer of the cropped chart
+     * @returns {Promise<Buffer>} - Raw grayscale pixels
+     */
+    async fingerprint(buffer) {
+        return sharp(buffer)
+            .resize(FINGERPRINT_WIDTH, FINGERPRINT_HEIGHT, { fit: 'fill' })
+            .grayscale()
+            .raw()
+            .toBuffer();
+    }
+
+    /**
+     * Compare a capture against the last frame that was actually analyzed for the area
+     * @param {string} areaId - Capture area id
+     * @param {Buffer} buffer - PNG buffer of the cropped chart
+     * @param {number} threshold - Minimum share of changed pixels, in percent
+     * @returns {Promise<Object>} - { changed, changePercent, fingerprint }
+     */
+    async compare(areaId, buffer, threshold) {
+        const fingerprint = await this.fingerprint(buffer);
+        const previous = this.lastAnalyzed.get(areaId);
+
+        if (!previous || !(threshold > 0)) {
+            return { changed: true, changePercent: null, fingerprint };
+        }
+
+        let changedPixels = 0;
+        for (let i = 0; i < fingerprint.length; i++) {
+            if (Math.abs(fingerprint[i] - previous[i]) > PIXEL_DELTA) {
+                changedPixels++;
+            }
+        }
+
+        const changePercent = (changedPixels / fingerprint.length) * 100;
+        return {
+            changed: changePercent >= threshold,
+            changePercent,
+            fingerprint
+        };
+    }
+
+    /**
+     * Remember the fingerprint of a frame that was sent for analysis
+     * @param {string} areaId - Capture area id
+     * @param {Buffer} fingerprint - Fingerprint returned by compare()
+     */
+    commit(areaId, fingerprint) {
+        this.lastAnalyzed.set(areaId, fingerprint);
+    }
+
+    /**
+     * Forget stored frames so the next capture is always analyzed
+     * @param {string} [areaId] - Area to reset; all areas when omitted
+     */
+    reset(areaId) {
+        if (areaId) {
+            this.lastAnalyzed.delete(areaId);
+        } else {
+            this.lastAnalyzed.clear();
+        }
+    }
+}
+
+module.exports = ChangeDetector;
@@ -0,0 +1,155 @@
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { parsePrice } = require('./risk-calculator');
+
+class ChartOverlay {
+    /**
+     * Transparent, click-through windows laid exactly over the capture areas that draw the
+     * latest levels and trade plan as horizontal lines. Prices are mapped to pixels with the
+     * price_axis labels the model read off the chart.
+     * @param {CaptureShield} shield - Keeps the overlays out of the captures
+     */
+    constructor(shield) {
+        this.enabled = false;
+        this.windows = new Map();
+        this.latest = new Map();
+        this.shield = shield;
+        this.shield.register(() => [...this.windows.values()]);
+    }
+
+    /**
+     * @param {boolean} enabled - Show or close the overlays
+     * @param {Array<Object>} areas - Areas that get an overlay when enabled
+     */
+    setEnabled(enabled, areas) {
+        this.enabled = enabled;
+        this.sync(areas);
+    }
+
+    /**
+     * Open, move and close overlay windows so there is one per area
+     * @param {Array<Object>} areas - Areas with a rect; the rest are closed
+     */
+    sync(areas) {
+        const wanted = this.enabled ? areas.filter(area => area.rect) : [];
+        const ids = new Set(wanted.map(area => area.id));
+
+        this.windows.forEach((window, id) => {
+            if (!ids.has(id)) {
+                if (!window.isDestroyed()) window.close();
+                this.windows.delete(id);
+            }
+        });
+
+        wanted.forEach(area => {
+            const window = this.windows.get(area.id);
+            if (window && !window.isDestroyed()) {
+                window.setBounds(this.toBounds(area.rect));
+            } else {
+                this.windows.set(area.id, this.createWindow(area));
+            }
+        });
+    }
+
+    createWindow(area) {
+        const window = new BrowserWindow({
+            ...this.toBounds(area.rect),
+            frame: false,
+            transparent: true,
+            alwaysOnTop: true,
+            skipTaskbar: true,
+            resizable: false,
+            movable: false,
+            focusable: false,
+            hasShadow: false,
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js')
+            }
+        });
+
+        // Clicks and scrolls go through to the trading platform underneath
+        window.setIgnoreMouseEvents(true);
+        window.setAlwaysOnTop(true, 'screen-saver');
+        window.setContentProtection(true);
+        window.loadFile('chart-overlay.html');
+        window.webContents.once('did-finish-load', () => {
+            this.send(area.id);
+            this.shield.show(window);
+        });
+
+        return window;
+    }
+
+    toBounds(rect) {
+        return {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.max(1, Math.round(rect.width)),
+            height: Math.max(1, Math.round(rect.height))
+        };
+    }
+
+    /**
+     * Redraw an area's overlay with a new result
+     * @param {Object} area - Watchlist entry
+     * @param {Object} analysis - Validated analysis
+     */
+    update(area, analysis) {
+        this.latest.set(area.id, { areaName: area.name, lines: this.buildLines(analysis) });
+        this.send(area.id);
+    }
+
+    send(areaId) {
+        const window = this.windows.get(areaId);
+        if (window && !window.isDestroyed() && !window.webContents.isLoading()) {
+            window.webContents.send('chart-overlay-update', this.latest.get(areaId) || { lines: [] });
+        }
+    }
+
+    /**
+     * Turn levels and the plan for the current decision into lines at image heights
+     * @param {Object} analysis - Validated analysis
+     * @returns {Array<Object>} - { kind, label, y } with y from 0 (top) to 1 (bottom); off-chart prices are dropped
+     */
+    buildLines(analysis) {
+        const axis = analysis && analysis.price_axis;
+        if (!axis || axis.top.price === axis.bottom.price) {
+            return [];
+        }
+
+        const scale = (axis.bottom.y - axis.top.y) / (axis.bottom.price - axis.top.price);
+        const lines = [];
+        const add = (kind, label, value) => {
+            const price = parsePrice(value);
+            if (price === null) return;
+            const y = axis.top.y + (price - axis.top.price) * scale;
+            if (y >= 0 && y <= 1) {
+                lines.push({ kind, label: `${label} ${value}`, y });
+            }
+        };
+
+        analysis.levels.support.forEach(level => add('support', 'S', level));
+        analysis.levels.resistance.forEach(level => add('resistance', 'R', level));
+
+        const plan = analysis.scenarios.find(scenario => scenario.side === analysis.decision) || analysis.scenarios[0];
+        if (plan) {
+            add('entry', `${plan.side} entry`, plan.entry);
+            add('stop', 'Stop', plan.stop);
+            plan.targets.forEach((target, index) => add('target', `TP${index + 1}`, target));
+        }
+
+        return lines;
+    }
+
+    closeAll() {
+        this.windows.forEach(window => {
+            if (!window.isDestroyed()) window.close();
+        });
+        this.windows.clear();
+    }
+}
+
+module.exports = ChartOverlay;
@@ -0,0 +1,129 @@
+const DEFAULT_LEVEL_TOLERANCE_PCT = 0.1;
+
+/**
+ * Merge validated analyses from several providers into one.
+ * The decision is the side more than half of the requested providers chose; anything else,
+ * including a provider that failed to answer, counts against it and ends in Wait.
+ * @param {Array<Object>} analyses - Validated analyses that came back
+ * @param {Object} [options]
+ * @param {number} [options.total] - Providers asked (defaults to analyses.length)
+ * @param {number} [options.levelTolerancePct] - Levels within this % of each other are one level
+ * @returns {Object} - { analysis, agreement: { decision, votes, total, label } }
+ */
+function mergeAnalyses(analyses, options = {}) {
+    const total = options.total || analyses.length;
+    const tolerancePct = Number.isFinite(options.levelTolerancePct) ? options.levelTolerancePct : DEFAULT_LEVEL_TOLERANCE_PCT;
+
+    const counts = {};
+    analyses.forEach(analysis => {
+        counts[analysis.decision] = (counts[analysis.decision] || 0) + 1;
+    });
+    const [majoritySide, majorityVotes] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['Wait', 0];
+    const hasMajority = majorityVotes > total / 2;
+
+    const agreeing = hasMajority ? analyses.filter(analysis => analysis.decision === majoritySide) : analyses;
+    const leader = agreeing.reduce((best, analysis) => (analysis.confidence > best.confidence ? analysis : best), agreeing[0]);
+    const confidence = Math.max(1, Math.round(
+        agreeing.reduce((sum, analysis) => sum + analysis.confidence, 0) / agreeing.length
+    ));
+
+    const tally = Object.entries(counts).map(([side, votes]) => `${side} ${votes}`).join(' · ');
+    const agreement = {
+        decision: hasMajority ? majoritySide : 'Wait',
+        votes: hasMajority ? majorityVotes : 0,
+        total,
+        label: hasMajority ? `${majorityVotes}/${total} ${majoritySide}` : `No majority (${tally})`
+    };
+
+    const analysis = {
+        decision: agreement.decision,
+        confidence,
+        reason: hasMajority ? leader.reason : `Providers disagree: ${tally}`,
+        // The most confident agreeing answer supplies the plan; a split vote has no plan to offer
+        scenarios: hasMajority ? leader.scenarios : [],
+        levels: {
+            support: clusterLevels(analyses.map(a => a.levels.support), tolerancePct, 'desc'),
+            resistance: clusterLevels(analyses.map(a => a.levels.resistance), tolerancePct, 'asc')
+        },
+        timeframes: mergeTimeframes(analyses),
+        // Axis readings describe the image, not an opinion; take the leader's or any other one
+        price_axis: leader.price_axis || (analyses.find(a => a.price_axis) || {}).price_axis || null,
+        last_price: leader.last_price ?? (analyses.find(a => a.last_price !== null) || {}).last_price ?? null
+    };
+
+    return { analysis, agreement };
+}
+
+/**
+ * Group nearby price levels from several answers into one level each
+ * @param {Array<Array<string>>} lists - One level list per answer
+ * @param {number} tolerancePct - Max distance from a cluster's lowest level, in % of price
+ * @param {string} order - 'asc' or 'desc' within levels that have the same number of votes
+ * @returns {Array<string>} - Cluster averages, levels named by more answers first
+ */
+function clusterLevels(lists, tolerancePct, order) {
+    const points = [];
+    lists.forEach((levels, source) => {
+        (levels || []).forEach(level => {
+            const value = parseFloat(String(level).replace(/[,\s]/g, ''));
+            if (Number.isFinite(value)) {
+                points.push({ value, source, decimals: countDecimals(level) });
+            }
+        });
+    });
+    points.sort((a, b) => a.value - b.value);
+
+    const clusters = [];
+    points.forEach(point => {
+        const current = clusters[clusters.length - 1];
+        if (current && point.value - current[0].value <= Math.abs(current[0].value) * tolerancePct / 100) {
+            current.push(point);
+        } else {
+            clusters.push([point]);
+        }
+    });
+
+    return clusters
+        .map(members => ({
+            value: members.reduce((sum, p) => sum + p.value, 0) / members.length,
+            decimals: Math.max(...members.map(p => p.decimals)),
+            votes: new Set(members.map(p => p.source)).size
+        }))
+        .sort((a, b) => (b.votes - a.votes) || (order === 'desc' ? b.value - a.value : a.value - b.value))
+        .map(cluster => cluster.value.toFixed(cluster.decimals));
+}
+
+/**
+ * Merge the per-timeframe bias of several answers; a tie on any chart is Neutral
+ * @param {Array<Object>} analyses - Validated analyses
+ * @returns {Array<Object>} - { timeframe, bias, note } per chart label, in first-seen order
+ */
+function mergeTimeframes(analyses) {
+    const byLabel = new Map();
+    analyses.forEach(analysis => {
+        (analysis.timeframes || []).forEach(entry => {
+            if (!byLabel.has(entry.timeframe)) {
+                byLabel.set(entry.timeframe, []);
+            }
+            byLabel.get(entry.timeframe).push(entry);
+        });
+    });
+
+    return [...byLabel.entries()].map(([timeframe, entries]) => {
+        const counts = {};
+        entries.forEach(entry => {
+            counts[entry.bias] = (counts[entry.bias] || 0) + 1;
+        });
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        const bias = ranked.length > 1 && ranked[0][1] === ranked[1][1] ? 'Neutral' : ranked[0][0];
+        const match = entries.find(entry => entry.bias === bias);
+        return { timeframe, bias, note: match ? match.note : 'Providers split' };
+    });
+}
+
+function countDecimals(level) {
+    const match = String(level).match(/\.(\d+)/);
+    return match ? match[1].length : 0;
+}
+
+module.exports = { mergeAnalyses, clusterLevels, mergeTimeframes };
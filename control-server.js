@@ -0,0 +1,193 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const STREAM_PATH = '/api/stream';
+
+class ControlServer {
+    /**
+     * Opt-in localhost HTTP/WebSocket API for scripts and dashboards. Every request needs the
+     * token, sent as "Authorization: Bearer <token>" or, for WebSocket clients that can't set
+     * headers, as ?token=<token>.
+     * @param {Object} handlers - Callbacks into the app (see routes())
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.server = null;
+        this.wss = null;
+        this.token = null;
+        this.port = null;
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    /**
+     * Listen on localhost
+     * @param {Object} options - { port, token }
+     * @returns {Promise<void>} - Rejects when the port is taken
+     */
+    start({ port, token }) {
+        if (this.server) {
+            return Promise.resolve();
+        }
+
+        this.token = token;
+        this.port = port;
+        const server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+        server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, HOST, () => {
+                server.off('error', reject);
+                this.server = server;
+                console.log(`[ControlAPI] Listening on http://${HOST}:${port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        this.wss.clients.forEach(client => client.terminate());
+        this.wss.close();
+        const server = this.server;
+        this.server = null;
+        this.wss = null;
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Push an event to every stream client
+     * @param {string} type - 'status-update' or 'analysis-result'
+     * @param {Object} data - Event fields; imageBase64 is only sent to clients that asked for images
+     */
+    publish(type, data) {
+        if (!this.wss) return;
+
+        const { imageBase64, ...rest } = data;
+        const withoutImage = JSON.stringify({ type, ...rest });
+        const withImage = imageBase64 ? JSON.stringify({ type, ...rest, imageBase64 }) : withoutImage;
+
+        this.wss.clients.forEach(client => {
+            if (client.readyState === client.OPEN) {
+                client.send(client.wantsImages ? withImage : withoutImage);
+            }
+        });
+    }
+
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('token') || '');
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(provided);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, `http://${HOST}`);
+        if (url.pathname !== STREAM_PATH || !this.isAuthorized(req, url)) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, client => {
+            client.wantsImages = url.searchParams.get('images') === '1';
+            client.send(JSON.stringify({ type: 'hello', status: this.handlers.getStatus() }));
+        });
+    }
+
+    /**
+     * @returns {Array<Object>} - { method, pattern, handler(params, query, body) } per endpoint
+     */
+    routes() {
+        const h = this.handlers;
+        return [
+            { method: 'GET', pattern: /^\/api\/status$/, handler: () => h.getStatus() },
+            { method: 'GET', pattern: /^\/api\/analysis\/latest$/, handler: (params, query) => h.getLatest(query.get('areaId')) },
+            {
+                method: 'GET',
+                pattern: /^\/api\/history$/,
+                handler: (params, query) => h.listHistory({
+                    areaId: query.get('areaId') || undefined,
+                    decision: query.get('decision') || undefined,
+                    minConfidence: query.has('minConfidence') ? Number(query.get('minConfidence')) : undefined,
+                    maxConfidence: query.has('maxConfidence') ? Number(query.get('maxConfidence')) : undefined
+                })
+            },
+            { method: 'GET', pattern: /^\/api\/history\/([\w-]+)$/, handler: ([id]) => h.getHistoryEntry(id) },
+            { method: 'POST', pattern: /^\/api\/start$/, handler: () => h.start() },
+            { method: 'POST', pattern: /^\/api\/stop$/, handler: () => h.stop() },
+            { method: 'POST', pattern: /^\/api\/analyze$/, handler: (params, query, body) => h.analyzeNow(body.areaId) },
+            { method: 'GET', pattern: /^\/api\/areas$/, handler: () => h.listAreas() },
+            { method: 'POST', pattern: /^\/api\/areas$/, handler: (params, query, body) => h.addArea(body) },
+            { method: 'PATCH', pattern: /^\/api\/areas\/([\w-]+)$/, handler: ([id], query, body) => h.updateArea(id, body) },
+            { method: 'DELETE', pattern: /^\/api\/areas\/([\w-]+)$/, handler: ([id]) => h.removeArea(id) }
+        ];
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${HOST}`);
+        if (!this.isAuthorized(req, url)) {
+            return this.sendJson(res, 401, { error: 'Missing or invalid token' });
+        }
+
+        const routes = this.routes().filter(route => route.pattern.test(url.pathname));
+        const route = routes.find(r => r.method === req.method);
+        if (!route) {
+            return routes.length
+                ? this.sendJson(res, 405, { error: `${req.method} not allowed` })
+                : this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        try {
+            const body = await this.readBody(req);
+            const params = url.pathname.match(route.pattern).slice(1);
+            const result = await route.handler(params, url.searchParams, body);
+            if (result === null || result === undefined) {
+                return this.sendJson(res, 404, { error: 'Not found' });
+            }
+            this.sendJson(res, 200, result);
+        } catch (error) {
+            this.sendJson(res, 400, { error: error.message });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,124 @@
+class CostsEditor {
+    /**
+     * Budgets, the per-model price table and the usage totals in the Settings view. Budgets and
+     * prices are saved with the other settings; the totals refresh whenever usage changes.
+     * @param {SnapScalpRenderer} renderer - Owner, used to format amounts
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        this.dailyBudget = document.getElementById('settings-cost-daily');
+        this.sessionBudget = document.getElementById('settings-cost-session');
+        this.pricesTbody = document.getElementById('settings-prices-tbody');
+        this.summaryLabel = document.getElementById('usage-summary');
+        this.usageTbody = document.getElementById('usage-tbody');
+
+        document.getElementById('btn-price-add').addEventListener('click', () => this.addPriceRow({ model: '', input: 0, output: 0 }));
+        document.getElementById('btn-usage-reset').addEventListener('click', () => this.resetSession());
+    }
+
+    /**
+     * @param {Object} costs - { prices, dailyBudget, sessionBudget } from the settings
+     */
+    render(costs) {
+        this.dailyBudget.value = costs.dailyBudget;
+        this.sessionBudget.value = costs.sessionBudget;
+        this.pricesTbody.innerHTML = '';
+        costs.prices.forEach(price => this.addPriceRow(price));
+    }
+
+    addPriceRow(price) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="price-model" spellcheck="false"></td>
+            <td><input type="number" class="price-input" min="0" step="0.05"></td>
+            <td><input type="number" class="price-output" min="0" step="0.05"></td>
+            <td><button class="btn btn-small price-remove">Remove</button></td>
+        `;
+        row.querySelector('.price-model').value = price.model;
+        row.querySelector('.price-input').value = price.input;
+        row.querySelector('.price-output').value = price.output;
+        row.querySelector('.price-remove').addEventListener('click', () => row.remove());
+        this.pricesTbody.appendChild(row);
+    }
+
+    /**
+     * @returns {Object} - Costs settings patch; rows without a model name are left out
+     */
+    collect() {
+        const prices = Array.from(this.pricesTbody.querySelectorAll('tr'))
+            .map(row => ({
+                model: row.querySelector('.price-model').value.trim(),
+                input: parseFloat(row.querySelector('.price-input').value),
+                output: parseFloat(row.querySelector('.price-output').value)
+            }))
+            .filter(price => price.model);
+
+        return {
+            prices,
+            dailyBudget: parseFloat(this.dailyBudget.value) || 0,
+            sessionBudget: parseFloat(this.sessionBudget.value) || 0
+        };
+    }
+
+    async loadUsage() {
+        try {
+            this.renderUsage(await window.electronAPI.getUsage());
+        } catch (error) {
+            console.error('[Costs] Failed to load usage:', error);
+            this.summaryLabel.textContent = 'Usage unavailable';
+        }
+    }
+
+    /**
+     * @param {Object} usage - { session, today, days, budgets } from the usage tracker
+     */
+    renderUsage(usage) {
+        const budget = limit => (limit > 0 ? ` of ${this.renderer.formatCost(limit)}` : '');
+        this.summaryLabel.textContent = [
+            `Session since ${new Date(usage.session.startedAt).toLocaleTimeString()}: ${this.renderer.formatCost(usage.session.total.cost)}${budget(usage.budgets.session)}`,
+            `today: ${this.renderer.formatCost(usage.today.total.cost)}${budget(usage.budgets.daily)}`
+        ].join(' · ');
+
+        this.usageTbody.innerHTML = '';
+        this.addUsageRow('Session', usage.session.total, 'usage-total');
+        Object.entries(usage.session.areas).forEach(([name, totals]) => this.addUsageRow(name, totals, 'usage-detail'));
+        this.addUsageRow('Today', usage.today.total, 'usage-total');
+        Object.entries(usage.today.areas).forEach(([name, totals]) => this.addUsageRow(name, totals, 'usage-detail'));
+        Object.entries(usage.today.models).forEach(([name, totals]) => this.addUsageRow(`model ${name}`, totals, 'usage-detail'));
+        usage.days
+            .filter(day => day.date !== usage.today.date)
+            .slice(0, 7)
+            .forEach(day => this.addUsageRow(day.date, day.total, 'usage-total'));
+    }
+
+    addUsageRow(label, totals, className) {
+        const row = document.createElement('tr');
+        row.className = className;
+        const imageMb = (totals.imageBytes / (1024 * 1024)).toFixed(1);
+        const cells = [
+            label,
+            totals.requests,
+            totals.inputTokens.toLocaleString(),
+            totals.outputTokens.toLocaleString(),
+            `${totals.images} (${imageMb} MB)`,
+            totals.unpriced > 0
+                ? `${this.renderer.formatCost(totals.cost)} + ${totals.unpriced} unpriced`
+                : this.renderer.formatCost(totals.cost)
+        ];
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        this.usageTbody.appendChild(row);
+    }
+
+    async resetSession() {
+        if (!confirm('Start a new cost session? The session totals and budget start from zero.')) {
+            return;
+        }
+        // The main process answers with usage-updated, which refreshes the totals
+        await window.electronAPI.resetUsageSession();
+    }
+}
@@ -0,0 +1,136 @@
+class HistoryPanel {
+    /**
+     * Timeline over stored analyses, rendered with the same card markup as the dashboard
+     * @param {SnapScalpRenderer} renderer - Owner, used to render decision cards
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.entries = [];
+        this.isOpen = false;
+
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    initializeElements() {
+        this.panel = document.getElementById('history-panel');
+        this.areaFilter = document.getElementById('history-area');
+        this.decisionFilter = document.getElementById('history-decision');
+        this.confidenceFilter = document.getElementById('history-min-confidence');
+        this.slider = document.getElementById('history-slider');
+        this.btnPrev = document.getElementById('btn-history-prev');
+        this.btnNext = document.getElementById('btn-history-next');
+        this.countLabel = document.getElementById('history-count');
+        this.timeLabel = document.getElementById('history-time');
+        this.sourceLabel = document.getElementById('history-source');
+        this.rawResponse = document.getElementById('history-raw');
+
+        // Reuse the dashboard card for the selected entry, without its controls
+        this.card = this.renderer.createAreaCard(null);
+        this.card.root.classList.add('history-card');
+        document.getElementById('history-view').appendChild(this.card.root);
+    }
+
+    setupEventListeners() {
+        this.areaFilter.addEventListener('change', () => this.refresh());
+        this.decisionFilter.addEventListener('change', () => this.refresh());
+        this.confidenceFilter.addEventListener('change', () => this.refresh());
+        this.slider.addEventListener('input', () => this.showEntry(parseInt(this.slider.value, 10)));
+        this.btnPrev.addEventListener('click', () => this.step(-1));
+        this.btnNext.addEventListener('click', () => this.step(1));
+
+        window.electronAPI.onHistoryUpdated(() => {
+            if (this.isOpen) {
+                // Stay on the entry being inspected unless the newest one was shown
+                const followLatest = parseInt(this.slider.value, 10) === this.entries.length - 1;
+                this.refresh(followLatest);
+            }
+        });
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.panel.style.display = isOpen ? 'flex' : 'none';
+        if (isOpen) {
+            this.refresh(true);
+        }
+    }
+
+    /**
+     * Keep the area filter in sync with the watchlist
+     * @param {Array<Object>} areas - Watchlist entries
+     */
+    setAreas(areas) {
+        const selected = this.areaFilter.value;
+        this.areaFilter.innerHTML = '<option value="">All areas</option>';
+        areas.forEach(area => {
+            const option = document.createElement('option');
+            option.value = area.id;
+            option.textContent = area.name;
+            this.areaFilter.appendChild(option);
+        });
+        this.areaFilter.value = areas.some(area => area.id === selected) ? selected : '';
+    }
+
+    async refresh(jumpToLatest = false) {
+        const minConfidence = parseInt(this.confidenceFilter.value, 10);
+        const filter = {
+            areaId: this.areaFilter.value || undefined,
+            decision: this.decisionFilter.value || undefined,
+            minConfidence: Number.isFinite(minConfidence) ? minConfidence : undefined
+        };
+
+        try {
+            const selectedId = this.entries[parseInt(this.slider.value, 10)]?.id;
+            this.entries = await window.electronAPI.getHistory(filter);
+
+            this.slider.max = Math.max(0, this.entries.length - 1);
+            this.countLabel.textContent = `${this.entries.length} entries`;
+
+            if (this.entries.length === 0) {
+                this.showEmpty();
+                return;
+            }
+
+            const previousIndex = this.entries.findIndex(entry => entry.id === selectedId);
+            const index = jumpToLatest || previousIndex === -1 ? this.entries.length - 1 : previousIndex;
+            this.slider.value = index;
+            await this.showEntry(index);
+        } catch (error) {
+            console.error('[History] Failed to load history:', error);
+            this.countLabel.textContent = 'History unavailable';
+        }
+    }
+
+    step(delta) {
+        const index = Math.max(0, Math.min(this.entries.length - 1, parseInt(this.slider.value, 10) + delta));
+        this.slider.value = index;
+        this.showEntry(index);
+    }
+
+    async showEntry(index) {
+        const summary = this.entries[index];
+        if (!summary) return;
+
+        const entry = await window.electronAPI.getHistoryEntry(summary.id);
+        if (!entry) {
+            this.timeLabel.textContent = 'Entry no longer available';
+            return;
+        }
+
+        this.timeLabel.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.areaName}`;
+        this.sourceLabel.textContent = [entry.provider, entry.model, entry.profileName].filter(Boolean).join(' / ');
+        this.rawResponse.textContent = entry.rawResponse || '';
+
+        this.renderer.updateResults(this.card, JSON.stringify(entry.analysis || {}), entry.sizing);
+        this.card.previewImage.src = `data:image/jpeg;base64,${entry.thumbnailBase64}`;
+        this.card.previewImage.style.display = 'block';
+    }
+
+    showEmpty() {
+        this.timeLabel.textContent = 'No matching analyses';
+        this.sourceLabel.textContent = '';
+        this.rawResponse.textContent = '';
+        this.card.previewImage.style.display = 'none';
+    }
+}
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const THUMBNAIL_WIDTH = 480;
+const DEFAULT_RETENTION = {
+    maxEntries: 2000,
+    maxAgeDays: 7,
+    maxBytes: 200 * 1024 * 1024
+};
+
+class HistoryStore {
+    /**
+     * Analysis history kept on disk: index.json holds one summary per capture,
+     * <id>.json the full record and <id>.jpg its thumbnail
+     * @param {string} directory - Directory under userData that holds the history
+     * @param {Object} [retention] - { maxEntries, maxAgeDays, maxBytes }
+     */
+    constructor(directory, retention = {}) {
+        this.directory = directory;
+        this.indexPath = path.join(directory, 'index.json');
+        this.retention = { ...DEFAULT_RETENTION, ...retention };
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            if (fs.existsSync(this.indexPath)) {
+                const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+                this.entries = Array.isArray(data.entries) ? data.entries : [];
+            }
+        } catch (error) {
+            console.error('[History] Failed to load history index:', error);
+            this.entries = [];
+        }
+    }
+
+    saveIndex() {
+        fs.writeFileSync(this.indexPath, JSON.stringify({ entries: this.entries }));
+    }
+
+    /**
+     * Store one analyzed capture
+     * @param {Object} record
+     * @param {Object} record.area - Watchlist entry ({ id, name })
+     * @param {string} record.provider - Provider that produced the result
+     * @param {string} record.model - Model name
+     * @param {string} [record.profileName] - Prompt profile the analysis used
+     * @param {Object} [record.sizing] - Position sizing per scenario at the time of the analysis
+     * @param {string} record.analysis - Analysis JSON string as sent to the renderer
+     * @param {string} record.rawResponse - Unprocessed model output
+     * @param {string} record.imageBase64 - Cropped capture (PNG, base64)
+     * @returns {Promise<Object>} - The stored summary
+     */
+    async add({ area, provider, model, profileName, sizing, analysis, rawResponse, imageBase64 }) {
+        const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+        let parsed = null;
+        try {
+            parsed = JSON.parse(analysis);
+        } catch (error) {
+            console.error('[History] Stored analysis is not valid JSON:', error.message);
+        }
+
+        const thumbnail = await sharp(Buffer.from(imageBase64, 'base64'))
+            .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+
+        const record = {
+            id,
+            timestamp: new Date().toISOString(),
+            areaId: area.id,
+            areaName: area.name,
+            provider,
+            model,
+            profileName: profileName || null,
+            sizing: sizing || null,
+            rawResponse,
+            analysis: parsed
+        };
+        const recordJson = JSON.stringify(record);
+
+        fs.writeFileSync(path.join(this.directory, `${id}.json`), recordJson);
+        fs.writeFileSync(path.join(this.directory, `${id}.jpg`), thumbnail);
+
+        const summary = {
+            id,
+            timestamp: record.timestamp,
+            areaId: area.id,
+            areaName: area.name,
+            provider,
+            model,
+            profileName: profileName || null,
+            decision: parsed && parsed.decision ? parsed.decision : null,
+            confidence: parsed && Number.isFinite(Number(parsed.confidence)) ? Number(parsed.confidence) : null,
+            bytes: Buffer.byteLength(recordJson) + thumbnail.length
+        };
+
+        this.entries.push(summary);
+        this.prune();
+        this.saveIndex();
+
+        return summary;
+    }
+
+    /**
+     * Drop the oldest entries until every retention limit holds
+     */
+    prune() {
+        const { maxEntries, maxAgeDays, maxBytes } = this.retention;
+        const oldestAllowed = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        let totalBytes = this.entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+
+        while (this.entries.length > 0) {
+            const oldest = this.entries[0];
+            const tooMany = this.entries.length > maxEntries;
+            const tooOld = new Date(oldest.timestamp).getTime() < oldestAllowed;
+            const tooBig = totalBytes > maxBytes;
+            if (!tooMany && !tooOld && !tooBig) break;
+
+            this.entries.shift();
+            totalBytes -= oldest.bytes || 0;
+            this.deleteFiles(oldest.id);
+        }
+    }
+
+    deleteFiles(id) {
+        for (const file of [`${id}.json`, `${id}.jpg`]) {
+            try {
+                fs.unlinkSync(path.join(this.directory, file));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`[History] Failed to delete ${file}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * List stored summaries, oldest first
+     * @param {Object} [filter] - { areaId, decision, minConfidence, maxConfidence }
+     * @returns {Array<Object>} - Matching summaries
+     */
+    list(filter = {}) {
+        return this.entries.filter(entry => {
+            if (filter.areaId && entry.areaId !== filter.areaId) return false;
+            if (filter.decision && (entry.decision || '').toLowerCase() !== filter.decision.toLowerCase()) return false;
+            if (Number.isFinite(filter.minConfidence) && !(entry.confidence >= filter.minConfidence)) return false;
+            if (Number.isFinite(filter.maxConfidence) && !(entry.confidence <= filter.maxConfidence)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Load a full record with its thumbnail
+     * @param {string} id - Entry id
+     * @returns {Object|null} - Record plus thumbnailBase64, or null when it no longer exists
+     */
+    get(id) {
+        if (!this.entries.some(entry => entry.id === id)) {
+            return null;
+        }
+
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(this.directory, `${id}.json`), 'utf8'));
+            const thumbnail = fs.readFileSync(path.join(this.directory, `${id}.jpg`));
+            return { ...record, thumbnailBase64: thumbnail.toString('base64') };
+        } catch (error) {
+            console.error(`[History] Failed to read entry ${id}:`, error);
+            return null;
+        }
+    }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,195 @@
+const path = require('path');
+const { BrowserWindow } = require('electron');
+
+const WIDTH = 300;
+const ROW_HEIGHT = 26;
+const PADDING = 12;
+const MARGIN = 16;
+// Position is saved once the window stops moving
+const MOVE_SAVE_DELAY_MS = 500;
+
+class HudWindow {
+    /**
+     * Small always-on-top pill with the decision, confidence and top scenario's entry and stop of
+     * each active area, for when the dashboard takes too much room. Frameless and draggable, or
+     * click-through so it can sit on top of a chart.
+     * @param {Object} options - { screen, onMove, shield } where onMove receives the { x, y } to remember
+     * and shield keeps the HUD out of the captures
+     */
+    constructor({ screen, onMove, shield }) {
+        this.screen = screen;
+        this.onMove = onMove;
+        this.shield = shield;
+        this.shield.register(() => (this.isOpen() ? [this.window] : []));
+        this.window = null;
+        this.settings = null;
+        this.areas = [];
+        this.latest = new Map();
+        // Last validated row per area, shown again when a streamed reply is discarded
+        this.validated = new Map();
+        this.moveTimer = null;
+    }
+
+    /**
+     * Open, restyle or close the HUD
+     * @param {Object} settings - { enabled, clickThrough, opacity, position }
+     * @param {Array<Object>} areas - Active areas, one row each
+     */
+    apply(settings, areas) {
+        this.settings = settings;
+        if (!settings.enabled) {
+            this.close();
+            return;
+        }
+
+        if (!this.window || this.window.isDestroyed()) {
+            this.window = this.createWindow();
+        }
+        this.window.setOpacity(settings.opacity);
+        // Forwarded moves keep hover styles working while clicks go through to the chart
+        this.window.setIgnoreMouseEvents(settings.clickThrough, { forward: true });
+        this.sync(areas);
+    }
+
+    createWindow() {
+        const window = new BrowserWindow({
+            ...this.getPosition(1),
+            width: WIDTH,
+            height: this.getHeight(1),
+            frame: false,
+            transparent: true,
+            alwaysOnTop: true,
+            skipTaskbar: true,
+            resizable: false,
+            maximizable: false,
+            minimizable: false,
+            fullscreenable: false,
+            hasShadow: false,
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js')
+            }
+        });
+
+        window.setAlwaysOnTop(true, 'screen-saver');
+        // Keeps the HUD out of the captures where the platform allows it; the shield hides it elsewhere
+        window.setContentProtection(true);
+        window.loadFile('hud.html');
+        window.webContents.once('did-finish-load', () => {
+            this.send();
+            this.shield.show(window);
+        });
+        window.on('move', () => {
+            clearTimeout(this.moveTimer);
+            this.moveTimer = setTimeout(() => {
+                if (window.isDestroyed()) return;
+                const [x, y] = window.getPosition();
+                this.onMove({ x, y });
+            }, MOVE_SAVE_DELAY_MS);
+        });
+
+        return window;
+    }
+
+    /**
+     * @param {number} rows - Rows the HUD shows
+     * @returns {Object} - { x, y } remembered, or the top right corner of the primary display when
+     * the remembered spot is on no display any more
+     */
+    getPosition(rows) {
+        const position = this.settings.position;
+        const height = this.getHeight(rows);
+        const visible = position && this.screen.getAllDisplays().some(({ workArea }) => (
+            position.x >= workArea.x
+            && position.y >= workArea.y
+            && position.x + WIDTH <= workArea.x + workArea.width
+            && position.y + height <= workArea.y + workArea.height
+        ));
+        if (visible) {
+            return { x: position.x, y: position.y };
+        }
+
+        const { workArea } = this.screen.getPrimaryDisplay();
+        return { x: workArea.x + workArea.width - WIDTH - MARGIN, y: workArea.y + MARGIN };
+    }
+
+    getHeight(rows) {
+        return PADDING * 2 + ROW_HEIGHT * Math.max(1, rows);
+    }
+
+    /**
+     * Show one row per area, resizing the pill to fit
+     * @param {Array<Object>} areas - Active areas
+     */
+    sync(areas) {
+        this.areas = areas.map(area => ({ id: area.id, name: area.name }));
+        if (!this.window || this.window.isDestroyed()) return;
+
+        const [x, y] = this.window.getPosition();
+        this.window.setBounds({ x, y, width: WIDTH, height: this.getHeight(this.areas.length) });
+        this.send();
+    }
+
+    /**
+     * @param {string} areaId - Area the analysis is for
+     * @param {Object} analysis - Validated analysis, or the fields of one still streaming
+     * @param {boolean} [partial] - The analysis is still streaming
+     */
+    update(areaId, analysis, partial = false) {
+        const scenarios = analysis.scenarios || [];
+        const plan = scenarios.find(scenario => scenario.side === analysis.decision) || scenarios[0] || null;
+        const row = {
+            decision: analysis.decision || null,
+            confidence: analysis.confidence !== undefined ? analysis.confidence : null,
+            side: plan ? plan.side : null,
+            entry: plan ? plan.entry : null,
+            stop: plan ? plan.stop : null,
+            partial
+        };
+        this.latest.set(areaId, row);
+        if (!partial) {
+            this.validated.set(areaId, row);
+        }
+        this.send();
+    }
+
+    /**
+     * @param {string} areaId - Area whose streamed reply never completed
+     */
+    discardPartial(areaId) {
+        const row = this.latest.get(areaId);
+        if (!row || !row.partial) return;
+
+        if (this.validated.has(areaId)) {
+            this.latest.set(areaId, this.validated.get(areaId));
+        } else {
+            this.latest.delete(areaId);
+        }
+        this.send();
+    }
+
+    send() {
+        if (!this.window || this.window.isDestroyed() || this.window.webContents.isLoading()) return;
+
+        this.window.webContents.send('hud-update', {
+            clickThrough: this.settings.clickThrough,
+            rows: this.areas.map(area => ({ areaId: area.id, areaName: area.name, ...this.latest.get(area.id) }))
+        });
+    }
+
+    isOpen() {
+        return !!(this.window && !this.window.isDestroyed());
+    }
+
+    close() {
+        clearTimeout(this.moveTimer);
+        if (this.window && !this.window.isDestroyed()) {
+            this.window.close();
+        }
+        this.window = null;
+    }
+}
+
+module.exports = HudWindow;
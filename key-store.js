@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+class KeyStore {
+    /**
+     * API keys encrypted with the OS keychain through Electron's safeStorage.
+     * Only ciphertext is written to disk and plain keys never leave the main process.
+     * @param {string} filePath - JSON file holding the encrypted keys
+     * @param {Electron.SafeStorage} safeStorage - Electron safeStorage module (usable once the app is ready)
+     */
+    constructor(filePath, safeStorage) {
+        this.filePath = filePath;
+        this.safeStorage = safeStorage;
+        this.encrypted = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.encrypted = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || {};
+            }
+        } catch (error) {
+            console.error('[KeyStore] Failed to load keys:', error);
+            this.encrypted = {};
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.encrypted }, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * @returns {boolean} - True once a key file has been written (i.e. not a first run)
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    isEncryptionAvailable() {
+        return this.safeStorage.isEncryptionAvailable();
+    }
+
+    /**
+     * @param {string} provider - Provider name
+     * @returns {string} - Decrypted key, or '' when none is stored or it can't be decrypted
+     */
+    get(provider) {
+        const ciphertext = this.encrypted[provider];
+        if (!ciphertext) return '';
+
+        try {
+            return this.safeStorage.decryptString(Buffer.from(ciphertext, 'base64'));
+        } catch (error) {
+            console.error(`[KeyStore] Failed to decrypt key for ${provider}:`, error);
+            return '';
+        }
+    }
+
+    /**
+     * @returns {Object} - Decrypted keys by provider
+     */
+    getAll() {
+        const keys = {};
+        Object.keys(this.encrypted).forEach(provider => {
+            keys[provider] = this.get(provider);
+        });
+        return keys;
+    }
+
+    /**
+     * Encrypt and persist a key
+     * @param {string} provider - Provider name
+     * @param {string} key - Plain API key
+     */
+    set(provider, key) {
+        if (!this.isEncryptionAvailable()) {
+            throw new Error('OS keychain encryption is not available; keys can only be loaded from dev.env');
+        }
+
+        this.encrypted[provider] = this.safeStorage.encryptString(key).toString('base64');
+        this.save();
+    }
+
+    remove(provider) {
+        delete this.encrypted[provider];
+        this.save();
+    }
+
+    /**
+     * @returns {Object} - Which providers have a stored key, without exposing the keys
+     */
+    status() {
+        const status = {};
+        Object.keys(this.encrypted).forEach(provider => {
+            status[provider] = true;
+        });
+        return status;
+    }
+}
+
+module.exports = KeyStore;
@@ -1,163 +1,857 @@
 const { ChatOpenAI } = require('@langchain/openai');
 const { ChatAnthropic } = require('@langchain/anthropic');
+const axios = require('axios');
 const { HumanMessage } = require('@langchain/core/messages');
+const { toJsonSchema } = require('@langchain/core/utils/json_schema');
+const { parseJsonMarkdown } = require('@langchain/core/output_parsers');
+const { AnalysisSchema, describeSchema, validateAnalysis } = require('./analysis-schema');
+const { mergeAnalyses } = require('./consensus');
+const SettingsStore = require('./settings-store');
+const MockChatModel = require('./mock-chat-model');
+
+// Backoff between retries of rate limited or failed requests, unless the provider says how long to wait
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// A provider probed to see whether it answers again gets one short try, so the capture isn't held up
+const PROBE_TIMEOUT_SEC = 15;
+// Fields of a streamed reply passed on as soon as they are complete, in schema order
+const PARTIAL_FIELDS = ['decision', 'confidence', 'reason', 'scenarios', 'levels'];
 
 class LLMService {
     constructor() {
         this.provider = null;
         this.model = null;
+        this.structuredModel = null;
+        // Structured models for providers other than the active one, built on first consensus use
+        this.consensusModels = new Map();
         this.apiKeys = {
             openai: '',
             claude: '',
-            perplexity: ''
+            perplexity: '',
+            local: ''
         };
+        // Per-provider model, temperature, maxTokens and endpoint settings
+        this.providerSettings = JSON.parse(JSON.stringify(SettingsStore.DEFAULT_SETTINGS.providers));
+        // Timeout and retries of every model call
+        this.requestSettings = { ...SettingsStore.DEFAULT_SETTINGS.requests };
+        // Latency and last error per provider
+        this.health = new Map();
+        // Fallback order after the active provider, and which provider of it is answering for now
+        this.failoverSettings = { ...SettingsStore.DEFAULT_SETTINGS.failover };
+        this.failover = this.createFailoverState();
         this.currentProvider = 'openai'; // default
     }
 
     /**
      * Initialize the LLM service with configuration
      * @param {Object} config - Configuration object
-     * @param {string} config.provider - LLM provider ('openai', 'claude', 'perplexity')
+     * @param {string} config.provider - LLM provider ('openai', 'claude', 'perplexity', 'local', 'mock')
      * @param {Object} config.apiKeys - API keys for different providers
+     * @param {Object} [config.providerSettings] - Per-provider settings ({ model, temperature, maxTokens, baseUrl, vision })
+     * @param {Object} [config.requestSettings] - { timeoutSec, retries } for every model call
+     * @param {Object} [config.failoverSettings] - { enabled, providers, failuresBeforeSwitch, retryPrimaryMin }
      */
     initialize(config) {
         this.currentProvider = config.provider || 'openai';
         this.apiKeys = { ...this.apiKeys, ...config.apiKeys };
+        if (config.providerSettings) {
+            this.providerSettings = config.providerSettings;
+        }
+        if (config.requestSettings) {
+            this.requestSettings = config.requestSettings;
+        }
+        if (config.failoverSettings) {
+            this.failoverSettings = config.failoverSettings;
+        }
         
         this.setupProvider();
     }
 
+    /**
+     * Apply edited provider settings, rebuilding the active model without a restart
+     * @param {Object} providerSettings - Per-provider settings
+     * @param {Object} [requestSettings] - { timeoutSec, retries }
+     * @param {Object} [failoverSettings] - { enabled, providers, failuresBeforeSwitch, retryPrimaryMin }; a changed chain starts over on the active provider
+     */
+    applySettings(providerSettings, requestSettings, failoverSettings) {
+        this.providerSettings = providerSettings;
+        if (requestSettings) {
+            this.requestSettings = requestSettings;
+        }
+        if (failoverSettings) {
+            this.failoverSettings = failoverSettings;
+            this.failover = this.createFailoverState();
+        }
+        this.consensusModels.clear();
+        if (this.isProviderConfigured(this.currentProvider)) {
+            this.setupProvider();
+        }
+    }
+
     setupProvider() {
-        switch (this.currentProvider.toLowerCase()) {
+        this.model = this.createModel(this.currentProvider);
+        this.structuredModel = this.createStructuredModel(this.model);
+    }
+
+    /**
+     * Build the chat model for a provider from its key and settings
+     * @param {string} provider - Provider name
+     * @returns {BaseChatModel} - LangChain chat model
+     */
+    createModel(provider) {
+        const settings = this.providerSettings[provider.toLowerCase()] || {};
+
+        switch (provider.toLowerCase()) {
             case 'openai':
                 if (!this.apiKeys.openai) {
                     throw new Error('OpenAI API key not configured');
                 }
-                this.model = new ChatOpenAI({
+                return new ChatOpenAI({
                     apiKey: this.apiKeys.openai,
-                    modelName: 'gpt-5-chat-latest',
-                    temperature: 0.1,
-                    maxTokens: 400
+                    modelName: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    // Retries are done by invokeWithRetry so they can be cancelled and reported
+                    maxRetries: 0,
+                    configuration: {
+                        baseURL: settings.baseUrl
+                    }
                 });
-                break;
 
             case 'claude':
                 if (!this.apiKeys.claude) {
                     throw new Error('Claude API key not configured');
                 }
-                this.model = new ChatAnthropic({
+                return new ChatAnthropic({
                     apiKey: this.apiKeys.claude,
-                    modelName: 'claude-3-5-sonnet-20241022',
-                    temperature: 0.1,
-                    maxTokens: 400
+                    modelName: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    maxRetries: 0,
+                    anthropicApiUrl: settings.baseUrl
                 });
-                break;
 
             case 'perplexity':
                 if (!this.apiKeys.perplexity) {
                     throw new Error('Perplexity API key not configured');
                 }
                 // Perplexity uses OpenAI-compatible API
-                this.model = new ChatOpenAI({
+                return new ChatOpenAI({
                     apiKey: this.apiKeys.perplexity,
-                    modelName: 'sonar-pro',  // changed to a permitted model
-                    temperature: 0.1,
-                    maxTokens: 400,
+                    modelName: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    maxRetries: 0,
                     configuration: {
-                        baseURL: 'https://api.perplexity.ai'
+                        baseURL: settings.baseUrl
                     }
                 });
-                break;
+
+            case 'local':
+                if (!settings.baseUrl) {
+                    throw new Error('Local endpoint base URL not configured');
+                }
+                // Local servers speak the OpenAI chat format; most of them ignore the key
+                return new ChatOpenAI({
+                    apiKey: this.apiKeys.local || 'not-needed',
+                    modelName: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    maxRetries: 0,
+                    configuration: {
+                        baseURL: settings.baseUrl
+                    }
+                });
+
+            case 'mock':
+                return new MockChatModel({ model: settings.model });
 
             default:
-                throw new Error(`Unsupported LLM provider: ${this.currentProvider}`);
+                throw new Error(`Unsupported LLM provider: ${provider}`);
+        }
+    }
+
+    createStructuredModel(model) {
+        // Providers enforce the schema natively (JSON schema for OpenAI, tool calling for Claude).
+        // The plain JSON schema is passed instead of the zod object so replies come back unvalidated
+        // and the raw text is still available for the repair prompt
+        return model.withStructuredOutput(toJsonSchema(AnalysisSchema), {
+            name: 'chart_analysis',
+            includeRaw: true
+        });
+    }
+
+    hasVisionSupport(provider = this.currentProvider) {
+        if (provider === 'local') {
+            return this.providerSettings.local.vision !== false;
         }
+        return provider === 'openai' || provider === 'claude' || provider === 'mock';
     }
 
     /**
-     * Analyze chart image with structured output
-     * @param {string} imageBase64 - Base64 encoded image
-     * @returns {Promise<string>} - JSON string with analysis results
+     * Structured model for any provider; the active one reuses the model setupProvider built
+     * @param {string} provider - Provider name
+     * @returns {Runnable} - Model returning { raw, parsed }
      */
-    async analyzeChart(imageBase64) {
-        if (!this.model) {
-            throw new Error('LLM service not initialized');
+    getStructuredModel(provider) {
+        if (provider === this.currentProvider) {
+            if (!this.structuredModel) {
+                throw new Error('LLM service not initialized');
+            }
+            return this.structuredModel;
         }
 
-        console.log(`[LLM Service] Starting analysis with provider: ${this.currentProvider}`);
-        console.log(`[LLM Service] Image data length: ${imageBase64 ? imageBase64.length : 0} characters`);
+        if (!this.consensusModels.has(provider)) {
+            this.consensusModels.set(provider, this.createStructuredModel(this.createModel(provider)));
+        }
+        return this.consensusModels.get(provider);
+    }
+
+    /**
+     * Whether a provider has what it needs to make requests
+     * @param {string} provider - Provider name
+     * @returns {boolean} - True when a key (or, for local, an endpoint) is configured; the mock needs neither
+     */
+    isProviderConfigured(provider) {
+        if (provider === 'mock') {
+            return true;
+        }
+        if (provider === 'local') {
+            return !!(this.providerSettings.local && this.providerSettings.local.baseUrl);
+        }
+        return !!this.apiKeys[provider];
+    }
+
+    /**
+     * Analyze chart image(s) with structured output
+     * @param {string|Array<Object>} images - Base64 encoded image, or { label, imageBase64 } per chart of a multi-timeframe group
+     * @param {string} instructions - Prompt profile text, rendered for the capture area
+     * @param {string} [provider] - Provider to ask instead of the active one
+     * @param {Object} [options] - { signal } to cancel the request, { onPartial } called with the fields
+     * of the reply that arrived so far while it streams (only when streaming is on), { probe } for a single
+     * request with a short timeout, no retries and no repair round
+     * @returns {Promise<Object>} - { analysis: JSON string, rawResponse, provider, model, usage }
+     */
+    async analyzeChart(images, instructions, provider = this.currentProvider, options = {}) {
+        const frames = this.normalizeImages(images);
+        console.log(`[LLM Service] Starting analysis with provider: ${provider}`);
+        console.log(`[LLM Service] Image data length: ${frames.reduce((sum, frame) => sum + frame.imageBase64.length, 0)} characters in ${frames.length} image(s)`);
+
+        // Text-only providers can't see the chart, so there is nothing honest to return
+        if (!this.hasVisionSupport(provider)) {
+            throw new Error(`${provider} does not support chart image analysis`);
+        }
 
-        const prompt = this.getAnalysisPrompt();
+        const prompt = this.getAnalysisPrompt(instructions, frames);
+        const onPartial = this.requestSettings.streaming && !options.probe ? options.onPartial : null;
+        const limits = options.probe
+            ? { timeoutSec: Math.min(PROBE_TIMEOUT_SEC, this.requestSettings.timeoutSec), retries: 0 }
+            : this.requestSettings;
+        const usage = this.createUsage(provider, frames);
         
         try {
-            // For providers that support vision (OpenAI and Claude)
-            if (this.currentProvider === 'openai' || this.currentProvider === 'claude') {
-                console.log(`[LLM Service] Using vision-enabled provider: ${this.currentProvider}`);
-                
-                const message = new HumanMessage({
-                    content: [
-                        {
-                            type: "text",
-                            text: prompt
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:image/png;base64,${imageBase64}`
-                            }
-                        }
-                    ]
-                });
+            const structuredModel = this.getStructuredModel(provider);
+            let attempt = await this.requestAnalysis(structuredModel, provider, prompt, frames, options.signal, onPartial, limits);
+            this.addUsage(usage, attempt.usage);
 
-                console.log(`[LLM Service] Sending request to ${this.currentProvider}...`);
-                const response = await this.model.invoke([message]);
-                
-                console.log(`[LLM Service] Raw response from ${this.currentProvider}:`, response);
-                console.log(`[LLM Service] Response content:`, response.content);
-                console.log(`[LLM Service] Response content type:`, typeof response.content);
-                
-                // Extract JSON from markdown code blocks if present
-                const cleanedContent = this.extractJsonFromResponse(response.content);
-                console.log(`[LLM Service] Cleaned content:`, cleanedContent);
-                
-                return cleanedContent;
-            } else {
-                // For Perplexity or other text-only providers
-                console.log(`[LLM Service] Using text-only provider: ${this.currentProvider}`);
-                const textPrompt = `${prompt}\n\nNote: Image analysis not available with current provider. Please provide text-based market analysis.`;
-                const message = new HumanMessage(textPrompt);
-                const response = await this.model.invoke([message]);
-                
-                console.log(`[LLM Service] Text-only response:`, response);
-                
-                // Return a default structure for text-only providers
-                const fallbackResponse = JSON.stringify({
-                    decision: "Wait",
-                    confidence: 50,
-                    reason: "Text-only analysis - image vision not supported",
-                    scenarios: [],
-                    levels: {
-                        support: [],
-                        resistance: []
-                    }
-                });
-                
-                console.log(`[LLM Service] Returning fallback response:`, fallbackResponse);
-                return fallbackResponse;
+            // One repair round: re-ask with the validation errors and the rejected reply
+            if (!attempt.validation.success && !options.probe) {
+                console.warn(`[LLM Service] Invalid response from ${provider}: ${attempt.validation.error}`);
+                const repairPrompt = `${prompt}
+
+Your previous reply did not match the schema: ${attempt.validation.error}
+Previous reply:
+${attempt.rawResponse}
+
+Reply again with corrected JSON only.`;
+                attempt = await this.requestAnalysis(structuredModel, provider, repairPrompt, frames, options.signal, onPartial, limits);
+                this.addUsage(usage, attempt.usage);
+            }
+
+            if (!attempt.validation.success) {
+                throw new Error(options.probe
+                    ? `Invalid response: ${attempt.validation.error}`
+                    : `Invalid response after repair attempt: ${attempt.validation.error}`);
+            }
+
+            console.log(`[LLM Service] Validated analysis:`, attempt.validation.data);
+            return { ...this.buildResult(JSON.stringify(attempt.validation.data), attempt.rawResponse, provider), usage: [usage] };
+        } catch (error) {
+            // Replies that came back before the failure are billed all the same
+            const failure = error.name === 'AbortError'
+                ? error
+                : new Error(`Analysis failed with ${provider}: ${error.message}`);
+            failure.usage = usage.requests > 0 ? [usage] : [];
+            if (error.name !== 'AbortError') {
+                console.error(`[LLM Service] Analysis error (${provider}):`, error);
+            }
+            throw failure;
+        }
+    }
+
+    createFailoverState() {
+        return { provider: null, failures: new Map(), retryAt: 0 };
+    }
+
+    /**
+     * The active provider followed by the configured fallbacks that can analyze charts
+     * @returns {Array<string>} - Providers in failover order; only the active one when failover is off
+     */
+    getFailoverChain() {
+        if (!this.failoverSettings.enabled) {
+            return [this.currentProvider];
+        }
+        const fallbacks = this.failoverSettings.providers.filter(provider => (
+            provider !== this.currentProvider && this.isProviderConfigured(provider) && this.hasVisionSupport(provider)
+        ));
+        return [this.currentProvider, ...new Set(fallbacks)];
+    }
+
+    /**
+     * Analyze with the provider currently answering for the active one. After failuresBeforeSwitch
+     * failed analyses in a row the next provider of the chain that hasn't failed as often takes over,
+     * right away for the same capture. Every retryPrimaryMin minutes the providers ahead of it are
+     * probed, best first, with a single short request each, and the first that answers takes back over.
+     * @param {string|Array<Object>} images - Base64 encoded image or { label, imageBase64 } list
+     * @param {string} instructions - Prompt profile text, rendered for the capture area
+     * @param {Object} [options] - { signal } to cancel the requests
+     * @returns {Promise<Object>} - Result like analyzeChart plus fallbackFor: the active provider when a fallback answered.
+     * Its usage, or the usage of the error thrown, includes the providers that failed on the way.
+     */
+    async analyzeWithFailover(images, instructions, options = {}) {
+        const chain = this.getFailoverChain();
+        const { failuresBeforeSwitch, retryPrimaryMin } = this.failoverSettings;
+        const state = this.failover;
+        let index = Math.max(0, chain.indexOf(state.provider));
+        const failedUsage = [];
+        const withFailedUsage = result => ({ ...result, usage: [...failedUsage, ...result.usage] });
+        const rethrow = error => {
+            error.usage = [...failedUsage, ...(error.usage || [])];
+            throw error;
+        };
+
+        if (index > 0 && Date.now() >= state.retryAt) {
+            state.retryAt = Date.now() + retryPrimaryMin * 60000;
+            for (const provider of chain.slice(0, index)) {
+                try {
+                    const result = await this.analyzeChart(images, instructions, provider, { ...options, probe: true });
+                    console.log(`[LLM Service] ${provider} answers again, switching back from ${chain[index]}`);
+                    state.failures.set(provider, 0);
+                    state.provider = provider;
+                    return { ...withFailedUsage(result), fallbackFor: provider === chain[0] ? null : chain[0] };
+                } catch (error) {
+                    if (error.name === 'AbortError') rethrow(error);
+                    failedUsage.push(...(error.usage || []));
+                    console.warn(`[LLM Service] ${provider} still failing: ${error.message}`);
+                }
+            }
+        }
+
+        for (;;) {
+            const provider = chain[index];
+            try {
+                const result = await this.analyzeChart(images, instructions, provider, options);
+                state.failures.set(provider, 0);
+                state.provider = provider;
+                return { ...withFailedUsage(result), fallbackFor: index > 0 ? chain[0] : null };
+            } catch (error) {
+                if (error.name === 'AbortError') rethrow(error);
+
+                const failures = (state.failures.get(provider) || 0) + 1;
+                state.failures.set(provider, failures);
+                const next = chain.findIndex((candidate, i) => (
+                    i > index && (state.failures.get(candidate) || 0) < failuresBeforeSwitch
+                ));
+                if (failures < failuresBeforeSwitch || next === -1) {
+                    rethrow(error);
+                }
+                failedUsage.push(...(error.usage || []));
+
+                console.warn(`[LLM Service] ${provider} failed ${failures} times in a row, switching to ${chain[next]}`);
+                index = next;
+                state.provider = chain[next];
+                state.retryAt = Date.now() + retryPrimaryMin * 60000;
+            }
+        }
+    }
+
+    /**
+     * @param {string|Array<Object>} images - Base64 encoded image or { label, imageBase64 } list
+     * @returns {Array<Object>} - { label, imageBase64 } per image; a single image has no label
+     */
+    normalizeImages(images) {
+        if (typeof images === 'string') {
+            return [{ label: null, imageBase64: images }];
+        }
+        if (!Array.isArray(images) || images.length === 0) {
+            throw new Error('No chart image to analyze');
+        }
+        return images;
+    }
+
+    /**
+     * Token and image counters for one analysis; a repair round adds to the same entry
+     * @param {string} provider - Provider name
+     * @param {Array<Object>} frames - { label, imageBase64 } per image
+     * @returns {Object} - { provider, model, requests, inputTokens, outputTokens, images, imageBytes }
+     */
+    createUsage(provider, frames) {
+        const images = frames.map(frame => this.getImageSize(frame.imageBase64));
+        return {
+            provider,
+            model: this.getModelName(provider),
+            requests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            images,
+            imageBytes: images.reduce((sum, image) => sum + image.bytes, 0)
+        };
+    }
+
+    addUsage(usage, tokens) {
+        usage.requests++;
+        usage.inputTokens += tokens.inputTokens;
+        usage.outputTokens += tokens.outputTokens;
+    }
+
+    /**
+     * @param {string} imageBase64 - Base64 encoded PNG
+     * @returns {Object} - { width, height, bytes }; width and height are null when the data isn't a PNG
+     */
+    getImageSize(imageBase64) {
+        const padding = (imageBase64.match(/=*$/) || [''])[0].length;
+        const bytes = Math.floor(imageBase64.length * 3 / 4) - padding;
+        // Width and height are the first fields of the IHDR chunk right after the signature
+        const header = Buffer.from(imageBase64.slice(0, 32), 'base64');
+        if (header.length < 24 || header.toString('ascii', 12, 16) !== 'IHDR') {
+            return { width: null, height: null, bytes };
+        }
+        return { width: header.readUInt32BE(16), height: header.readUInt32BE(20), bytes };
+    }
+
+    /**
+     * Send the same capture to several providers in parallel and merge their answers
+     * @param {string|Array<Object>} images - Base64 encoded image or { label, imageBase64 } list
+     * @param {string} instructions - Prompt profile text, rendered for the capture area
+     * @param {Array<string>} providers - Providers to ask
+     * @param {Object} [options] - { levelTolerancePct } passed to mergeAnalyses, { signal } to cancel the requests
+     * @returns {Promise<Object>} - Result like analyzeChart plus consensus: { agreement, answers }
+     */
+    async analyzeConsensus(images, instructions, providers, options = {}) {
+        console.log(`[LLM Service] Consensus analysis with: ${providers.join(', ')}`);
+
+        const outcomes = await Promise.allSettled(
+            providers.map(provider => this.analyzeChart(images, instructions, provider, { signal: options.signal }))
+        );
+        // Members that failed after getting replies still cost their tokens
+        const usage = outcomes.flatMap(outcome => (
+            outcome.status === 'fulfilled' ? outcome.value.usage : outcome.reason.usage || []
+        ));
+        if (options.signal && options.signal.aborted) {
+            const error = this.createAbortError();
+            error.usage = usage;
+            throw error;
+        }
+        const answers = outcomes.map((outcome, index) => {
+            const provider = providers[index];
+            if (outcome.status === 'rejected') {
+                return { provider, model: this.getModelName(provider), error: outcome.reason.message };
             }
+            return {
+                provider,
+                model: outcome.value.model,
+                analysis: JSON.parse(outcome.value.analysis),
+                rawResponse: outcome.value.rawResponse,
+                usage: outcome.value.usage
+            };
+        });
+
+        const answered = answers.filter(answer => answer.analysis);
+        if (answered.length === 0) {
+            const error = new Error(`No provider answered: ${answers.map(answer => answer.error).join('; ')}`);
+            error.usage = usage;
+            throw error;
+        }
+
+        const { analysis, agreement } = mergeAnalyses(answered.map(answer => answer.analysis), {
+            total: providers.length,
+            levelTolerancePct: options.levelTolerancePct
+        });
+        console.log(`[LLM Service] Consensus: ${agreement.label}`);
+
+        return {
+            analysis: JSON.stringify(analysis),
+            rawResponse: answers
+                .map(answer => `[${answer.provider}] ${answer.error ? `Error: ${answer.error}` : answer.rawResponse}`)
+                .join('\n\n'),
+            provider: 'consensus',
+            model: providers.join('+'),
+            usage,
+            consensus: { agreement, answers }
+        };
+    }
+
+    /**
+     * Send one prompt+image request through the provider's structured output mode
+     * @param {Runnable} structuredModel - Model from getStructuredModel
+     * @param {string} provider - Provider name, for logging
+     * @param {string} prompt - Prompt text
+     * @param {Array<Object>} frames - { label, imageBase64 } per image
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @param {Function} [onPartial] - Streams the reply, called with each new partial analysis
+     * @param {Object} [limits] - { timeoutSec, retries }; the request settings by default
+     * @returns {Promise<Object>} - { rawResponse, validation, usage: { inputTokens, outputTokens } }
+     */
+    async requestAnalysis(structuredModel, provider, prompt, frames, signal, onPartial, limits) {
+        const content = [
+            {
+                type: "text",
+                text: prompt
+            }
+        ];
+        frames.forEach(frame => {
+            // Labels tell the model which image is which timeframe
+            if (frame.label) {
+                content.push({ type: "text", text: `Chart ${frame.label}:` });
+            }
+            content.push({
+                type: "image_url",
+                image_url: {
+                    url: `data:image/png;base64,${frame.imageBase64}`
+                }
+            });
+        });
+        const message = new HumanMessage({ content });
+
+        console.log(`[LLM Service] Sending request to ${provider}...`);
+        let response;
+        try {
+            response = await this.invokeWithRetry(structuredModel, provider, [message], signal, onPartial, limits);
         } catch (error) {
-            console.error(`[LLM Service] Analysis error (${this.currentProvider}):`, error);
-            throw new Error(`Analysis failed with ${this.currentProvider}: ${error.message}`);
+            // OpenAI's JSON schema mode parses the reply client-side and throws on malformed JSON,
+            // dropping the reply and its token counts with it
+            if (error instanceof SyntaxError) {
+                return {
+                    rawResponse: '',
+                    validation: { success: false, error: 'reply was not valid JSON' },
+                    usage: this.estimateUsage(provider, prompt, frames)
+                };
+            }
+            throw error;
+        }
+
+        const rawResponse = this.getRawText(response.raw);
+        console.log(`[LLM Service] Raw response from ${provider}:`, rawResponse);
+
+        // Native structured output already parsed the reply; plain text replies are parsed here
+        const candidate = response.parsed || this.extractJsonFromResponse(rawResponse);
+        const validation = candidate
+            ? validateAnalysis(candidate)
+            : { success: false, error: 'reply was not valid JSON' };
+
+        // Providers that don't report usage (some local servers) count as zero tokens
+        const usage = (response.raw && response.raw.usage_metadata) || {};
+        return {
+            rawResponse,
+            validation,
+            usage: { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 }
+        };
+    }
+
+    /**
+     * Rough token counts for a reply whose usage is lost: about four characters per text token,
+     * width x height / 750 per image and the reply at the provider's token limit
+     * @param {string} provider - Provider name
+     * @param {string} prompt - Prompt text
+     * @param {Array<Object>} frames - { label, imageBase64 } per image
+     * @returns {Object} - { inputTokens, outputTokens }
+     */
+    estimateUsage(provider, prompt, frames) {
+        const imageTokens = frames
+            .map(frame => this.getImageSize(frame.imageBase64))
+            .reduce((sum, image) => sum + (image.width ? Math.ceil(image.width * image.height / 750) : 0), 0);
+        const settings = this.providerSettings[provider] || {};
+        return {
+            inputTokens: Math.ceil(prompt.length / 4) + imageTokens,
+            outputTokens: settings.maxTokens || 0
+        };
+    }
+
+    /**
+     * Invoke a model with the per-request timeout, retrying rate limits (429) and server errors (5xx)
+     * with exponential backoff. The models' own retries are off, so a stop cancels the whole sequence.
+     * @param {Runnable} model - Structured model
+     * @param {string} provider - Provider name, for health and logging
+     * @param {Array<BaseMessage>} messages - Request messages
+     * @param {AbortSignal} [signal] - Cancels the request and any wait before a retry
+     * @param {Function} [onPartial] - Streams the reply instead of waiting for all of it
+     * @param {Object} [limits] - { timeoutSec, retries }; the request settings by default
+     * @returns {Promise<Object>} - The model's reply
+     */
+    async invokeWithRetry(model, provider, messages, signal, onPartial, limits = this.requestSettings) {
+        const { timeoutSec, retries } = limits;
+
+        for (let attempt = 0; ; attempt++) {
+            const started = Date.now();
+            const request = this.createRequestSignal(signal, timeoutSec * 1000);
+            try {
+                const response = onPartial
+                    ? await this.streamReply(model, messages, request.signal, onPartial)
+                    : await model.invoke(messages, { signal: request.signal });
+                this.recordHealth(provider, Date.now() - started, null);
+                return response;
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw this.createAbortError();
+                }
+                // A malformed reply still means the provider answered
+                if (error instanceof SyntaxError) {
+                    this.recordHealth(provider, Date.now() - started, null);
+                    throw error;
+                }
+
+                const failure = request.timedOut
+                    ? new Error(`No answer from ${provider} within ${timeoutSec}s`)
+                    : error;
+                this.recordHealth(provider, Date.now() - started, failure.message);
+
+                const status = this.getErrorStatus(error);
+                if (request.timedOut || attempt >= retries || !(status === 429 || status >= 500)) {
+                    throw failure;
+                }
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`[LLM Service] ${provider} returned HTTP ${status}, retry ${attempt + 1} of ${retries} in ${delay}ms`);
+                await this.wait(delay, signal);
+            } finally {
+                request.dispose();
+            }
+        }
+    }
+
+    /**
+     * Stream a structured model's reply, passing each newly completed part of the analysis on.
+     * Structured models are a sequence of the chat model and a parser step that only runs on the
+     * whole reply, so the chat model step is streamed on its own and the parser applied at the end.
+     * @param {Runnable} model - Structured model
+     * @param {Array<BaseMessage>} messages - Request messages
+     * @param {AbortSignal} signal - Cancels the stream
+     * @param {Function} onPartial - Called with the partial analysis whenever it grows
+     * @returns {Promise<Object>} - { raw, parsed } like invoke
+     */
+    async streamReply(model, messages, signal, onPartial) {
+        const source = model.first || model;
+        let raw = null;
+        let sent = '';
+
+        for await (const chunk of await source.stream(messages, { signal })) {
+            if (!chunk.raw) continue;
+            raw = raw ? raw.concat(chunk.raw) : chunk.raw;
+
+            const partial = this.getPartialAnalysis(this.getStreamedText(raw));
+            const key = partial && JSON.stringify(partial);
+            if (key && key !== sent) {
+                sent = key;
+                onPartial(partial);
+            }
+        }
+        if (!raw) {
+            throw new Error('Empty streamed reply');
+        }
+        // Models without a parser step (the mock) leave parsing to requestAnalysis
+        return model.last ? model.last.invoke({ raw }, { signal }) : { raw, parsed: null };
+    }
+
+    /**
+     * @param {AIMessageChunk} message - Reply streamed so far
+     * @returns {string} - JSON text so far, from the tool call arguments when the schema is enforced by tool calling
+     */
+    getStreamedText(message) {
+        if (message.tool_call_chunks && message.tool_call_chunks.length > 0) {
+            return message.tool_call_chunks[0].args || '';
+        }
+        if (Array.isArray(message.content)) {
+            return message.content
+                .map(part => (typeof part === 'string' ? part : part.type === 'text' ? part.text : ''))
+                .join('');
+        }
+        return message.content || '';
+    }
+
+    /**
+     * Fields of an unfinished JSON reply that can already be shown. The field still being written
+     * is left out, except for the scenarios it already finished, so a half-streamed "Lo" or a
+     * confidence of 7 on its way to 75 never reaches the dashboard. Fields and scenarios that don't
+     * match the schema are dropped as well.
+     * @param {string} text - JSON text so far
+     * @returns {Object|null} - Completed fields among decision, confidence, reason, scenarios and levels
+     */
+    getPartialAnalysis(text) {
+        const parsed = text ? parseJsonMarkdown(text) : null;
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+
+        const keys = Object.keys(parsed);
+        const current = keys[keys.length - 1];
+        const partial = {};
+        keys.filter(key => PARTIAL_FIELDS.includes(key)).forEach(key => {
+            if (key === 'scenarios') {
+                if (!Array.isArray(parsed.scenarios)) return;
+                const complete = key === current ? parsed.scenarios.slice(0, -1) : parsed.scenarios;
+                const scenarioSchema = AnalysisSchema.shape.scenarios.element;
+                const valid = complete.filter(scenario => scenarioSchema.safeParse(scenario).success);
+                if (valid.length > 0) {
+                    partial.scenarios = valid;
+                }
+            } else if (key !== current && AnalysisSchema.shape[key].safeParse(parsed[key]).success) {
+                partial[key] = parsed[key];
+            }
+        });
+        return Object.keys(partial).length > 0 ? partial : null;
+    }
+
+    /**
+     * @param {AbortSignal} [signal] - Caller's signal
+     * @param {number} timeoutMs - Time limit of the request
+     * @returns {Object} - { signal, timedOut, dispose }; the signal aborts with the caller's or when the time is up
+     */
+    createRequestSignal(signal, timeoutMs) {
+        const controller = new AbortController();
+        const request = { signal: controller.signal, timedOut: false };
+        const timer = setTimeout(() => {
+            request.timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+        const onAbort = () => controller.abort();
+
+        if (signal && signal.aborted) {
+            controller.abort();
+        } else if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        request.dispose = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        return request;
+    }
+
+    /**
+     * @param {Error} error - Error thrown by the provider SDK
+     * @returns {number|null} - HTTP status, null for network errors
+     */
+    getErrorStatus(error) {
+        return error.status || (error.response && error.response.status) || null;
+    }
+
+    /**
+     * @param {Error} error - Rate limit or server error
+     * @param {number} attempt - Attempts made so far, minus one
+     * @returns {number} - Milliseconds to wait: the provider's Retry-After, else doubling from RETRY_BASE_MS with jitter
+     */
+    getRetryDelay(error, attempt) {
+        const headers = error.headers || (error.response && error.response.headers) || {};
+        const retryAfter = parseFloat(typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+        if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+            return Math.min(RETRY_MAX_MS, Math.round(retryAfter * 1000));
+        }
+        const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+        return Math.round(backoff * (0.75 + Math.random() * 0.5));
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    createAbortError() {
+        const error = new Error('Analysis cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * @param {string} provider - Provider name
+     * @param {number} latencyMs - Duration of the request
+     * @param {string|null} error - Error message of a failed request
+     */
+    recordHealth(provider, latencyMs, error) {
+        const health = this.health.get(provider) || {
+            requests: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            latencyMs: null,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null
+        };
+        health.requests++;
+        if (error) {
+            health.failures++;
+            health.consecutiveFailures++;
+            health.lastError = error;
+            health.lastErrorAt = new Date().toISOString();
+        } else {
+            health.consecutiveFailures = 0;
+            health.latencyMs = latencyMs;
+            health.lastSuccessAt = new Date().toISOString();
         }
+        this.health.set(provider, health);
+    }
+
+    /**
+     * @returns {Object} - Provider name -> { requests, failures, consecutiveFailures, latencyMs, lastError, lastErrorAt, lastSuccessAt }
+     */
+    getHealth() {
+        return Object.fromEntries(this.health);
+    }
+
+    /**
+     * Flatten a model message into text, preferring tool call arguments when present
+     * @param {AIMessage} message - Raw model message
+     * @returns {string} - Raw response text
+     */
+    getRawText(message) {
+        if (!message) return '';
+
+        if (message.tool_calls && message.tool_calls.length > 0) {
+            return JSON.stringify(message.tool_calls[0].args);
+        }
+        if (Array.isArray(message.content)) {
+            return message.content
+                .map(part => (typeof part === 'string' ? part : part.text || ''))
+                .join('');
+        }
+        return message.content || '';
+    }
+
+    buildResult(analysis, rawResponse, provider = this.currentProvider) {
+        return {
+            analysis,
+            rawResponse,
+            provider,
+            model: this.getModelName(provider)
+        };
     }
 
     /**
      * Extract JSON from response that might be wrapped in markdown code blocks
      * @param {string} content - Raw response content
-     * @returns {string} - Clean JSON string
+     * @returns {Object|null} - Parsed JSON, or null when the reply isn't JSON
      */
     extractJsonFromResponse(content) {
-        if (!content) return '{}';
+        if (!content) return null;
         
         // Remove markdown code block markers if present
         let cleaned = content.trim();
@@ -175,62 +869,39 @@ class LLMService {
             console.log(`[LLM Service] Extracted content from generic code block`);
         }
         
-        // Validate that it's valid JSON
         try {
-            JSON.parse(cleaned);
-            console.log(`[LLM Service] JSON validation successful`);
-            return cleaned;
+            return JSON.parse(cleaned);
         } catch (error) {
-            console.error(`[LLM Service] JSON validation failed:`, error);
-            console.error(`[LLM Service] Problematic content:`, cleaned);
-            
-            // Return a fallback response
-            return JSON.stringify({
-                decision: "Wait",
-                confidence: 50,
-                reason: "JSON parsing error",
-                scenarios: [],
-                levels: {
-                    support: [],
-                    resistance: []
-                }
-            });
+            console.error(`[LLM Service] JSON parsing failed:`, error.message);
+            return null;
         }
     }
 
-    getAnalysisPrompt() {
-        return `You are a trading assistant for intraday scalpers. Analyze this chart screenshot that may contain labels like HH LH HL LL BOS ChoCH PDH supply demand premium discount and price levels.
+    /**
+     * Build the full prompt from profile instructions. The output rules and schema are always
+     * appended here, so editing a prompt profile can't change what the reply has to look like.
+     * @param {string} instructions - Rendered prompt profile text
+     * @param {Array<Object>} [frames] - Images sent with the prompt; several mean a multi-timeframe group
+     * @returns {string} - Prompt text
+     */
+    getAnalysisPrompt(instructions, frames = []) {
+        const labels = frames.filter(frame => frame.label).map(frame => frame.label);
+        const group = labels.length > 1
+            ? `
+
+You get ${labels.length} labeled charts of the same instrument: ${labels.join(', ')}. Use the higher timeframes for context and the lowest one for entries. Give one timeframes entry per chart with its label and bias.`
+            : '';
 
-Goal: Return the most actionable decision now using only what is visible. Be concise. No disclaimers.
+        return `${instructions.trim()}${group}
 
-Rules:
-• Use exact numbers visible on chart when possible
-• If numbers not fully visible give nearest integer
-• Prefer 1 or 3 minute context if both visible
-• Keep total characters under 420
+Output:
 • Return ONLY valid JSON matching the schema
 • Use arrays even for single scenario
+• price_axis: the highest and lowest readable labels on the price axis and their vertical position in the image, or null when no axis is visible
+• last_price: the current price as marked on the chart, or null when it can't be read
 
 Required JSON Schema:
-{
-  "decision": "Long" | "Short" | "Wait",
-  "confidence": 1-100,
-  "reason": "string (max 80 chars)",
-  "scenarios": [
-    {
-      "side": "Long" | "Short",
-      "entry": "string",
-      "stop": "string", 
-      "targets": ["string"],
-      "conditions": "string (max 60 chars)",
-      "invalidate": "string (max 40 chars)"
-    }
-  ],
-  "levels": {
-    "support": ["string"],
-    "resistance": ["string"]
-  }
-}
+${describeSchema(AnalysisSchema)}
 
 Analyze and reply with JSON only.`;
     }
@@ -242,17 +913,89 @@ Analyze and reply with JSON only.`;
     getProviderInfo() {
         return {
             provider: this.currentProvider,
-            hasVisionSupport: this.currentProvider === 'openai' || this.currentProvider === 'claude',
+            hasVisionSupport: this.hasVisionSupport(),
             modelName: this.getModelName()
         };
     }
 
-    getModelName() {
-        switch (this.currentProvider) {
-            case 'openai': return 'gpt-4o';
-            case 'claude': return 'claude-3-5-sonnet-20241022';
-            case 'perplexity': return 'llama-3.1-sonar-large-128k-online';
-            default: return 'unknown';
+    getModelName(provider = this.currentProvider) {
+        const settings = this.providerSettings[provider];
+        return settings && settings.model ? settings.model : 'unknown';
+    }
+
+    /**
+     * Replace a provider's key, rebuilding the model when it is the active provider. Clearing the
+     * active provider's key drops its model, so no further calls go out with the removed key.
+     * @param {string} provider - Provider name
+     * @param {string} apiKey - Plain API key ('' to clear)
+     */
+    setApiKey(provider, apiKey) {
+        this.apiKeys[provider] = apiKey;
+        this.consensusModels.delete(provider);
+        if (provider !== this.currentProvider) return;
+
+        if (this.isProviderConfigured(provider)) {
+            this.setupProvider();
+        } else {
+            this.model = null;
+            this.structuredModel = null;
+        }
+    }
+
+    /**
+     * Validate a key with the cheapest authenticated call the provider offers.
+     * Requests go to the provider's configured base URL, so a local mock server can stand in.
+     * @param {string} provider - Provider name
+     * @param {string} apiKey - Key to test
+     * @returns {Promise<Object>} - { valid, status, message }
+     */
+    async testApiKey(provider, apiKey) {
+        const settings = this.providerSettings[provider] || {};
+        const baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+        let request;
+
+        switch (provider) {
+            case 'claude':
+                request = {
+                    method: 'get',
+                    url: `${baseUrl}/v1/models`,
+                    headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }
+                };
+                break;
+            case 'perplexity':
+                // No model listing endpoint; a one-token completion is the cheapest check
+                request = {
+                    method: 'post',
+                    url: `${baseUrl}/chat/completions`,
+                    headers: { Authorization: `Bearer ${apiKey}` },
+                    data: { model: settings.model, messages: [{ role: 'user', content: 'ping' }], max_tokens: 1 }
+                };
+                break;
+            case 'openai':
+            case 'local':
+                request = {
+                    method: 'get',
+                    url: `${baseUrl}/models`,
+                    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+                };
+                break;
+            default:
+                throw new Error(`Unsupported LLM provider: ${provider}`);
+        }
+
+        try {
+            const response = await axios({ ...request, timeout: 10000 });
+            return { valid: true, status: response.status, message: 'Key accepted' };
+        } catch (error) {
+            const status = error.response ? error.response.status : null;
+            if (status === 401 || status === 403) {
+                return { valid: false, status, message: 'Key rejected' };
+            }
+            return {
+                valid: false,
+                status,
+                message: status ? `Unexpected response (HTTP ${status})` : `Request failed: ${error.message}`
+            };
         }
     }
 
@@ -263,6 +1006,7 @@ Analyze and reply with JSON only.`;
     switchProvider(provider) {
         if (provider !== this.currentProvider) {
             this.currentProvider = provider;
+            this.failover = this.createFailoverState();
             this.setupProvider();
         }
     }
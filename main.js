@@ -1,37 +1,106 @@
-const { app, BrowserWindow, ipcMain, screen, globalShortcut, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, globalShortcut, dialog, safeStorage, Notification, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const screenshot = require('screenshot-desktop');
-const sharp = require('sharp');
+const crypto = require('crypto');
 const LLMService = require('./llm-service');
+const CaptureService = require('./capture-service');
+const Watchlist = require('./watchlist');
+const AnalysisScheduler = require('./analysis-scheduler');
+const ChangeDetector = require('./change-detector');
+const HistoryStore = require('./history-store');
+const SettingsStore = require('./settings-store');
+const KeyStore = require('./key-store');
+const PromptProfiles = require('./prompt-profiles');
+const AlertMonitor = require('./alert-monitor');
+const WebhookService = require('./webhook-service');
+const ControlServer = require('./control-server');
+const ChartOverlay = require('./chart-overlay');
+const CaptureShield = require('./capture-shield');
+const HudWindow = require('./hud-window');
+const PriceAxisReader = require('./price-axis-reader');
+const PaperTrader = require('./paper-trader');
+const ReplayService = require('./replay-service');
+const SessionRecorder = require('./session-recorder');
+const UsageTracker = require('./usage-tracker');
+const { renderReport } = require('./session-report');
+const { sizeScenarios, resolveRisk } = require('./risk-calculator');
 require('dotenv').config();
 
+// Capture cadence for areas in "analyze on significant change" mode
+const CHANGE_POLL_MS = 3000;
+
 class SnapScalpMain {
     constructor() {
         this.mainWindow = null;
-        this.overlayWindow = null;
-        this.captureArea = null;
+        this.overlayWindows = [];
         this.isAnalyzing = false;
-        this.analysisInterval = null;
+        // Taskbar entry flashing until the window is focused
+        this.isFlashing = false;
+        // Aborted on stop, cancelling the LLM calls of every running cycle
+        this.cycleAbort = new AbortController();
+        // Fallback provider answering for the active one, null while the active one does
+        this.failoverProvider = null;
         this.llmService = new LLMService();
+        this.captureService = new CaptureService(screen);
+        this.watchlist = new Watchlist(path.join(app.getPath('userData'), 'watchlist.json'));
+        this.changeDetector = new ChangeDetector();
+        this.historyStore = new HistoryStore(path.join(app.getPath('userData'), 'history'));
+        this.settingsStore = null;
+        this.keyStore = null;
+        this.webhookService = null;
+        this.latestResults = new Map();
+        this.controlServer = new ControlServer(this.getControlHandlers());
+        this.controlApiError = null;
+        this.controlToken = null;
+        // Hides the overlays and the HUD while capturing where content protection doesn't
+        this.captureShield = new CaptureShield();
+        this.chartOverlay = new ChartOverlay(this.captureShield);
+        this.hudWindow = new HudWindow({
+            screen,
+            onMove: (position) => this.settingsStore.update({ hud: { position } }),
+            shield: this.captureShield
+        });
+        // Whether the HUD currently stands in for the hidden dashboard
+        this.dashboardReplaced = false;
+        this.priceAxisReader = new PriceAxisReader();
+        this.paperTrader = new PaperTrader(path.join(app.getPath('userData'), 'paper-trades.json'));
+        this.sessionRecorder = new SessionRecorder(path.join(app.getPath('userData'), 'sessions'));
+        this.usageTracker = new UsageTracker(path.join(app.getPath('userData'), 'usage.json'));
+        this.replayService = new ReplayService({
+            analyzeFrame: (frame, imageBase64, options) => this.analyzeReplayFrame(frame, imageBase64, options),
+            onProgress: (state) => this.mainWindow?.webContents.send('replay-progress', state)
+        });
+        this.alertMonitor = new AlertMonitor(() => this.settingsStore.get().alerts);
+        this.promptProfiles = new PromptProfiles(path.join(app.getPath('userData'), 'prompt-profiles.json'));
+        this.scheduler = new AnalysisScheduler({
+            // Without a threshold every frame counts as changed, so "on change" keeps the area's own interval
+            getAreas: () => this.getScheduledAreas().map(area => (
+                area.analyzeOnChange && area.changeThreshold > 0 ? { ...area, intervalMs: CHANGE_POLL_MS } : area
+            )),
+            runCycle: (area) => this.runAnalysisCycle(area)
+        });
         this.config = {
             provider: 'openai',
             apiKeys: {
                 openai: '',
                 claude: '',
-                perplexity: ''
+                perplexity: '',
+                local: ''
             }
         };
         
         this.setupApp();
-        this.loadConfiguration();
     }
 
     setupApp() {
         app.whenReady().then(() => {
+            // safeStorage is only usable once the app is ready
+            this.loadConfiguration();
             this.createMainWindow();
             this.setupIpcHandlers();
             this.registerShortcuts();
+            this.applyChartOverlaySettings();
+            this.applyHudSettings();
         });
 
         app.on('window-all-closed', () => {
@@ -48,6 +117,9 @@ class SnapScalpMain {
 
         app.on('will-quit', () => {
             globalShortcut.unregisterAll();
+            this.replayService.stop();
+            this.sessionRecorder.stop();
+            this.priceAxisReader.terminate();
         });
     }
 
@@ -70,6 +142,12 @@ class SnapScalpMain {
 
         this.mainWindow.loadFile('index.html');
 
+        // Chart overlays and the HUD would otherwise keep the app alive after the dashboard is closed
+        this.mainWindow.on('closed', () => {
+            this.chartOverlay.closeAll();
+            this.hudWindow.close();
+        });
+
         // Development tools
         if (process.argv.includes('--dev')) {
             this.mainWindow.webContents.openDevTools();
@@ -92,9 +170,37 @@ class SnapScalpMain {
         globalShortcut.register('CommandOrControl+Shift+A', () => {
             this.selectArea();
         });
+
+        // Show/hide the levels drawn over the charts
+        globalShortcut.register('CommandOrControl+Shift+O', () => {
+            this.toggleChartOverlay();
+        });
+
+        // Show/hide the HUD, and let clicks through it to the chart or not
+        globalShortcut.register('CommandOrControl+Shift+H', () => {
+            this.toggleHud();
+        });
+        globalShortcut.register('CommandOrControl+Shift+L', () => {
+            this.toggleHudClickThrough();
+        });
     }
 
-    loadConfiguration() {
+    /**
+     * Read keys and local endpoint values from dev.env/local.env and the environment.
+     * These only seed the key store and settings; they are not the source of truth.
+     * @returns {Object} - { apiKeys, local }
+     */
+    readEnvConfiguration() {
+        const envConfig = {
+            apiKeys: {
+                openai: '',
+                claude: '',
+                perplexity: '',
+                local: ''
+            },
+            local: {}
+        };
+
         // Try to load from dev.env or local.env files
         const envFiles = ['dev.env', 'local.env'];
         
@@ -117,13 +223,25 @@ class SnapScalpMain {
                         
                         switch (keyName) {
                             case 'openai_key':
-                                this.config.apiKeys.openai = keyValue;
+                                envConfig.apiKeys.openai = keyValue;
                                 break;
                             case 'claudeai_key':
-                                this.config.apiKeys.claude = keyValue;
+                                envConfig.apiKeys.claude = keyValue;
                                 break;
                             case 'perplexityai_key':
-                                this.config.apiKeys.perplexity = keyValue;
+                                envConfig.apiKeys.perplexity = keyValue;
+                                break;
+                            case 'local_key':
+                                envConfig.apiKeys.local = keyValue;
+                                break;
+                            case 'local_base_url':
+                                envConfig.local.baseUrl = keyValue;
+                                break;
+                            case 'local_model':
+                                envConfig.local.model = keyValue;
+                                break;
+                            case 'local_vision':
+                                envConfig.local.vision = keyValue.toLowerCase() !== 'false';
                                 break;
                         }
                     }
@@ -134,30 +252,167 @@ class SnapScalpMain {
         }
         
         // Fallback to environment variables
-        this.config.apiKeys.openai = this.config.apiKeys.openai || process.env.OPENAI_API_KEY || '';
-        this.config.apiKeys.claude = this.config.apiKeys.claude || process.env.ANTHROPIC_API_KEY || '';
-        this.config.apiKeys.perplexity = this.config.apiKeys.perplexity || process.env.PERPLEXITY_API_KEY || '';
+        envConfig.apiKeys.openai = envConfig.apiKeys.openai || process.env.OPENAI_API_KEY || '';
+        envConfig.apiKeys.claude = envConfig.apiKeys.claude || process.env.ANTHROPIC_API_KEY || '';
+        envConfig.apiKeys.perplexity = envConfig.apiKeys.perplexity || process.env.PERPLEXITY_API_KEY || '';
+        envConfig.apiKeys.local = envConfig.apiKeys.local || process.env.LOCAL_LLM_API_KEY || '';
+        // Unset local endpoint fields fall back to the LLM service defaults (Ollama)
+        if (!envConfig.local.baseUrl && process.env.LOCAL_LLM_BASE_URL) {
+            envConfig.local.baseUrl = process.env.LOCAL_LLM_BASE_URL;
+        }
+        if (!envConfig.local.model && process.env.LOCAL_LLM_MODEL) {
+            envConfig.local.model = process.env.LOCAL_LLM_MODEL;
+        }
+        if (envConfig.local.vision === undefined && process.env.LOCAL_LLM_VISION) {
+            envConfig.local.vision = process.env.LOCAL_LLM_VISION.toLowerCase() !== 'false';
+        }
+
+        return envConfig;
+    }
+
+    loadConfiguration() {
+        const envConfig = this.readEnvConfiguration();
+
+        // Keys live encrypted in the OS keychain; dev.env and the environment seed it on first run
+        this.keyStore = new KeyStore(path.join(app.getPath('userData'), 'keys.json'), safeStorage);
+        if (!this.keyStore.exists()) {
+            this.importApiKeys(envConfig.apiKeys);
+        }
+        // The key store also holds webhook secrets and the control API token; only provider keys go to the LLM service
+        const storedKeys = this.keyStore.getAll();
+        Object.keys(this.config.apiKeys).forEach(provider => {
+            if (storedKeys[provider]) {
+                this.config.apiKeys[provider] = storedKeys[provider];
+            }
+        });
+        this.webhookService = new WebhookService(path.join(app.getPath('userData'), 'webhooks.json'), this.keyStore);
+        
+        // Saved settings win over dev.env/environment values for the local endpoint
+        this.settingsStore = new SettingsStore(
+            path.join(app.getPath('userData'), 'settings.json'),
+            { providers: { local: envConfig.local } }
+        );
+        const settings = this.settingsStore.get();
+        this.config.provider = settings.provider;
+        
+        this.applyControlApiSettings();
         
         // Initialize LLM service
         try {
-            this.llmService.initialize(this.config);
+            this.llmService.initialize({
+                provider: this.config.provider,
+                apiKeys: this.config.apiKeys,
+                providerSettings: settings.providers,
+                requestSettings: settings.requests,
+                failoverSettings: settings.failover
+            });
             console.log(`LLM Service initialized with provider: ${this.config.provider}`);
         } catch (error) {
             console.error('Failed to initialize LLM service:', error);
         }
     }
 
+    /**
+     * Store keys from dev.env/the environment in the key store
+     * @param {Object} apiKeys - Keys by provider; empty values are skipped
+     * @returns {Array<string>} - Providers whose key was imported
+     */
+    importApiKeys(apiKeys) {
+        const imported = [];
+
+        for (const [provider, key] of Object.entries(apiKeys)) {
+            if (!key) continue;
+
+            try {
+                this.keyStore.set(provider, key);
+            } catch (error) {
+                // Without keychain encryption the key is only kept in memory for this session
+                console.error(`[Main] Could not store ${provider} key:`, error.message);
+            }
+            this.config.apiKeys[provider] = key;
+            this.llmService.setApiKey(provider, key);
+            imported.push(provider);
+        }
+
+        return imported;
+    }
+
+    getKeyStatus() {
+        const stored = this.keyStore.status();
+        const providers = {};
+        Object.keys(this.config.apiKeys).forEach(provider => {
+            providers[provider] = {
+                stored: !!stored[provider],
+                configured: !!this.config.apiKeys[provider]
+            };
+        });
+
+        return {
+            encryptionAvailable: this.keyStore.isEncryptionAvailable(),
+            providers
+        };
+    }
+
+    /**
+     * The key store also holds webhook secrets and the control API token; the key IPC only reaches provider keys
+     * @param {string} provider - Provider name from the renderer
+     */
+    assertApiKeyProvider(provider) {
+        if (!Object.keys(this.config.apiKeys).includes(provider)) {
+            throw new Error(`Unknown provider: ${provider}`);
+        }
+    }
+
     setupIpcHandlers() {
-        ipcMain.handle('get-api-key', () => {
-            // Return the current provider's API key for compatibility
-            return this.config.apiKeys[this.config.provider] || '';
+        // Keys only ever travel renderer -> main; the renderer just sees whether one is set
+        ipcMain.handle('get-key-status', () => {
+            return this.getKeyStatus();
+        });
+
+        ipcMain.handle('save-api-key', (event, provider, key) => {
+            try {
+                this.assertApiKeyProvider(provider);
+                const trimmed = (key || '').trim();
+                if (!trimmed) {
+                    throw new Error('Key is empty');
+                }
+                this.keyStore.set(provider, trimmed);
+                this.config.apiKeys[provider] = trimmed;
+                this.llmService.setApiKey(provider, trimmed);
+                return { success: true, status: this.getKeyStatus() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-api-key', (event, provider) => {
+            try {
+                this.assertApiKeyProvider(provider);
+                this.keyStore.remove(provider);
+                this.config.apiKeys[provider] = '';
+                this.llmService.setApiKey(provider, '');
+                return { success: true, status: this.getKeyStatus() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('test-api-key', (event, provider, key) => {
+            // Test a freshly typed key, or fall back to the stored one
+            return this.llmService.testApiKey(provider, (key || '').trim() || this.config.apiKeys[provider]);
+        });
+
+        ipcMain.handle('import-api-keys', () => {
+            const imported = this.importApiKeys(this.readEnvConfiguration().apiKeys);
+            return { success: true, imported, status: this.getKeyStatus() };
         });
 
         ipcMain.handle('get-llm-config', () => {
             return {
                 provider: this.config.provider,
                 providerInfo: this.llmService.getProviderInfo(),
-                hasApiKey: !!this.config.apiKeys[this.config.provider]
+                consensusProviders: this.getConsensusProviders(),
+                hasApiKey: this.isReadyToAnalyze()
             };
         });
 
@@ -165,22 +420,172 @@ class SnapScalpMain {
             try {
                 this.config.provider = provider.toLowerCase();
                 this.llmService.switchProvider(this.config.provider);
+                this.failoverProvider = null;
+                this.settingsStore.update({ provider: this.config.provider });
                 return { success: true, provider: this.config.provider };
             } catch (error) {
                 return { success: false, error: error.message };
             }
         });
 
-        ipcMain.handle('select-area', () => {
-            return this.selectArea();
+        ipcMain.handle('show-dashboard', () => {
+            if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+                this.mainWindow.show();
+                this.mainWindow.focus();
+            }
+        });
+
+        ipcMain.handle('get-provider-health', () => {
+            return this.llmService.getHealth();
         });
 
-        ipcMain.handle('capture-screenshot', () => {
-            return this.captureScreenshot();
+        ipcMain.handle('get-settings', () => {
+            return this.settingsStore.get();
         });
 
-        ipcMain.handle('analyze-chart', (event, imageBase64) => {
-            return this.analyzeChart(imageBase64);
+        ipcMain.handle('save-settings', async (event, patch) => {
+            try {
+                const settings = this.settingsStore.update(patch);
+                // Rebuild the active model so the next cycle uses the new settings
+                this.llmService.applySettings(settings.providers, settings.requests, settings.failover);
+                await this.applyControlApiSettings();
+                this.applyChartOverlaySettings();
+                this.applyHudSettings();
+                return { success: true, settings };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-prompt-profiles', () => {
+            return {
+                profiles: this.promptProfiles.list(),
+                variables: PromptProfiles.VARIABLES
+            };
+        });
+
+        ipcMain.handle('save-prompt-profile', (event, profile) => {
+            try {
+                const saved = this.promptProfiles.upsert(profile);
+                this.notifyPromptProfilesChanged();
+                return { success: true, profile: saved };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-prompt-profile', (event, profileId) => {
+            try {
+                this.promptProfiles.remove(profileId);
+                this.notifyPromptProfilesChanged();
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-prompt-profile', async (event, profileId) => {
+            const profile = this.promptProfiles.resolve(profileId);
+            const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Export prompt profile',
+                defaultPath: `${profile.name.replace(/[^\w-]+/g, '-')}.json`,
+                filters: [{ name: 'Prompt profile', extensions: ['json'] }]
+            });
+            if (canceled || !filePath) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                this.promptProfiles.exportToFile(profileId, filePath);
+                return { success: true, filePath };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('import-prompt-profile', async () => {
+            const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, {
+                title: 'Import prompt profile',
+                properties: ['openFile'],
+                filters: [{ name: 'Prompt profile', extensions: ['json', 'txt', 'md'] }]
+            });
+            if (canceled || filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                const profile = this.promptProfiles.importFromFile(filePaths[0]);
+                this.notifyPromptProfilesChanged();
+                return { success: true, profile };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-control-api', () => {
+            return this.getControlApiStatus();
+        });
+
+        ipcMain.handle('regenerate-control-token', async () => {
+            this.controlToken = this.createControlToken();
+            // Running clients keep their connection until the server restarts with the new token
+            await this.controlServer.stop();
+            await this.applyControlApiSettings();
+            return this.getControlApiStatus();
+        });
+
+        ipcMain.handle('get-webhooks', () => {
+            return this.webhookService.list();
+        });
+
+        ipcMain.handle('save-webhook', (event, target) => {
+            try {
+                const saved = this.webhookService.upsert(target);
+                return { success: true, target: saved, targets: this.webhookService.list() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-webhook', (event, targetId) => {
+            this.webhookService.remove(targetId);
+            return { success: true, targets: this.webhookService.list() };
+        });
+
+        ipcMain.handle('test-webhook', async (event, targetId) => {
+            const target = this.webhookService.list().find(t => t.id === targetId);
+            if (!target) {
+                return { ok: false, error: 'Unknown webhook' };
+            }
+
+            // Filters are skipped so any target can be checked against a receiver
+            const payload = this.webhookService.buildPayload({
+                area: { id: 'test', name: 'Test area' },
+                provider: this.config.provider,
+                model: this.llmService.getModelName(),
+                analysis: {
+                    decision: 'Long',
+                    confidence: 75,
+                    reason: 'Test payload from SnapScalp',
+                    scenarios: [{ side: 'Long', entry: '100.00', stop: '99.50', targets: ['101.00'], conditions: 'test', invalidate: 'test' }],
+                    levels: { support: ['99.50'], resistance: ['101.00'] }
+                }
+            });
+            return this.webhookService.deliver(target, { ...payload, event: 'test' });
+        });
+
+        ipcMain.handle('select-area', (event, areaId) => {
+            return this.selectArea(areaId);
+        });
+
+        ipcMain.handle('capture-screenshot', (event, areaId) => {
+            const area = areaId ? this.watchlist.get(areaId) : this.watchlist.listActive()[0];
+            return this.captureScreenshot(area);
+        });
+
+        ipcMain.handle('analyze-chart', async (event, imageBase64) => {
+            const result = await this.analyzeChart(imageBase64);
+            return result.analysis;
         });
 
         ipcMain.handle('start-analysis', () => {
@@ -191,105 +596,496 @@ class SnapScalpMain {
             return this.stopAnalysis();
         });
 
-        ipcMain.handle('get-capture-area', () => {
-            return this.captureArea;
+        ipcMain.handle('get-capture-areas', () => {
+            return this.watchlist.list();
+        });
+
+        ipcMain.handle('update-capture-area', (event, areaId, patch) => {
+            const area = this.watchlist.update(areaId, patch);
+            this.notifyCaptureAreasChanged();
+            return area;
+        });
+
+        ipcMain.handle('get-history', (event, filter) => {
+            return this.historyStore.list(filter);
+        });
+
+        ipcMain.handle('get-history-entry', (event, entryId) => {
+            return this.historyStore.get(entryId);
+        });
+
+        ipcMain.handle('get-paper-trading', () => {
+            return { stats: this.paperTrader.stats(), trades: this.paperTrader.list() };
+        });
+
+        ipcMain.handle('clear-paper-trades', () => {
+            this.paperTrader.clear();
+            return { success: true };
+        });
+
+        ipcMain.handle('get-usage', () => {
+            const { costs } = this.settingsStore.get();
+            return {
+                ...this.usageTracker.getTotals(),
+                budgets: { daily: costs.dailyBudget, session: costs.sessionBudget }
+            };
+        });
+
+        ipcMain.handle('reset-usage-session', () => {
+            this.usageTracker.resetSession();
+            this.mainWindow?.webContents.send('usage-updated', this.usageTracker.getSpend());
+            return { success: true };
+        });
+
+        ipcMain.handle('choose-replay-folder', async () => {
+            const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, {
+                title: 'Replay chart images',
+                properties: ['openDirectory']
+            });
+            if (canceled || filePaths.length === 0) {
+                return null;
+            }
+            return { directory: filePaths[0], frames: this.replayService.loadFolder(filePaths[0]).length };
+        });
+
+        ipcMain.handle('start-replay', (event, options) => {
+            try {
+                this.startReplay(options);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('stop-replay', () => {
+            this.replayService.stop();
+            return { success: true };
+        });
+
+        ipcMain.handle('show-replay-file', (event, filePath) => {
+            // Only reveal files the replay wrote
+            if (path.dirname(filePath) === this.getReplayDirectory()) {
+                shell.showItemInFolder(filePath);
+            }
+        });
+
+        ipcMain.handle('get-session-state', () => {
+            return this.sessionRecorder.getState();
+        });
+
+        ipcMain.handle('start-session-recording', (event, name) => {
+            const session = this.sessionRecorder.start(name);
+            this.sendStatus(`Recording session ${session.name}`);
+            this.notifySessionsChanged();
+            return { success: true, session };
+        });
+
+        ipcMain.handle('stop-session-recording', () => {
+            const session = this.sessionRecorder.stop();
+            if (session) {
+                this.sendStatus(`Session ${session.name} saved`);
+            }
+            this.notifySessionsChanged();
+            return { success: true, session };
+        });
+
+        ipcMain.handle('list-sessions', () => {
+            return this.sessionRecorder.list();
+        });
+
+        ipcMain.handle('add-session-note', (event, sessionId, text) => {
+            try {
+                const note = this.sessionRecorder.addNote(sessionId, text);
+                this.notifySessionsChanged();
+                return { success: true, note };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('open-session-report', async (event, sessionId) => {
+            try {
+                await this.openSessionReport(sessionId);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-session-report', async (event, sessionId, format) => {
+            const isPdf = format === 'pdf';
+            const session = this.sessionRecorder.load(sessionId);
+            const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Export session report',
+                defaultPath: `${session.name.replace(/[^\w-]+/g, '-')}.${isPdf ? 'pdf' : 'html'}`,
+                filters: [isPdf ? { name: 'PDF', extensions: ['pdf'] } : { name: 'HTML', extensions: ['html'] }]
+            });
+            if (canceled || !filePath) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                const reportPath = await this.writeSessionReport(sessionId);
+                if (isPdf) {
+                    fs.writeFileSync(filePath, await this.printReportToPdf(reportPath));
+                } else {
+                    fs.copyFileSync(reportPath, filePath);
+                }
+                return { success: true, filePath };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
         });
+
+        ipcMain.handle('export-session-bundle', async (event, sessionId) => {
+            const session = this.sessionRecorder.load(sessionId);
+            const { canceled, filePath } = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Export session bundle',
+                defaultPath: `${session.name.replace(/[^\w-]+/g, '-')}.snapsession`,
+                filters: [{ name: 'SnapScalp session', extensions: ['snapsession'] }]
+            });
+            if (canceled || !filePath) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                this.sessionRecorder.exportBundle(sessionId, filePath);
+                return { success: true, filePath };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('import-session-bundle', async () => {
+            const { canceled, filePaths } = await dialog.showOpenDialog(this.mainWindow, {
+                title: 'Import session bundle',
+                filters: [{ name: 'SnapScalp session', extensions: ['snapsession'] }],
+                properties: ['openFile']
+            });
+            if (canceled || filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                const session = this.sessionRecorder.importBundle(filePaths[0]);
+                this.notifySessionsChanged();
+                return { success: true, session };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-session', (event, sessionId) => {
+            try {
+                this.sessionRecorder.remove(sessionId);
+                this.notifySessionsChanged();
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-capture-area', (event, areaId) => {
+            this.watchlist.remove(areaId);
+            this.notifyCaptureAreasChanged();
+            return { success: true };
+        });
+    }
+
+    /**
+     * Callbacks the control API exposes; they mirror the IPC handlers
+     * @returns {Object} - Handlers for ControlServer
+     */
+    getControlHandlers() {
+        return {
+            getStatus: () => ({
+                running: this.isAnalyzing,
+                provider: this.config.provider,
+                consensusProviders: this.getConsensusProviders(),
+                areas: this.watchlist.list().length
+            }),
+            getLatest: (areaId) => (areaId
+                ? this.latestResults.get(areaId) || null
+                : Array.from(this.latestResults.values())),
+            listHistory: (filter) => this.historyStore.list(filter),
+            getHistoryEntry: (id) => this.historyStore.get(id),
+            start: () => {
+                const result = this.startAnalysis();
+                this.notifyAnalysisStateChanged();
+                return result;
+            },
+            stop: () => {
+                const result = this.stopAnalysis();
+                this.notifyAnalysisStateChanged();
+                return result;
+            },
+            analyzeNow: (areaId) => this.analyzeNow(areaId),
+            listAreas: () => this.watchlist.list(),
+            addArea: (fields) => {
+                this.assertValidRect(fields.rect);
+                const area = this.watchlist.add({
+                    intervalMs: this.settingsStore.get().defaultIntervalMs,
+                    ...fields,
+                    id: undefined
+                });
+                this.notifyCaptureAreasChanged();
+                return area;
+            },
+            updateArea: (id, patch) => {
+                if (patch.rect !== undefined) {
+                    this.assertValidRect(patch.rect);
+                }
+                const area = this.watchlist.update(id, patch);
+                this.changeDetector.reset(id);
+                this.notifyCaptureAreasChanged();
+                return area;
+            },
+            removeArea: (id) => {
+                this.watchlist.remove(id);
+                this.notifyCaptureAreasChanged();
+                return { success: true };
+            }
+        };
+    }
+
+    /**
+     * @param {Object} rect - Capture rectangle in screen coordinates (DIPs)
+     */
+    assertValidRect(rect) {
+        const valid = rect && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(rect[key]))
+            && rect.width > 0 && rect.height > 0;
+        if (!valid) {
+            throw new Error('rect needs numeric x, y and a positive width and height');
+        }
+        // Throws for rectangles outside any display or across monitors
+        this.captureService.getDisplayForArea(rect);
+    }
+
+    getControlToken() {
+        if (!this.controlToken) {
+            this.controlToken = this.keyStore.get('control-api') || this.createControlToken();
+        }
+        return this.controlToken;
     }
 
-    async selectArea() {
+    createControlToken() {
+        const token = crypto.randomBytes(24).toString('hex');
+        try {
+            this.keyStore.set('control-api', token);
+        } catch (error) {
+            // Without keychain encryption the token only lasts for this session
+            console.warn('[Main] Control API token not persisted:', error.message);
+        }
+        return token;
+    }
+
+    /**
+     * Start or stop the control API to match the settings
+     * @returns {Promise<void>}
+     */
+    async applyControlApiSettings() {
+        const { controlApi } = this.settingsStore.get();
+
+        if (this.controlServer.isRunning() && (!controlApi.enabled || this.controlServer.port !== controlApi.port)) {
+            await this.controlServer.stop();
+        }
+
+        this.controlApiError = null;
+        if (controlApi.enabled && !this.controlServer.isRunning()) {
+            try {
+                await this.controlServer.start({
+                    port: controlApi.port,
+                    token: this.getControlToken()
+                });
+            } catch (error) {
+                console.error('[Main] Control API failed to start:', error);
+                this.controlApiError = error.code === 'EADDRINUSE'
+                    ? `Port ${controlApi.port} is already in use`
+                    : error.message;
+            }
+        }
+    }
+
+    applyChartOverlaySettings() {
+        this.chartOverlay.setEnabled(this.settingsStore.get().chartOverlay.enabled, this.getScheduledAreas());
+    }
+
+    toggleChartOverlay() {
+        const enabled = !this.settingsStore.get().chartOverlay.enabled;
+        this.settingsStore.update({ chartOverlay: { enabled } });
+        this.applyChartOverlaySettings();
+        this.sendStatus(`Chart overlay ${enabled ? 'on' : 'off'}`);
+    }
+
+    applyHudSettings() {
+        const { hud } = this.settingsStore.get();
+        this.hudWindow.apply(hud, this.getScheduledAreas());
+
+        // Only a change of mode hides or shows the dashboard, so saving settings from a dashboard
+        // brought back with the HUD's button doesn't hide it again
+        const replaced = hud.enabled && hud.replaceDashboard;
+        if (replaced === this.dashboardReplaced || !this.mainWindow || this.mainWindow.isDestroyed()) return;
+        this.dashboardReplaced = replaced;
+        if (replaced) {
+            this.mainWindow.hide();
+        } else {
+            this.mainWindow.show();
+        }
+    }
+
+    toggleHud() {
+        const enabled = !this.settingsStore.get().hud.enabled;
+        this.settingsStore.update({ hud: { enabled } });
+        this.applyHudSettings();
+        this.sendStatus(`HUD ${enabled ? 'on' : 'off'}`);
+    }
+
+    toggleHudClickThrough() {
+        const clickThrough = !this.settingsStore.get().hud.clickThrough;
+        this.settingsStore.update({ hud: { clickThrough } });
+        this.applyHudSettings();
+        this.sendStatus(`HUD ${clickThrough ? 'click-through' : 'draggable'}`);
+    }
+
+    getControlApiStatus() {
+        const { controlApi } = this.settingsStore.get();
+        return {
+            ...controlApi,
+            running: this.controlServer.isRunning(),
+            url: `http://127.0.0.1:${controlApi.port}`,
+            token: this.getControlToken(),
+            error: this.controlApiError
+        };
+    }
+
+    notifyAnalysisStateChanged() {
+        this.mainWindow?.webContents.send('analysis-state-changed', this.isAnalyzing);
+    }
+
+    notifyPromptProfilesChanged() {
+        this.mainWindow?.webContents.send('prompt-profiles-updated', this.promptProfiles.list());
+    }
+
+    notifyCaptureAreasChanged() {
+        this.mainWindow?.webContents.send('capture-areas-updated', this.watchlist.list());
+        this.chartOverlay.sync(this.getScheduledAreas());
+        this.hudWindow.sync(this.getScheduledAreas());
+    }
+
+    /**
+     * Let the user drag out a rectangle and store it in the watchlist
+     * @param {string} [areaId] - Existing area to reselect; a new area is added when omitted
+     * @returns {Promise<Object|null>} - The stored capture area, or null when cancelled
+     */
+    async selectArea(areaId) {
+        const rect = await this.selectRect();
+        if (!rect) {
+            return null;
+        }
+
+        const area = areaId
+            ? this.watchlist.update(areaId, { rect })
+            : this.watchlist.add({ rect, intervalMs: this.settingsStore.get().defaultIntervalMs });
+        this.changeDetector.reset(area.id);
+        this.notifyCaptureAreasChanged();
+        return area;
+    }
+
+    async selectRect() {
         return new Promise((resolve) => {
             // Minimize main window to allow access to other windows
             this.mainWindow.minimize();
             
             // Wait a moment for the minimize animation
             setTimeout(() => {
-                // Get all displays to cover multi-monitor setups
+                // One overlay per display so every monitor can be selected at its own DPI
                 const displays = screen.getAllDisplays();
-                const primaryDisplay = displays[0];
                 
-                // Create overlay window that covers the primary display but allows click-through
-                this.overlayWindow = new BrowserWindow({
-                    width: primaryDisplay.bounds.width,
-                    height: primaryDisplay.bounds.height,
-                    x: primaryDisplay.bounds.x,
-                    y: primaryDisplay.bounds.y,
-                    frame: false,
-                    transparent: true,
-                    alwaysOnTop: true,
-                    skipTaskbar: true,
-                    resizable: false,
-                    movable: false,
-                    focusable: true,
-                    webPreferences: {
-                        nodeIntegration: false,
-                        contextIsolation: true,
-                        preload: path.join(__dirname, 'preload.js')
-                    }
-                });
+                this.overlayWindows = displays.map(display => {
+                    const overlayWindow = new BrowserWindow({
+                        width: display.bounds.width,
+                        height: display.bounds.height,
+                        x: display.bounds.x,
+                        y: display.bounds.y,
+                        frame: false,
+                        transparent: true,
+                        alwaysOnTop: true,
+                        skipTaskbar: true,
+                        resizable: false,
+                        movable: false,
+                        focusable: true,
+                        webPreferences: {
+                            nodeIntegration: false,
+                            contextIsolation: true,
+                            preload: path.join(__dirname, 'preload.js')
+                        }
+                    });
 
-                // Load overlay HTML
-                this.overlayWindow.loadFile('overlay.html');
+                    // Load overlay HTML
+                    overlayWindow.loadFile('overlay.html');
+                    return overlayWindow;
+                });
                 
-                // Focus the overlay window to capture keyboard events
-                this.overlayWindow.focus();
+                // Focus the overlay under the cursor to capture keyboard events
+                const cursorDisplay = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+                const focusIndex = Math.max(0, displays.findIndex(display => display.id === cursorDisplay.id));
+                this.overlayWindows[focusIndex]?.focus();
 
-                // Handle area selection result
-                ipcMain.once('area-selected', (event, area) => {
-                    this.captureArea = area;
-                    this.overlayWindow?.close();
-                    this.overlayWindow = null;
+                const finish = (area) => {
+                    ipcMain.removeListener('area-selected', onSelected);
+                    ipcMain.removeListener('area-cancelled', onCancelled);
+                    this.closeOverlayWindows();
                     this.mainWindow.restore(); // Restore main window
                     this.mainWindow.focus();
                     resolve(area);
-                });
+                };
 
-                ipcMain.once('area-cancelled', () => {
-                    this.overlayWindow?.close();
-                    this.overlayWindow = null;
-                    this.mainWindow.restore(); // Restore main window
-                    this.mainWindow.focus();
-                    resolve(null);
-                });
+                // Handle area selection result
+                const onSelected = (event, area) => {
+                    try {
+                        const display = this.captureService.getDisplayForArea(area);
+                        finish({ ...area, displayId: display.id });
+                    } catch (error) {
+                        console.error('[Main] Rejected area selection:', error);
+                        dialog.showErrorBox('Invalid capture area', error.message);
+                        finish(null);
+                    }
+                };
+
+                const onCancelled = () => finish(null);
+
+                ipcMain.on('area-selected', onSelected);
+                ipcMain.on('area-cancelled', onCancelled);
             }, 300);
         });
     }
 
-    async captureScreenshot() {
-        if (!this.captureArea) {
+    closeOverlayWindows() {
+        this.overlayWindows.forEach(overlayWindow => {
+            if (!overlayWindow.isDestroyed()) {
+                overlayWindow.close();
+            }
+        });
+        this.overlayWindows = [];
+    }
+
+    async captureScreenshot(area) {
+        if (!area || !area.rect) {
             throw new Error('No capture area set');
         }
 
         try {
-            const displays = screen.getAllDisplays();
-            const primaryDisplay = displays[0];
-            
-            // Get screenshot of entire screen first
-            const img = await screenshot({ format: 'png' });
-            
-            // Calculate scaling factor
-            const scaleFactor = primaryDisplay.scaleFactor || 1;
-            
-            // Calculate crop area (accounting for scale factor)
-            const cropArea = {
-                left: Math.round(this.captureArea.x * scaleFactor),
-                top: Math.round(this.captureArea.y * scaleFactor),
-                width: Math.round(this.captureArea.width * scaleFactor),
-                height: Math.round(this.captureArea.height * scaleFactor)
-            };
-
-            // Crop the image using Sharp
-            const croppedBuffer = await sharp(img)
-                .extract(cropArea)
-                .png()
-                .toBuffer();
+            // Capture from the display holding the area, cropped at that display's scale
+            const capture = await this.captureShield.whileHidden(() => this.captureService.capture(area.rect));
 
             // Convert cropped buffer to base64
-            const base64 = croppedBuffer.toString('base64');
+            const base64 = capture.buffer.toString('base64');
             
             return {
                 success: true,
                 image: base64,
-                cropArea: cropArea
+                cropArea: capture.cropArea,
+                displayId: capture.displayId
             };
         } catch (error) {
             console.error('Screenshot capture error:', error);
@@ -300,114 +1096,749 @@ class SnapScalpMain {
         }
     }
 
-    async analyzeChart(imageBase64) {
+    /**
+     * Analyze an image, or the labeled images of a multi-timeframe group, with the area's prompt profile
+     * @param {string|Array<Object>} images - Base64 encoded image or { label, imageBase64 } per chart
+     * @param {Object} [area] - Watchlist entry; the default profile is used without one
+     * @param {Array<Object|null>} [readings] - OCR'd price axis per image, added to the prompt as ground truth
+     * @param {string} [provider] - A provider name or 'consensus' instead of the configured mode
+     * @param {AbortSignal} [signal] - Cancels the LLM calls
+     * @param {Function} [onPartial] - Called with the fields of a streaming reply as they arrive; consensus doesn't stream
+     * @returns {Promise<Object>} - LLM service result plus cost (USD), profileId and profileName
+     */
+    async analyzeChart(images, area, readings = [], provider = null, signal = null, onPartial = null) {
         try {
             console.log('[Main] Starting chart analysis...');
-            console.log(`[Main] Image base64 length: ${imageBase64 ? imageBase64.length : 0}`);
+            console.log(`[Main] Image count: ${Array.isArray(images) ? images.length : 1}`);
             
-            const result = await this.llmService.analyzeChart(imageBase64);
-            
-            console.log('[Main] LLM Service returned result:', result);
-            console.log('[Main] Result type:', typeof result);
-            console.log('[Main] Result length:', result ? result.length : 0);
+            this.assertWithinBudget();
+
+            const profile = this.promptProfiles.resolve(area && area.profileId);
+            const groundTruth = this.priceAxisReader.describe(readings);
+            const instructions = groundTruth
+                ? `${this.promptProfiles.render(profile, area)}\n\n${groundTruth}`
+                : this.promptProfiles.render(profile, area);
+            const consensusProviders = provider && provider !== 'consensus'
+                ? null
+                : this.getConsensusProviders(provider === 'consensus');
+            const result = consensusProviders
+                ? await this.llmService.analyzeConsensus(images, instructions, consensusProviders, {
+                    levelTolerancePct: this.settingsStore.get().consensus.levelTolerancePct,
+                    signal
+                })
+                : provider
+                    ? await this.llmService.analyzeChart(images, instructions, provider, { signal, onPartial })
+                    : await this.llmService.analyzeWithFailover(images, instructions, { signal, onPartial });
             
-            return result;
+            console.log('[Main] LLM Service returned result:', result.analysis);
+            console.log('[Main] Result length:', result.analysis ? result.analysis.length : 0);
+
+            const cost = this.recordUsage(area, result.usage);
+            this.reportFailover(result);
+            return { ...result, cost, profileId: profile.id, profileName: profile.name };
         } catch (error) {
+            // Failed and cancelled analyses still pay for the replies they got
+            if (error.usage && error.usage.length > 0) {
+                this.recordUsage(area, error.usage);
+            }
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             console.error('[Main] Analysis error:', error);
             throw new Error(`Analysis failed: ${error.message}`);
+        } finally {
+            this.mainWindow?.webContents.send('provider-health-updated', this.llmService.getHealth());
         }
     }
 
-    startAnalysis() {
-        if (!this.config.apiKeys[this.config.provider]) {
-            throw new Error(`Missing API key for ${this.config.provider}`);
+    /**
+     * Tell the dashboard when a fallback provider takes over from the active one, or hands back
+     * @param {Object} result - LLM service result
+     */
+    reportFailover(result) {
+        if (result.fallbackFor === undefined) return;
+
+        const provider = result.fallbackFor ? result.provider : null;
+        if (provider === this.failoverProvider) return;
+
+        const message = provider
+            ? `${result.fallbackFor} failing, ${provider} is answering instead`
+            : `Back on ${result.provider}`;
+        this.failoverProvider = provider;
+        console.log(`[Main] Failover: ${message}`);
+        this.sendStatus(message);
+    }
+
+    /**
+     * Providers asked for every capture in consensus mode
+     * @param {boolean} [always] - Return them even when consensus mode is off
+     * @returns {Array<string>|null} - Configured vision providers, or null when consensus mode is off
+     */
+    getConsensusProviders(always = false) {
+        const { consensus } = this.settingsStore.get();
+        if (!consensus.enabled && !always) {
+            return null;
+        }
+        return consensus.providers.filter(provider => (
+            this.llmService.isProviderConfigured(provider) && this.llmService.hasVisionSupport(provider)
+        ));
+    }
+
+    isReadyToAnalyze() {
+        const consensusProviders = this.getConsensusProviders();
+        return consensusProviders
+            ? consensusProviders.length >= 2
+            : this.llmService.isProviderConfigured(this.config.provider);
+    }
+
+    /**
+     * Capture and analyze right away, outside the schedule and without the change check
+     * @param {string} [areaId] - One area; every active area when omitted
+     * @returns {Object} - { success, queued, busy } with area ids
+     */
+    analyzeNow(areaId) {
+        this.assertReadyToAnalyze();
+
+        const areas = areaId ? [this.watchlist.get(areaId)] : this.getScheduledAreas();
+        if (areaId && !areas[0]) {
+            throw new Error(`Unknown capture area: ${areaId}`);
         }
-        if (!this.captureArea) {
+        if (areas.length === 0 || areas.some(area => !area.rect)) {
+            throw new Error('No capture area set');
+        }
+
+        const queued = [];
+        const busy = [];
+        areas.forEach(area => {
+            (this.scheduler.runOnce(area, { manual: true }) ? queued : busy).push(area.id);
+        });
+        return { success: true, queued, busy };
+    }
+
+    assertReadyToAnalyze() {
+        if (!this.isReadyToAnalyze()) {
+            throw new Error(this.getConsensusProviders()
+                ? 'Consensus mode needs at least two configured vision providers'
+                : `Missing API key for ${this.config.provider}`);
+        }
+        this.assertWithinBudget();
+    }
+
+    /**
+     * Add an analysis' token usage to the totals and stop analyzing once a budget is used up
+     * @param {Object} [area] - Watchlist entry the analysis was for
+     * @param {Array<Object>} usage - LLM service usage entries
+     * @returns {number} - Cost of the analysis in USD
+     */
+    recordUsage(area, usage) {
+        const { costs } = this.settingsStore.get();
+        const { cost, unpriced } = this.usageTracker.record(area ? area.name : 'Manual', usage, costs.prices);
+        if (unpriced > 0) {
+            console.warn(`[Main] No price for ${usage.map(entry => entry.model).join(', ')}; counted as free`);
+        }
+
+        this.mainWindow?.webContents.send('usage-updated', this.usageTracker.getSpend());
+        this.enforceBudgets();
+        return cost;
+    }
+
+    /**
+     * @returns {Object|null} - { label, budget, spent } of the first daily or session budget that is used up
+     */
+    getReachedBudget() {
+        const { costs } = this.settingsStore.get();
+        const spend = this.usageTracker.getSpend();
+        if (costs.dailyBudget > 0 && spend.today >= costs.dailyBudget) {
+            return { label: 'Daily', budget: costs.dailyBudget, spent: spend.today };
+        }
+        if (costs.sessionBudget > 0 && spend.session >= costs.sessionBudget) {
+            return { label: 'Session', budget: costs.sessionBudget, spent: spend.session };
+        }
+        return null;
+    }
+
+    assertWithinBudget() {
+        const reached = this.getReachedBudget();
+        if (reached) {
+            throw new Error(`${reached.label} budget of $${reached.budget.toFixed(2)} reached ($${reached.spent.toFixed(2)} spent)`);
+        }
+    }
+
+    /**
+     * Stop the analysis loop and any replay when a budget is used up. Calls in flight are cancelled
+     * by stopAnalysis, what they had used is still recorded; only the call that stopped something notifies.
+     */
+    enforceBudgets() {
+        const reached = this.getReachedBudget();
+        if (!reached || !(this.isAnalyzing || this.replayService.isRunning())) {
+            return;
+        }
+
+        const message = `${reached.label} budget of $${reached.budget.toFixed(2)} reached ($${reached.spent.toFixed(2)} spent), analysis stopped`;
+        console.log(`[Main] ${message}`);
+        this.stopAnalysis();
+        this.replayService.stop();
+        this.notifyAnalysisStateChanged();
+        this.showNotification('Budget reached', message);
+        this.sendStatus(message);
+        this.requestAttention();
+    }
+
+    /**
+     * Active areas that run on their own schedule; areas linked to an active lead run with it
+     * @returns {Array<Object>} - Watchlist entries
+     */
+    getScheduledAreas() {
+        const active = this.watchlist.listActive();
+        const activeIds = new Set(active.map(area => area.id));
+        return active.filter(area => !(area.linkedTo && activeIds.has(area.linkedTo)));
+    }
+
+    /**
+     * @param {Object} area - Lead area
+     * @returns {Array<Object>} - The lead followed by the active areas linked to it
+     */
+    getAnalysisGroup(area) {
+        return area.linkedTo ? [area] : [area, ...this.watchlist.listLinked(area.id)];
+    }
+
+    startAnalysis() {
+        this.assertReadyToAnalyze();
+        if (this.watchlist.listActive().length === 0) {
             throw new Error('No capture area set');
         }
 
         this.isAnalyzing = true;
-        
-        // Trigger immediate analysis for debugging
-        console.log('[Main] Triggering immediate analysis for debugging...');
-        setTimeout(async () => {
-            if (!this.isAnalyzing) return;
+        this.changeDetector.reset();
+        this.alertMonitor.reset();
+        this.scheduler.start();
+
+        return { success: true };
+    }
+
+    /**
+     * Capture and analyze one area, or a lead with its linked timeframes, pushing the result to the dashboard
+     * @param {Object} area - Watchlist entry
+     * @param {Object} [options] - { manual }
+     */
+    async runAnalysisCycle(area, options = {}) {
+        // Manual runs (analyze now) work while stopped and skip the change check
+        const manual = options.manual === true;
+        if (!this.isAnalyzing && !manual) return;
+
+        const meta = { areaId: area.id, areaName: area.name };
+        const signal = this.cycleAbort.signal;
+        // Set while a streamed reply is shown that no validated result has replaced yet
+        let streaming = false;
+
+        try {
+            console.log(`[Main] Analysis cycle starting for ${area.name}...`);
+            this.sendStatus(`${area.name}: Capturing`, meta);
             
-            try {
-                console.log('[Main] Immediate analysis starting...');
-                this.mainWindow?.webContents.send('status-update', 'Capturing (immediate)');
-                
-                const screenshot = await this.captureScreenshot();
-                console.log('[Main] Immediate screenshot result:', { success: screenshot.success, imageLength: screenshot.image ? screenshot.image.length : 0 });
-                
-                if (screenshot.success) {
-                    this.mainWindow?.webContents.send('status-update', 'Analyzing (immediate)');
-                    
-                    const analysis = await this.analyzeChart(screenshot.image);
-                    console.log('[Main] Immediate analysis complete:', analysis);
-                    
-                    this.mainWindow?.webContents.send('analysis-result', analysis, screenshot.image);
-                    this.mainWindow?.webContents.send('status-update', 'Updated (immediate)');
-                    
-                    console.log('[Main] Immediate analysis sent to renderer');
-                } else {
-                    console.log('[Main] Immediate screenshot failed:', screenshot.error);
-                    this.mainWindow?.webContents.send('status-update', 'Immediate capture failed');
-                }
-            } catch (error) {
-                console.error('[Main] Immediate analysis error:', error);
-                this.mainWindow?.webContents.send('status-update', 'Immediate analysis error');
+            const group = this.getAnalysisGroup(area);
+            const screenshots = [];
+            for (const member of group) {
+                screenshots.push(await this.captureScreenshot(member));
             }
-        }, 2000);
-        
-        // Start analysis loop - capture every 30 seconds
-        this.analysisInterval = setInterval(async () => {
-            if (!this.isAnalyzing) return;
+            console.log('[Main] Screenshot result:', screenshots.map(s => ({ success: s.success, imageLength: s.image ? s.image.length : 0 })));
             
-            try {
-                console.log('[Main] Analysis loop iteration starting...');
-                this.mainWindow?.webContents.send('status-update', 'Capturing');
+            const failed = screenshots.find(s => !s.success);
+            if (!failed) {
+                // Near-identical frames keep the last result instead of paying for another call;
+                // a group is analyzed again as soon as any of its charts moved
+                const buffers = screenshots.map(s => Buffer.from(s.image, 'base64'));
+                const changes = await Promise.all(group.map((member, i) => (
+                    this.changeDetector.compare(member.id, buffers[i], member.changeThreshold)
+                )));
+                if (!changes.some(change => change.changed) && !manual) {
+                    const changePercent = Math.max(...changes.map(change => change.changePercent));
+                    console.log(`[Main] Skipping ${area.name}: ${changePercent.toFixed(2)}% changed`);
+                    this.sendStatus(
+                        `${area.name}: No change (${changePercent.toFixed(1)}%), skipped at ${this.formatTime(new Date())}`,
+                        meta
+                    );
+                    return;
+                }
+
+                this.sendStatus(`${area.name}: Analyzing`, meta);
                 
-                const screenshot = await this.captureScreenshot();
-                console.log('[Main] Screenshot result:', { success: screenshot.success, imageLength: screenshot.image ? screenshot.image.length : 0 });
+                const frames = group.map((member, i) => ({ label: member.timeframe || member.name, imageBase64: screenshots[i].image }));
+                const readings = await this.readPriceAxes(group.length > 1 ? frames : [{ label: null }], buffers);
+                const onPartial = partial => {
+                    if (!this.isAnalyzing && !manual) return;
+                    streaming = true;
+                    this.sendPartial(partial, meta);
+                };
+                const checked = this.applyPriceCheck(
+                    await this.analyzeChart(group.length > 1 ? frames : frames[0].imageBase64, area, readings, null, signal, onPartial),
+                    readings
+                );
+                const result = { ...checked, sizing: this.sizeResult(checked, area) };
+                console.log('[Main] Analysis complete, sending to renderer...');
                 
-                if (screenshot.success) {
-                    this.mainWindow?.webContents.send('status-update', 'Analyzing');
-                    
-                    const analysis = await this.analyzeChart(screenshot.image);
-                    console.log('[Main] Analysis complete, sending to renderer...');
-                    console.log('[Main] Analysis result:', analysis);
-                    
-                    const now = new Date();
-                    const timeString = now.toLocaleTimeString('en-US', { 
-                        hour12: false, 
-                        hour: '2-digit', 
-                        minute: '2-digit', 
-                        second: '2-digit' 
-                    });
-                    this.mainWindow?.webContents.send('analysis-result', analysis, screenshot.image);
-                    this.mainWindow?.webContents.send('status-update', `Updated at ${timeString}`);
-                    
-                    console.log('[Main] Sent analysis-result and status-update to renderer');
-                } else {
-                    console.log('[Main] Screenshot failed:', screenshot.error);
-                    this.mainWindow?.webContents.send('status-update', 'Capture failed');
-                }
+                if (!this.isAnalyzing && !manual) return;
+
+                group.forEach((member, i) => this.changeDetector.commit(member.id, changes[i].fingerprint));
+
+                // Dashboard, history and webhooks get the group as one stacked, labeled image
+                const image = group.length > 1
+                    ? (await this.captureService.compose(frames.map((frame, i) => ({ label: frame.label, buffer: buffers[i] })))).toString('base64')
+                    : screenshots[0].image;
+
+                this.sendResult(result, image, meta);
+                streaming = false;
+                this.chartOverlay.update(area, JSON.parse(result.analysis));
+                this.recordHistory(area, result, image);
+                this.checkAlerts(area, result.analysis);
+                this.sendWebhooks(area, result, image);
+                this.trackPaperTrades(area, result);
+                this.recordSessionFrame(area, result, image);
+                this.sendStatus(`${area.name}: Updated at ${this.formatTime(new Date())}`, meta);
+            } else {
+                console.log('[Main] Screenshot failed:', failed.error);
+                this.sendStatus(`${area.name}: Capture failed`, meta);
+            }
+        } catch (error) {
+            if (signal.aborted) {
+                console.log(`[Main] Analysis of ${area.name} cancelled`);
+                this.sendStatus(`${area.name}: Cancelled`, meta);
+                return;
+            }
+            console.error('[Main] Analysis cycle error:', error);
+            this.mainWindow?.webContents.send('analysis-error', error.message, meta);
+            this.sendStatus(`${area.name}: Analysis error`, meta);
+        } finally {
+            if (streaming) {
+                this.discardPartial(meta);
+            }
+        }
+    }
+
+    /**
+     * OCR the price scale of each capture when the price check is on
+     * @param {Array<Object>} frames - { label } per capture; label is null for a single chart
+     * @param {Array<Buffer>} buffers - Captures
+     * @returns {Promise<Array<Object|null>>} - Reading with its label per capture, null where nothing could be read
+     */
+    async readPriceAxes(frames, buffers) {
+        if (!this.settingsStore.get().priceCheck.enabled) {
+            return [];
+        }
+
+        const readings = [];
+        for (let i = 0; i < frames.length; i++) {
+            try {
+                const reading = await this.priceAxisReader.read(buffers[i]);
+                readings.push(reading ? { ...reading, label: frames[i].label } : null);
             } catch (error) {
-                console.error('[Main] Analysis loop error:', error);
-                this.mainWindow?.webContents.send('status-update', 'Analysis error');
+                console.error('[Main] Price axis OCR failed:', error);
+                readings.push(null);
             }
-        }, 30000);
+        }
+        return readings;
+    }
 
-        return { success: true };
+    /**
+     * Check the plan against the OCR'd price scale and draw the overlay with the OCR'd axis
+     * instead of the model's estimate
+     * @param {Object} result - analyzeChart() result
+     * @param {Array<Object|null>} readings - From readPriceAxes
+     * @returns {Object} - Result with the checked analysis and priceCheck ({ low, high, lastPrice, flagged, dropped }) when the axis was read
+     */
+    applyPriceCheck(result, readings) {
+        const { analysis, check } = this.priceAxisReader.check(
+            JSON.parse(result.analysis),
+            readings,
+            this.settingsStore.get().priceCheck.mode
+        );
+        if (!check) {
+            return result;
+        }
+
+        if (check.flagged.length || check.dropped) {
+            console.log(`[Main] Off-chart prices (visible ${check.low} - ${check.high}):`, check.dropped ? `${check.dropped} scenario(s) dropped` : check.flagged);
+        }
+        if (readings[0]) {
+            analysis.price_axis = readings[0].axis;
+        }
+        return { ...result, analysis: JSON.stringify(analysis), priceCheck: check };
+    }
+
+    /**
+     * @param {Object} result - Analysis result
+     * @param {Object} area - Watchlist entry with tickSize/tickValue
+     * @returns {Object|null} - Position size, dollar risk and R multiples per scenario, null when the area has no tick specs
+     */
+    sizeResult(result, area) {
+        return sizeScenarios(JSON.parse(result.analysis).scenarios, area, resolveRisk(this.settingsStore.get().risk, area));
+    }
+
+    /**
+     * Add an analyzed capture to the session being recorded
+     * @param {Object} area - Watchlist entry (the group lead for groups)
+     * @param {Object} result - Analysis result
+     * @param {string} imageBase64 - The capture, composed for groups
+     */
+    recordSessionFrame(area, result, imageBase64) {
+        if (!this.sessionRecorder.isRecording()) {
+            return;
+        }
+        try {
+            this.sessionRecorder.addFrame(area, result, imageBase64);
+            this.notifySessionsChanged();
+        } catch (error) {
+            console.error('[Main] Failed to record session frame:', error);
+        }
+    }
+
+    notifySessionsChanged() {
+        this.mainWindow?.webContents.send('session-state-changed', this.sessionRecorder.getState());
+    }
+
+    /**
+     * Render a session's report into its folder
+     * @param {string} sessionId - Session id
+     * @returns {Promise<string>} - Path of the written report.html
+     */
+    async writeSessionReport(sessionId) {
+        const session = this.sessionRecorder.load(sessionId);
+        const thumbnails = await this.sessionRecorder.getThumbnails(sessionId);
+        const html = renderReport(session, thumbnails, {
+            levelTolerancePct: this.settingsStore.get().consensus.levelTolerancePct
+        });
+        const reportPath = path.join(this.sessionRecorder.getSessionDirectory(sessionId), 'report.html');
+        fs.writeFileSync(reportPath, html);
+        return reportPath;
+    }
+
+    /**
+     * Show a session's report in its own window for review
+     * @param {string} sessionId - Session id
+     */
+    async openSessionReport(sessionId) {
+        const reportPath = await this.writeSessionReport(sessionId);
+        const window = new BrowserWindow({
+            width: 900,
+            height: 800,
+            title: this.sessionRecorder.load(sessionId).name,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true
+            }
+        });
+        window.setMenuBarVisibility(false);
+        window.loadFile(reportPath);
+    }
+
+    /**
+     * @param {string} reportPath - Rendered report.html
+     * @returns {Promise<Buffer>} - The report as PDF
+     */
+    async printReportToPdf(reportPath) {
+        const window = new BrowserWindow({
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true
+            }
+        });
+        try {
+            await window.loadFile(reportPath);
+            return await window.webContents.printToPDF({ printBackground: true, landscape: true, pageSize: 'A4' });
+        } finally {
+            window.destroy();
+        }
+    }
+
+    getReplayDirectory() {
+        return path.join(app.getPath('userData'), 'replays');
+    }
+
+    /**
+     * Start replaying an image folder or an area's history in the background
+     * @param {Object} options - { source: 'folder'|'history', directory, areaId, profileId, provider, speed }
+     *                           areaId supplies the history and the symbol, timeframe and tick size used for the prompt and sizing
+     */
+    startReplay(options) {
+        if (this.replayService.isRunning()) {
+            throw new Error('A replay is already running');
+        }
+        this.assertWithinBudget();
+
+        const template = options.areaId ? this.watchlist.get(options.areaId) : null;
+        if (options.source === 'history' && !template) {
+            throw new Error('Choose the area whose history to replay');
+        }
+        if (options.source !== 'history' && !options.directory) {
+            throw new Error('Choose a folder of chart images');
+        }
+
+        const provider = options.provider || this.config.provider;
+        if (provider === 'consensus') {
+            if ((this.getConsensusProviders(true) || []).length < 2) {
+                throw new Error('Consensus needs at least two configured providers');
+            }
+        } else if (!this.llmService.isProviderConfigured(provider) || !this.llmService.hasVisionSupport(provider)) {
+            throw new Error(`${provider} is not configured for chart analysis`);
+        }
+
+        const frames = options.source === 'history'
+            ? this.replayService.loadHistory(this.historyStore, template.id)
+            : this.replayService.loadFolder(options.directory);
+        const label = options.source === 'history' ? template.name : path.basename(options.directory);
+        const profile = this.promptProfiles.resolve(options.profileId || (template && template.profileId));
+        const area = {
+            ...(template || { name: label }),
+            id: 'replay',
+            name: template ? template.name : label,
+            profileId: profile.id
+        };
+
+        this.replayService.start(frames, {
+            label,
+            area,
+            provider,
+            profileName: profile.name,
+            speed: Math.max(0, parseFloat(options.speed) || 0),
+            outputDir: this.getReplayDirectory()
+        }).catch(error => {
+            console.error('[Main] Replay failed:', error);
+            this.mainWindow?.webContents.send('replay-progress', { running: false, error: error.message });
+        });
+    }
+
+    /**
+     * Analyze one replayed frame like a live capture (price check and sizing included) and show it in the
+     * Replay view. History, alerts, webhooks and paper trades are left alone.
+     * @param {Object} frame - { name, timestamp }
+     * @param {string} imageBase64 - The frame as base64 PNG
+     * @param {Object} options - Replay options ({ area, provider, signal })
+     * @returns {Promise<Object>} - Analysis result
+     */
+    async analyzeReplayFrame(frame, imageBase64, options) {
+        const readings = await this.readPriceAxes([{ label: null }], [Buffer.from(imageBase64, 'base64')]);
+        const checked = this.applyPriceCheck(
+            await this.analyzeChart(imageBase64, options.area, readings, options.provider, options.signal),
+            readings
+        );
+        const result = { ...checked, sizing: this.sizeResult(checked, options.area) };
+
+        this.mainWindow?.webContents.send('replay-result', result.analysis, imageBase64, {
+            frame: frame.name,
+            timestamp: frame.timestamp,
+            provider: result.provider,
+            model: result.model,
+            consensus: result.consensus || null,
+            priceCheck: result.priceCheck || null,
+            sizing: result.sizing
+        });
+        return result;
+    }
+
+    /**
+     * Follow the area's paper trades to the current price, then log the new scenarios. The OCR'd
+     * last price is preferred over the model's reading of it.
+     * @param {Object} area - Watchlist entry (the group lead for groups)
+     * @param {Object} result - Checked and sized analysis result
+     */
+    trackPaperTrades(area, result) {
+        const { paperTrading } = this.settingsStore.get();
+        if (!paperTrading.enabled) {
+            return;
+        }
+
+        try {
+            const analysis = JSON.parse(result.analysis);
+            const ocrPrice = result.priceCheck ? result.priceCheck.lastPrice : null;
+            const price = Number.isFinite(ocrPrice) ? ocrPrice : analysis.last_price;
+            const at = Date.now();
+
+            const changed = this.paperTrader.update(area.id, price, { at, expiryMs: paperTrading.expiryMin * 60000 });
+            const logged = this.paperTrader.record(area, analysis, {
+                provider: result.provider,
+                model: result.model,
+                profileName: result.profileName,
+                price,
+                sizing: result.sizing,
+                at
+            });
+
+            if (changed.length || logged.length) {
+                console.log(`[Main] Paper trades for ${area.name}: ${logged.length} logged, ${changed.length} updated`);
+                this.mainWindow?.webContents.send('paper-trades-updated');
+            }
+        } catch (error) {
+            console.error('[Main] Paper trade tracking failed:', error);
+        }
+    }
+
+    /**
+     * Status line for the dashboard and control API stream clients
+     * @param {string} status - Status text
+     * @param {Object} [meta] - { areaId, areaName } when the status belongs to one area
+     */
+    sendStatus(status, meta) {
+        this.sessionRecorder.addStatus(status, meta);
+        this.mainWindow?.webContents.send('status-update', status, meta);
+        this.controlServer.publish('status-update', { status, meta: meta || null });
+    }
+
+    /**
+     * Show the part of a streaming reply that arrived so far; the validated result follows with sendResult
+     * @param {Object} partial - Completed fields among decision, confidence, reason, scenarios and levels
+     * @param {Object} meta - { areaId, areaName }
+     */
+    sendPartial(partial, meta) {
+        this.mainWindow?.webContents.send('analysis-partial', partial, meta);
+        this.hudWindow.update(meta.areaId, partial, true);
+    }
+
+    /**
+     * Take back a streamed reply whose validated result never came (cancelled, stopped or failed)
+     * @param {Object} meta - { areaId, areaName }
+     */
+    discardPartial(meta) {
+        this.mainWindow?.webContents.send('analysis-partial-discarded', meta);
+        this.hudWindow.discardPartial(meta.areaId);
+    }
+
+    sendResult(result, imageBase64, meta) {
+        const consensus = result.consensus || null;
+        const priceCheck = result.priceCheck || null;
+        const sizing = result.sizing || null;
+        const fallbackFor = result.fallbackFor || null;
+        this.mainWindow?.webContents.send('analysis-result', result.analysis, imageBase64, {
+            ...meta,
+            provider: result.provider,
+            model: result.model,
+            fallbackFor,
+            consensus,
+            priceCheck,
+            sizing
+        });
+
+        const latest = {
+            ...meta,
+            timestamp: new Date().toISOString(),
+            provider: result.provider,
+            model: result.model,
+            fallbackFor,
+            profile: result.profileName || null,
+            agreement: consensus ? consensus.agreement.label : null,
+            priceCheck,
+            sizing,
+            analysis: JSON.parse(result.analysis)
+        };
+        this.latestResults.set(meta.areaId, latest);
+        this.hudWindow.update(meta.areaId, latest.analysis);
+        this.controlServer.publish('analysis-result', { ...latest, imageBase64 });
+    }
+
+    async recordHistory(area, result, imageBase64) {
+        try {
+            const entry = await this.historyStore.add({
+                area,
+                provider: result.provider,
+                model: result.model,
+                profileName: result.profileName,
+                sizing: result.sizing,
+                analysis: result.analysis,
+                rawResponse: result.rawResponse,
+                imageBase64
+            });
+            this.mainWindow?.webContents.send('history-updated', entry);
+        } catch (error) {
+            console.error('[Main] Failed to record history:', error);
+        }
+    }
+
+    sendWebhooks(area, result, imageBase64) {
+        const payload = this.webhookService.buildPayload({
+            ...result,
+            area,
+            analysis: JSON.parse(result.analysis),
+            imageBase64
+        });
+        this.webhookService.dispatch(payload).catch(error => {
+            console.error('[Main] Webhook dispatch failed:', error);
+        });
+    }
+
+    /**
+     * Notify for every alert rule the new result triggers
+     * @param {Object} area - Watchlist entry
+     * @param {string} analysis - Analysis JSON string
+     */
+    checkAlerts(area, analysis) {
+        const { alerts } = this.settingsStore.get();
+        const fired = this.alertMonitor.evaluate(area, JSON.parse(analysis));
+
+        fired.forEach(alert => {
+            console.log(`[Main] Alert: ${alert.title}`);
+            this.showNotification(alert.title, alert.body);
+            this.mainWindow?.webContents.send('alert-fired', alert, {
+                areaId: area.id,
+                areaName: area.name,
+                sound: alerts.sound
+            });
+        });
+
+        if (fired.length > 0 && alerts.flash) {
+            this.requestAttention();
+        }
+    }
+
+    /**
+     * System notification that brings the dashboard forward when clicked
+     * @param {string} title - Notification title
+     * @param {string} body - Notification text
+     */
+    showNotification(title, body) {
+        if (!Notification.isSupported()) return;
+
+        // Sound is played by the renderer so it is the same on every platform
+        const notification = new Notification({ title, body, silent: true });
+        notification.on('click', () => {
+            this.mainWindow?.show();
+            this.mainWindow?.focus();
+        });
+        notification.show();
+    }
+
+    /**
+     * Flash the taskbar entry (Windows/Linux) or bounce the dock icon (macOS) until the window is focused
+     */
+    requestAttention() {
+        if (!this.mainWindow || this.mainWindow.isFocused()) return;
+
+        if (process.platform === 'darwin') {
+            app.dock.bounce('informational');
+        } else {
+            this.mainWindow.flashFrame(true);
+            // Alerts while it already flashes share the one focus listener
+            if (this.isFlashing) return;
+            this.isFlashing = true;
+            this.mainWindow.once('focus', () => {
+                this.isFlashing = false;
+                this.mainWindow?.flashFrame(false);
+            });
+        }
+    }
+
+    formatTime(date) {
+        return date.toLocaleTimeString('en-US', { 
+            hour12: false, 
+            hour: '2-digit', 
+            minute: '2-digit', 
+            second: '2-digit' 
+        });
     }
 
     stopAnalysis() {
         this.isAnalyzing = false;
-        if (this.analysisInterval) {
-            clearInterval(this.analysisInterval);
-            this.analysisInterval = null;
-        }
+        this.scheduler.stop();
+        this.cycleAbort.abort();
+        this.cycleAbort = new AbortController();
         return { success: true };
     }
 }
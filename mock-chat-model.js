@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+
+const LATENCY_MS = 300;
+// Streamed replies come in pieces of a few tokens
+const STREAM_CHUNK_CHARS = 12;
+const STREAM_DELAY_MS = 15;
+// Rough token counts so usage and cost tracking can be tried offline
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 765;
+
+class MockChatModel {
+    /**
+     * Offline stand-in for a vision model, for replays and demos without network or keys.
+     * The answer is derived from a hash of the images, so the same frames always get the same
+     * analysis; prices come from the OCR'd range in the prompt when the price check supplied one.
+     * @param {Object} [options] - { model }
+     */
+    constructor({ model = 'mock' } = {}) {
+        this.model = model;
+    }
+
+    // Replies already come as the { raw, parsed } pair structured models return
+    withStructuredOutput() {
+        return this;
+    }
+
+    /**
+     * @param {Array<HumanMessage>} messages - Prompt text and images
+     * @param {Object} [options] - { signal } cancels the reply like a real request
+     * @returns {Promise<Object>} - { raw: AIMessage, parsed }
+     */
+    async invoke(messages, options = {}) {
+        const parts = messages.flatMap(message => (
+            Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }]
+        ));
+        const texts = parts.filter(part => part.type === 'text').map(part => part.text);
+
+        const hash = crypto.createHash('sha256');
+        parts.filter(part => part.type === 'image_url').forEach(part => hash.update(part.image_url.url));
+        const labels = texts
+            .map(text => text.match(/^Chart (.+):$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+
+        await this.wait(LATENCY_MS, options.signal);
+
+        const analysis = this.buildAnalysis(hash.digest(), texts.join('\n'), labels);
+        const content = JSON.stringify(analysis);
+        const inputTokens = Math.ceil(texts.join('').length / CHARS_PER_TOKEN)
+            + IMAGE_TOKENS * parts.filter(part => part.type === 'image_url').length;
+        const outputTokens = Math.ceil(content.length / CHARS_PER_TOKEN);
+        const raw = new AIMessage({
+            content,
+            usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
+        });
+        return { raw, parsed: analysis };
+    }
+
+    /**
+     * The same reply as invoke, written out a few tokens at a time
+     * @param {Array<HumanMessage>} messages - Prompt text and images
+     * @param {Object} [options] - { signal }
+     * @returns {AsyncGenerator<Object>} - { raw: AIMessageChunk } per piece; the last one carries the usage
+     */
+    async *stream(messages, options = {}) {
+        const { raw } = await this.invoke(messages, options);
+        for (let start = 0; start < raw.content.length; start += STREAM_CHUNK_CHARS) {
+            await this.wait(STREAM_DELAY_MS, options.signal);
+            const last = start + STREAM_CHUNK_CHARS >= raw.content.length;
+            yield {
+                raw: new AIMessageChunk({
+                    content: raw.content.slice(start, start + STREAM_CHUNK_CHARS),
+                    ...(last ? { usage_metadata: raw.usage_metadata } : {})
+                })
+            };
+        }
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                const error = new Error('Aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * @param {Buffer} seed - Hash of the images
+     * @param {string} prompt - Prompt text
+     * @param {Array<string>} labels - Chart labels of a multi-timeframe group
+     * @returns {Object} - Analysis matching AnalysisSchema
+     */
+    buildAnalysis(seed, prompt, labels) {
+        const range = prompt.match(/visible price range (-?[\d.]+) - (-?[\d.]+)/);
+        const lastPrice = prompt.match(/last price (-?[\d.]+)/);
+        const low = range ? parseFloat(range[1]) : 100;
+        const high = range ? parseFloat(range[2]) : 110;
+        const decimals = range ? (range[1].split('.')[1] || '').length : 2;
+        const span = high - low;
+        const last = lastPrice ? parseFloat(lastPrice[1]) : low + span * (0.3 + seed[0] / 255 * 0.4);
+        const format = value => value.toFixed(decimals);
+
+        const decision = ['Long', 'Short', 'Wait'][seed[1] % 3];
+        const scenario = side => {
+            const direction = side === 'Long' ? 1 : -1;
+            const risk = span * 0.05;
+            return {
+                side,
+                entry: format(last),
+                stop: format(last - direction * risk),
+                targets: [1, 2, 3].map(multiple => format(last + direction * risk * multiple)),
+                conditions: 'Mock scenario',
+                invalidate: 'Mock invalidation'
+            };
+        };
+
+        return {
+            decision,
+            confidence: 40 + seed[2] % 56,
+            reason: `Mock analysis ${seed.toString('hex').slice(0, 8)}`,
+            scenarios: decision === 'Wait' ? [] : [scenario(decision)],
+            levels: {
+                support: [format(low + span * 0.2)],
+                resistance: [format(high - span * 0.2)]
+            },
+            timeframes: labels.map(label => ({ timeframe: label, bias: decision === 'Wait' ? 'Neutral' : decision, note: 'Mock bias' })),
+            price_axis: null,
+            last_price: Number(format(last))
+        };
+    }
+}
+
+module.exports = MockChatModel;
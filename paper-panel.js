@@ -0,0 +1,116 @@
+class PaperPanel {
+    /**
+     * Outcome statistics of the paper-traded scenarios and the most recent trades
+     */
+    constructor() {
+        this.data = null;
+        this.isOpen = false;
+
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    initializeElements() {
+        this.panel = document.getElementById('paper-panel');
+        this.breakdown = document.getElementById('paper-breakdown');
+        this.countsLabel = document.getElementById('paper-counts');
+        this.btnClear = document.getElementById('btn-paper-clear');
+        this.statsBody = document.getElementById('paper-stats-body');
+        this.tradesBody = document.getElementById('paper-trades-body');
+    }
+
+    setupEventListeners() {
+        this.breakdown.addEventListener('change', () => this.renderStats());
+        this.btnClear.addEventListener('click', () => this.clear());
+
+        window.electronAPI.onPaperTradesUpdated(() => {
+            if (this.isOpen) {
+                this.refresh();
+            }
+        });
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.panel.style.display = isOpen ? 'flex' : 'none';
+        if (isOpen) {
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        try {
+            this.data = await window.electronAPI.getPaperTrading();
+            const { counts } = this.data.stats;
+            this.countsLabel.textContent = `${counts.closed} closed · ${counts.open} open · ${counts.pending} pending · ${counts.expired} expired`;
+            this.renderStats();
+            this.renderTrades();
+        } catch (error) {
+            console.error('[Paper] Failed to load paper trades:', error);
+            this.countsLabel.textContent = 'Paper trades unavailable';
+        }
+    }
+
+    renderStats() {
+        if (!this.data) return;
+
+        const { stats } = this.data;
+        const rows = [{ key: 'All trades', ...stats.overall }].concat(stats[this.breakdown.value]);
+        this.statsBody.innerHTML = '';
+        rows.forEach((row, index) => {
+            const tr = document.createElement('tr');
+            tr.classList.toggle('paper-overall', index === 0);
+            [
+                row.key,
+                row.trades,
+                row.winRate === null ? '—' : `${row.winRate}%`,
+                this.formatR(row.avgR),
+                this.formatR(row.avgWinR),
+                this.formatR(row.avgLossR),
+                this.formatR(row.expectancy)
+            ].forEach(value => this.addCell(tr, value));
+            this.statsBody.appendChild(tr);
+        });
+    }
+
+    renderTrades() {
+        this.tradesBody.innerHTML = '';
+        this.data.trades.forEach(trade => {
+            const tr = document.createElement('tr');
+            tr.className = trade.side.toLowerCase();
+            const status = trade.status === 'closed' ? `${trade.status} (${trade.exitReason} ${trade.exitPrice})` : trade.status;
+            [
+                new Date(trade.issuedAt).toLocaleString(),
+                trade.areaName,
+                [trade.provider, trade.profileName].filter(Boolean).join(' / '),
+                trade.side,
+                trade.entry,
+                trade.stop,
+                trade.targets.join(' / '),
+                trade.targetsHit && trade.status !== 'expired' && trade.targetsHit < trade.targets.length
+                    ? `${status}, T${trade.targetsHit} hit`
+                    : status,
+                this.formatR(trade.r)
+            ].forEach(value => this.addCell(tr, value));
+            this.tradesBody.appendChild(tr);
+        });
+    }
+
+    addCell(tr, value) {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+    }
+
+    formatR(value) {
+        return value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(2)}R`;
+    }
+
+    async clear() {
+        if (!confirm('Delete all paper trades and their statistics?')) {
+            return;
+        }
+        await window.electronAPI.clearPaperTrades();
+        this.refresh();
+    }
+}
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parsePrice } = require('./risk-calculator');
+
+const MAX_TRADES = 5000;
+const CONFIDENCE_BUCKETS = [[1, 49], [50, 59], [60, 69], [70, 79], [80, 89], [90, 100]];
+
+class PaperTrader {
+    /**
+     * Paper trades of the suggested scenarios, persisted as JSON under userData. Each scenario is
+     * logged when it is issued and resolved by the prices of later captures of the same area.
+     * @param {string} filePath - Trades file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.trades = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.trades = Array.isArray(data.trades) ? data.trades : [];
+            }
+        } catch (error) {
+            console.error('[Paper] Failed to load paper trades:', error);
+            this.trades = [];
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ trades: this.trades }));
+        } catch (error) {
+            console.error('[Paper] Failed to save paper trades:', error);
+        }
+    }
+
+    isActive(trade) {
+        return trade.status === 'pending' || trade.status === 'open';
+    }
+
+    /**
+     * Log the scenarios of a new analysis as pending trades. A scenario that is already being
+     * tracked for the area (same side, entry and stop) is not logged again.
+     * @param {Object} area - Watchlist entry ({ id, name })
+     * @param {Object} analysis - Validated analysis
+     * @param {Object} source - { provider, model, profileName, price, sizing, at }
+     * @returns {Array<Object>} - The trades that were logged
+     */
+    record(area, analysis, { provider, model, profileName, price = null, sizing = null, at = Date.now() }) {
+        const logged = [];
+
+        analysis.scenarios.forEach((scenario, index) => {
+            const entry = parsePrice(scenario.entry);
+            const stop = parsePrice(scenario.stop);
+            const direction = scenario.side === 'Short' ? -1 : 1;
+            const targets = scenario.targets.map(parsePrice).filter(target => target !== null && (target - entry) * direction > 0);
+            if (entry === null || stop === null || (entry - stop) * direction <= 0 || targets.length === 0) {
+                return;
+            }
+
+            const tracked = this.trades.some(trade => (
+                this.isActive(trade) && trade.areaId === area.id && trade.side === scenario.side &&
+                trade.entry === entry && trade.stop === stop
+            ));
+            if (tracked) return;
+
+            const size = sizing && sizing.scenarios[index];
+            const trade = {
+                id: crypto.randomUUID(),
+                areaId: area.id,
+                areaName: area.name,
+                provider,
+                model,
+                profileName: profileName || null,
+                confidence: analysis.confidence,
+                side: scenario.side,
+                entry,
+                stop,
+                targets,
+                dollarRisk: size && size.contracts ? size.dollarRisk : null,
+                issuedAt: new Date(at).toISOString(),
+                status: 'pending',
+                lastPrice: Number.isFinite(price) ? price : null,
+                filledAt: null,
+                targetsHit: 0,
+                closedAt: null,
+                exitReason: null,
+                exitPrice: null,
+                r: null
+            };
+            this.trades.push(trade);
+            logged.push(trade);
+        });
+
+        if (logged.length) {
+            this.trades = this.trades.slice(-MAX_TRADES);
+            this.save();
+        }
+        return logged;
+    }
+
+    /**
+     * Move an area's pending and open trades along with its latest price.
+     * A pending trade fills when the price crossed its entry since the last capture. An open trade
+     * counts every target the price has reached and closes at the last target, or at the stop. The
+     * whole position is booked at its exit price, so a stop after T1 is still -1R. When the stop and
+     * targets are passed in one step, the stop is assumed to have come first.
+     * @param {string} areaId - Area id
+     * @param {number|null} price - Current price; null only expires trades
+     * @param {Object} options - { at, expiryMs } - trades pending or open longer than expiryMs expire
+     * @returns {Array<Object>} - Trades whose state changed
+     */
+    update(areaId, price, { at = Date.now(), expiryMs }) {
+        const changed = [];
+        const hasPrice = Number.isFinite(price);
+        const active = this.trades.filter(trade => trade.areaId === areaId && this.isActive(trade));
+
+        active.forEach(trade => {
+            const before = trade.status;
+            const targetsBefore = trade.targetsHit;
+            const direction = trade.side === 'Short' ? -1 : 1;
+            const risk = (trade.entry - trade.stop) * direction;
+            const rAt = level => Number(((level - trade.entry) * direction / risk).toFixed(2));
+
+            if (trade.status === 'pending') {
+                const previous = trade.lastPrice === null ? price : trade.lastPrice;
+                if (hasPrice && Math.min(previous, price) <= trade.entry && trade.entry <= Math.max(previous, price)) {
+                    trade.status = 'open';
+                    trade.filledAt = new Date(at).toISOString();
+                } else if (at - Date.parse(trade.issuedAt) > expiryMs) {
+                    this.close(trade, 'expired', null, null, at);
+                }
+            }
+
+            if (trade.status === 'open' && hasPrice) {
+                if ((price - trade.stop) * direction <= 0) {
+                    this.close(trade, 'stop', trade.stop, -1, at);
+                } else {
+                    while (trade.targetsHit < trade.targets.length && (price - trade.targets[trade.targetsHit]) * direction >= 0) {
+                        trade.targetsHit++;
+                    }
+                    if (trade.targetsHit === trade.targets.length) {
+                        const target = trade.targets[trade.targetsHit - 1];
+                        this.close(trade, `T${trade.targetsHit}`, target, rAt(target), at);
+                    }
+                }
+            }
+
+            // Open trades that neither stop nor finish in time are closed at the current price
+            if (trade.status === 'open' && at - Date.parse(trade.filledAt) > expiryMs) {
+                const exit = hasPrice ? price : trade.lastPrice;
+                this.close(trade, 'timeout', exit, rAt(exit), at);
+            }
+
+            if (hasPrice) {
+                trade.lastPrice = price;
+            }
+            if (trade.status !== before || trade.targetsHit !== targetsBefore) {
+                changed.push(trade);
+            }
+        });
+
+        if (active.length) {
+            this.save();
+        }
+        return changed;
+    }
+
+    close(trade, exitReason, exitPrice, r, at) {
+        trade.status = exitReason === 'expired' ? 'expired' : 'closed';
+        trade.exitReason = exitReason;
+        trade.exitPrice = exitPrice;
+        trade.r = r;
+        trade.closedAt = new Date(at).toISOString();
+    }
+
+    /**
+     * @param {number} [limit] - Most recent trades to return
+     * @returns {Array<Object>} - Trades, newest first
+     */
+    list(limit = 100) {
+        return this.trades.slice(-limit).reverse().map(trade => ({ ...trade }));
+    }
+
+    /**
+     * Outcome statistics over the closed trades
+     * @returns {Object} - { counts, overall, byProvider, byProfile, byConfidence }; groups are { key, ...summary }
+     */
+    stats() {
+        const counts = { pending: 0, open: 0, closed: 0, expired: 0 };
+        this.trades.forEach(trade => {
+            counts[trade.status]++;
+        });
+        const closed = this.trades.filter(trade => trade.status === 'closed');
+
+        return {
+            counts,
+            overall: this.summarize(closed),
+            byProvider: this.groupBy(closed, trade => trade.provider),
+            byProfile: this.groupBy(closed, trade => trade.profileName || '—'),
+            byConfidence: this.groupBy(closed, trade => this.confidenceBucket(trade.confidence))
+        };
+    }
+
+    /**
+     * @param {Array<Object>} trades - Closed trades
+     * @returns {Object} - { trades, winRate (%), avgR, avgWinR, avgLossR, expectancy (R per trade) }
+     */
+    summarize(trades) {
+        const wins = trades.filter(trade => trade.r > 0);
+        const losses = trades.filter(trade => trade.r <= 0);
+        const sum = list => list.reduce((total, value) => total + value, 0);
+        const average = list => (list.length ? Number((sum(list) / list.length).toFixed(2)) : null);
+        const winShare = trades.length ? wins.length / trades.length : 0;
+        // Win rate × average win + loss rate × average loss, over every closed trade
+        const expectancy = trades.length
+            ? Number((winShare * (wins.length ? sum(wins.map(trade => trade.r)) / wins.length : 0)
+                + (1 - winShare) * (losses.length ? sum(losses.map(trade => trade.r)) / losses.length : 0)).toFixed(2))
+            : null;
+
+        return {
+            trades: trades.length,
+            winRate: trades.length ? Math.round(winShare * 100) : null,
+            avgR: average(trades.map(trade => trade.r)),
+            avgWinR: average(wins.map(trade => trade.r)),
+            avgLossR: average(losses.map(trade => trade.r)),
+            expectancy
+        };
+    }
+
+    groupBy(trades, keyOf) {
+        const groups = new Map();
+        trades.forEach(trade => {
+            const key = keyOf(trade);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(trade);
+        });
+        return [...groups.entries()]
+            .map(([key, group]) => ({ key, ...this.summarize(group) }))
+            .sort((a, b) => b.trades - a.trades);
+    }
+
+    confidenceBucket(confidence) {
+        const bucket = CONFIDENCE_BUCKETS.find(([min, max]) => confidence >= min && confidence <= max);
+        return bucket ? `${bucket[0]}-${bucket[1]}` : '—';
+    }
+
+    clear() {
+        this.trades = [];
+        this.save();
+    }
+}
+
+module.exports = PaperTrader;
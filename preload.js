@@ -3,19 +3,78 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
-    // API key management
-    getApiKey: () => ipcRenderer.invoke('get-api-key'),
+    // API key management (keys go to the main process only; status comes back)
+    getKeyStatus: () => ipcRenderer.invoke('get-key-status'),
+    saveApiKey: (provider, key) => ipcRenderer.invoke('save-api-key', provider, key),
+    removeApiKey: (provider) => ipcRenderer.invoke('remove-api-key', provider),
+    testApiKey: (provider, key) => ipcRenderer.invoke('test-api-key', provider, key),
+    importApiKeys: () => ipcRenderer.invoke('import-api-keys'),
     getLlmConfig: () => ipcRenderer.invoke('get-llm-config'),
+    getProviderHealth: () => ipcRenderer.invoke('get-provider-health'),
+    showDashboard: () => ipcRenderer.invoke('show-dashboard'),
     switchLlmProvider: (provider) => ipcRenderer.invoke('switch-llm-provider', provider),
     
-    // Area selection
-    selectArea: () => ipcRenderer.invoke('select-area'),
-    getCaptureArea: () => ipcRenderer.invoke('get-capture-area'),
+    // Settings
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (patch) => ipcRenderer.invoke('save-settings', patch),
+    
+    // Prompt profiles
+    getPromptProfiles: () => ipcRenderer.invoke('get-prompt-profiles'),
+    savePromptProfile: (profile) => ipcRenderer.invoke('save-prompt-profile', profile),
+    deletePromptProfile: (profileId) => ipcRenderer.invoke('delete-prompt-profile', profileId),
+    exportPromptProfile: (profileId) => ipcRenderer.invoke('export-prompt-profile', profileId),
+    importPromptProfile: () => ipcRenderer.invoke('import-prompt-profile'),
+    
+    // Control API
+    getControlApi: () => ipcRenderer.invoke('get-control-api'),
+    regenerateControlToken: () => ipcRenderer.invoke('regenerate-control-token'),
+    
+    // Webhooks
+    getWebhooks: () => ipcRenderer.invoke('get-webhooks'),
+    saveWebhook: (target) => ipcRenderer.invoke('save-webhook', target),
+    deleteWebhook: (targetId) => ipcRenderer.invoke('delete-webhook', targetId),
+    testWebhook: (targetId) => ipcRenderer.invoke('test-webhook', targetId),
+    
+    // Area selection and watchlist
+    selectArea: (areaId) => ipcRenderer.invoke('select-area', areaId),
+    getCaptureAreas: () => ipcRenderer.invoke('get-capture-areas'),
+    updateCaptureArea: (areaId, patch) => ipcRenderer.invoke('update-capture-area', areaId, patch),
+    removeCaptureArea: (areaId) => ipcRenderer.invoke('remove-capture-area', areaId),
     
     // Screenshot and analysis
-    captureScreenshot: () => ipcRenderer.invoke('capture-screenshot'),
+    captureScreenshot: (areaId) => ipcRenderer.invoke('capture-screenshot', areaId),
     analyzeChart: (imageBase64) => ipcRenderer.invoke('analyze-chart', imageBase64),
     
+    // Analysis history
+    getHistory: (filter) => ipcRenderer.invoke('get-history', filter),
+    getHistoryEntry: (entryId) => ipcRenderer.invoke('get-history-entry', entryId),
+
+    // Paper trading
+    getPaperTrading: () => ipcRenderer.invoke('get-paper-trading'),
+    clearPaperTrades: () => ipcRenderer.invoke('clear-paper-trades'),
+
+    // Token usage and costs
+    getUsage: () => ipcRenderer.invoke('get-usage'),
+    resetUsageSession: () => ipcRenderer.invoke('reset-usage-session'),
+
+    // Replay
+    chooseReplayFolder: () => ipcRenderer.invoke('choose-replay-folder'),
+    startReplay: (options) => ipcRenderer.invoke('start-replay', options),
+    stopReplay: () => ipcRenderer.invoke('stop-replay'),
+    showReplayFile: (filePath) => ipcRenderer.invoke('show-replay-file', filePath),
+
+    // Session recording and reports
+    getSessionState: () => ipcRenderer.invoke('get-session-state'),
+    startSessionRecording: (name) => ipcRenderer.invoke('start-session-recording', name),
+    stopSessionRecording: () => ipcRenderer.invoke('stop-session-recording'),
+    listSessions: () => ipcRenderer.invoke('list-sessions'),
+    addSessionNote: (sessionId, text) => ipcRenderer.invoke('add-session-note', sessionId, text),
+    openSessionReport: (sessionId) => ipcRenderer.invoke('open-session-report', sessionId),
+    exportSessionReport: (sessionId, format) => ipcRenderer.invoke('export-session-report', sessionId, format),
+    exportSessionBundle: (sessionId) => ipcRenderer.invoke('export-session-bundle', sessionId),
+    importSessionBundle: () => ipcRenderer.invoke('import-session-bundle'),
+    deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+    
     // Analysis control
     startAnalysis: () => ipcRenderer.invoke('start-analysis'),
     stopAnalysis: () => ipcRenderer.invoke('stop-analysis'),
@@ -23,6 +82,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Event listeners
     onStatusUpdate: (callback) => ipcRenderer.on('status-update', callback),
     onAnalysisResult: (callback) => ipcRenderer.on('analysis-result', callback),
+    onAnalysisPartial: (callback) => ipcRenderer.on('analysis-partial', callback),
+    onAnalysisPartialDiscarded: (callback) => ipcRenderer.on('analysis-partial-discarded', callback),
+    onAnalysisError: (callback) => ipcRenderer.on('analysis-error', callback),
+    onCaptureAreasUpdated: (callback) => ipcRenderer.on('capture-areas-updated', callback),
+    onHistoryUpdated: (callback) => ipcRenderer.on('history-updated', callback),
+    onAlertFired: (callback) => ipcRenderer.on('alert-fired', callback),
+    onAnalysisStateChanged: (callback) => ipcRenderer.on('analysis-state-changed', callback),
+    onPromptProfilesUpdated: (callback) => ipcRenderer.on('prompt-profiles-updated', callback),
+    onSessionStateChanged: (callback) => ipcRenderer.on('session-state-changed', callback),
+    onReplayProgress: (callback) => ipcRenderer.on('replay-progress', callback),
+    onReplayResult: (callback) => ipcRenderer.on('replay-result', callback),
+    onProviderHealthUpdated: (callback) => ipcRenderer.on('provider-health-updated', callback),
+    onUsageUpdated: (callback) => ipcRenderer.on('usage-updated', callback),
+    onPaperTradesUpdated: (callback) => ipcRenderer.on('paper-trades-updated', callback),
+    onChartOverlayUpdate: (callback) => ipcRenderer.on('chart-overlay-update', callback),
+    onHudUpdate: (callback) => ipcRenderer.on('hud-update', callback),
     onZoomChange: (callback) => ipcRenderer.on('zoom-change', callback),
     onZoomReset: (callback) => ipcRenderer.on('zoom-reset', callback),
     
@@ -0,0 +1,255 @@
+const sharp = require('sharp');
+const { createWorker, PSM } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+// The price scale is read from a strip at the right edge of the capture
+const AXIS_STRIP_PCT = 14;
+const MIN_AXIS_STRIP_PX = 60;
+const UPSCALE = 2;
+// Low on purpose: the highlighted last-price label reads poorly, and misreads are filtered by fit()
+const MIN_WORD_CONFIDENCE = 30;
+// A last-price label further than this (share of the visible range) from the fitted axis is a misread
+const MAX_LAST_PRICE_ERROR = 0.03;
+
+class PriceAxisReader {
+    /**
+     * Offline OCR of a chart's price scale. One tesseract worker is created on first use and
+     * reused; the English data ships with the app, so nothing is downloaded.
+     */
+    constructor() {
+        this.workerPromise = null;
+    }
+
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = createWorker(engData.code, 1, {
+                langPath: engData.langPath,
+                gzip: engData.gzip,
+                cacheMethod: 'none'
+            })
+                .then(async worker => {
+                    await worker.setParameters({
+                        tessedit_pageseg_mode: PSM.SPARSE_TEXT,
+                        tessedit_char_whitelist: '0123456789.,'
+                    });
+                    return worker;
+                })
+                .catch(error => {
+                    this.workerPromise = null;
+                    throw error;
+                });
+        }
+        return this.workerPromise;
+    }
+
+    /**
+     * Read the price scale of a capture
+     * @param {Buffer} buffer - Cropped capture (PNG)
+     * @returns {Promise<Object|null>} - { high, low, lastPrice, decimals, axis }, null when fewer than two labels could be read
+     */
+    async read(buffer) {
+        const { width, height } = await sharp(buffer).metadata();
+        const stripWidth = Math.min(width, Math.max(MIN_AXIS_STRIP_PX, Math.round(width * AXIS_STRIP_PCT / 100)));
+        const strip = sharp(buffer)
+            .extract({ left: width - stripWidth, top: 0, width: stripWidth, height })
+            .grayscale();
+
+        // Tesseract wants dark text on a light background; most trading platforms default to dark themes
+        const { channels } = await strip.clone().stats();
+        const image = await strip
+            .negate(channels[0].mean < 128 ? { alpha: false } : false)
+            .resize({ width: stripWidth * UPSCALE })
+            .png()
+            .toBuffer();
+
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image, {}, { blocks: true, text: false });
+
+        const labels = [];
+        (data.blocks || []).forEach(block => block.paragraphs.forEach(paragraph => paragraph.lines.forEach(line => {
+            line.words.forEach(word => {
+                const label = this.parseLabel(word.text);
+                if (word.confidence >= MIN_WORD_CONFIDENCE && label) {
+                    labels.push({ ...label, y: (word.bbox.y0 + word.bbox.y1) / 2 / (height * UPSCALE) });
+                }
+            });
+        })));
+
+        return this.fit(labels);
+    }
+
+    /**
+     * @param {string} text - OCR'd word
+     * @returns {Object|null} - { price, decimals }; thousands separators are often read as dots, so with
+     *                          several separators only the last one is the decimal point
+     */
+    parseLabel(text) {
+        const separators = String(text).match(/[.,]/g) || [];
+        const cleaned = separators.length > 1
+            ? String(text).replace(/[.,](?=.*[.,])/g, '').replace(',', '.')
+            : String(text).replace(/,/g, '');
+        if (!/^\d+(\.\d+)?$/.test(cleaned)) {
+            return null;
+        }
+        const decimals = cleaned.includes('.') ? cleaned.split('.')[1].length : 0;
+        return { price: parseFloat(cleaned), decimals };
+    }
+
+    /**
+     * Turn OCR'd labels into the visible price range. Misreads are dropped by keeping the longest run
+     * of labels whose price falls as they go down the axis; the grid labels are evenly stepped, so a
+     * single label off that step is taken as the last-price marker.
+     * @param {Array<Object>} labels - { price, decimals, y } with y from 0 (top) to 1 (bottom)
+     * @returns {Object|null} - { high, low, lastPrice, decimals, axis }
+     */
+    fit(labels) {
+        const sorted = [...labels].sort((a, b) => a.y - b.y);
+
+        // Longest chain with strictly falling prices (n is a few dozen at most)
+        const chains = sorted.map(label => [label]);
+        sorted.forEach((label, i) => {
+            for (let j = 0; j < i; j++) {
+                if (sorted[j].price > label.price && chains[j].length + 1 > chains[i].length) {
+                    chains[i] = [...chains[j], label];
+                }
+            }
+        });
+        const axisLabels = chains.reduce((best, chain) => (chain.length > best.length ? chain : best), []);
+        if (axisLabels.length < 2) {
+            return null;
+        }
+
+        const decimals = Math.max(...axisLabels.map(label => label.decimals));
+        const { grid, last } = this.splitLastPrice(axisLabels, decimals);
+
+        // Least squares price = a + b * y over the grid labels
+        const n = grid.length;
+        const meanY = grid.reduce((sum, label) => sum + label.y, 0) / n;
+        const meanPrice = grid.reduce((sum, label) => sum + label.price, 0) / n;
+        const covariance = grid.reduce((sum, label) => sum + (label.y - meanY) * (label.price - meanPrice), 0);
+        const variance = grid.reduce((sum, label) => sum + (label.y - meanY) ** 2, 0);
+        if (variance === 0 || covariance >= 0) {
+            return null;
+        }
+        const slope = covariance / variance;
+        const priceAt = y => meanPrice + slope * (y - meanY);
+
+        const high = this.round(priceAt(0), decimals);
+        const low = this.round(priceAt(1), decimals);
+        const lastPrice = last && Math.abs(priceAt(last.y) - last.price) <= (high - low) * MAX_LAST_PRICE_ERROR
+            ? last.price
+            : null;
+        return {
+            high,
+            low,
+            lastPrice,
+            decimals,
+            axis: {
+                top: { price: high, y: 0 },
+                bottom: { price: low, y: 1 }
+            }
+        };
+    }
+
+    splitLastPrice(labels, decimals) {
+        if (labels.length < 4) {
+            return { grid: labels, last: null };
+        }
+
+        const tolerance = 10 ** -decimals / 2;
+        const diffs = labels.slice(1).map((label, i) => this.round(labels[i].price - label.price, decimals));
+        const counts = new Map();
+        diffs.forEach(diff => counts.set(diff, (counts.get(diff) || 0) + 1));
+        const [step, stepCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        if (stepCount < 2) {
+            return { grid: labels, last: null };
+        }
+
+        const anchor = labels[diffs.indexOf(step)].price;
+        const offGrid = labels.filter(label => {
+            const steps = (anchor - label.price) / step;
+            return Math.abs(steps - Math.round(steps)) * step > tolerance;
+        });
+        if (offGrid.length !== 1) {
+            return { grid: labels, last: null };
+        }
+        return { grid: labels.filter(label => label !== offGrid[0]), last: offGrid[0] };
+    }
+
+    round(value, decimals) {
+        return Number(value.toFixed(decimals));
+    }
+
+    /**
+     * Prompt lines giving the model the locally read prices as ground truth
+     * @param {Array<Object|null>} readings - Reading per chart, with the chart's label when there are several
+     * @returns {string} - Prompt text, empty without readings
+     */
+    describe(readings) {
+        const lines = readings.filter(Boolean).map(reading => {
+            const last = reading.lastPrice !== null ? `, last price ${reading.lastPrice.toFixed(reading.decimals)}` : '';
+            const label = reading.label ? `${reading.label}: ` : '';
+            return `• ${label}visible price range ${reading.low.toFixed(reading.decimals)} - ${reading.high.toFixed(reading.decimals)}${last}`;
+        });
+        if (lines.length === 0) {
+            return '';
+        }
+
+        return `Price axis read from the chart (ground truth, use it over your own reading of the numbers):
+${lines.join('\n')}
+Entries, stops and targets must lie inside the visible price range.`;
+    }
+
+    /**
+     * Flag or drop scenarios whose prices are not on the chart
+     * @param {Object} analysis - Validated analysis
+     * @param {Array<Object|null>} readings - Reading per chart; a price only has to be visible on one of them
+     * @param {string} mode - 'flag' marks the values, 'drop' removes the scenarios
+     * @returns {Object} - { analysis, check: { low, high, lastPrice, flagged: [{ scenario, field, value }], dropped } }, check is null without readings
+     */
+    check(analysis, readings, mode) {
+        const usable = readings.filter(Boolean);
+        if (usable.length === 0) {
+            return { analysis, check: null };
+        }
+
+        const low = Math.min(...usable.map(reading => reading.low));
+        const high = Math.max(...usable.map(reading => reading.high));
+        const isVisible = value => {
+            const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+            return !match || (parseFloat(match[0]) >= low && parseFloat(match[0]) <= high);
+        };
+
+        const flagged = [];
+        analysis.scenarios.forEach((scenario, index) => {
+            const fields = [['entry', scenario.entry], ['stop', scenario.stop]]
+                .concat(scenario.targets.map((target, i) => [`targets.${i}`, target]));
+            fields.forEach(([field, value]) => {
+                if (!isVisible(value)) {
+                    flagged.push({ scenario: index, field, value });
+                }
+            });
+        });
+
+        const check = { low, high, lastPrice: usable[0].lastPrice, flagged, dropped: 0 };
+        if (mode !== 'drop' || flagged.length === 0) {
+            return { analysis, check };
+        }
+
+        const offChart = new Set(flagged.map(entry => entry.scenario));
+        return {
+            analysis: { ...analysis, scenarios: analysis.scenarios.filter((scenario, index) => !offChart.has(index)) },
+            check: { ...check, flagged: [], dropped: offChart.size }
+        };
+    }
+
+    async terminate() {
+        if (this.workerPromise) {
+            const worker = await this.workerPromise.catch(() => null);
+            this.workerPromise = null;
+            await worker?.terminate();
+        }
+    }
+}
+
+module.exports = PriceAxisReader;
@@ -0,0 +1,122 @@
+class PromptEditor {
+    /**
+     * Prompt profile editor in the Settings view
+     */
+    constructor() {
+        this.profiles = [];
+        this.selectedId = null;
+
+        this.select = document.getElementById('prompt-profile-select');
+        this.nameInput = document.getElementById('prompt-name');
+        this.maxCharsInput = document.getElementById('prompt-max-chars');
+        this.templateInput = document.getElementById('prompt-template');
+        this.variablesLabel = document.getElementById('prompt-variables');
+        this.statusLabel = document.getElementById('prompt-status');
+
+        this.select.addEventListener('change', () => this.show(this.select.value));
+        document.getElementById('btn-prompt-save').addEventListener('click', () => this.save());
+        document.getElementById('btn-prompt-new').addEventListener('click', () => this.create());
+        document.getElementById('btn-prompt-delete').addEventListener('click', () => this.remove());
+        document.getElementById('btn-prompt-import').addEventListener('click', () => this.importProfile());
+        document.getElementById('btn-prompt-export').addEventListener('click', () => this.exportProfile());
+    }
+
+    async load() {
+        try {
+            const { profiles, variables } = await window.electronAPI.getPromptProfiles();
+            this.variablesLabel.textContent = `Variables: ${variables.map(name => `{${name}}`).join(' ')}`;
+            this.render(profiles);
+            this.statusLabel.textContent = '';
+        } catch (error) {
+            console.error('[Prompts] Failed to load prompt profiles:', error);
+            this.statusLabel.textContent = 'Failed to load prompt profiles';
+        }
+    }
+
+    render(profiles, selectedId = this.selectedId) {
+        this.profiles = profiles;
+        this.select.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.select.appendChild(option);
+        });
+
+        const selected = profiles.find(profile => profile.id === selectedId) || profiles[0];
+        this.show(selected ? selected.id : null);
+    }
+
+    show(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        this.selectedId = profile ? profile.id : null;
+        this.select.value = this.selectedId || '';
+        this.nameInput.value = profile ? profile.name : '';
+        this.maxCharsInput.value = profile ? profile.maxChars : 420;
+        this.templateInput.value = profile ? profile.template : '';
+    }
+
+    create() {
+        // Unsaved until Save is pressed; starts from the current template
+        this.selectedId = null;
+        this.select.value = '';
+        this.nameInput.value = `${this.nameInput.value || 'Profile'} copy`;
+        this.nameInput.focus();
+        this.statusLabel.textContent = 'New profile - edit and Save';
+    }
+
+    async save() {
+        const result = await window.electronAPI.savePromptProfile({
+            id: this.selectedId || undefined,
+            name: this.nameInput.value,
+            maxChars: parseInt(this.maxCharsInput.value, 10),
+            template: this.templateInput.value
+        });
+
+        if (result.success) {
+            this.selectedId = result.profile.id;
+            await this.load();
+            this.statusLabel.textContent = 'Saved';
+        } else {
+            this.statusLabel.textContent = `Failed to save: ${result.error}`;
+        }
+    }
+
+    async remove() {
+        if (!this.selectedId || !confirm(`Delete prompt profile ${this.nameInput.value}?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.deletePromptProfile(this.selectedId);
+        if (result.success) {
+            this.selectedId = null;
+            await this.load();
+        } else {
+            this.statusLabel.textContent = `Failed to delete: ${result.error}`;
+        }
+    }
+
+    async importProfile() {
+        const result = await window.electronAPI.importPromptProfile();
+        if (result.success) {
+            this.selectedId = result.profile.id;
+            await this.load();
+            this.statusLabel.textContent = `Imported ${result.profile.name}`;
+        } else if (!result.canceled) {
+            this.statusLabel.textContent = `Failed to import: ${result.error}`;
+        }
+    }
+
+    async exportProfile() {
+        if (!this.selectedId) {
+            return;
+        }
+
+        const result = await window.electronAPI.exportPromptProfile(this.selectedId);
+        if (result.success) {
+            this.statusLabel.textContent = `Exported to ${result.filePath}`;
+        } else if (!result.canceled) {
+            this.statusLabel.textContent = `Failed to export: ${result.error}`;
+        }
+    }
+}
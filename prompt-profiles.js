@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_CHARS = 420;
+const VARIABLES = ['symbol', 'timeframe', 'session', 'max_chars'];
+
+// Starter profiles seeded on first run; after that they are ordinary editable profiles
+const BUILT_IN_PROFILES = [
+    {
+        id: 'smc',
+        name: 'SMC structure',
+        maxChars: DEFAULT_MAX_CHARS,
+        template: `You are a trading assistant for intraday scalpers. Analyze this chart screenshot that may contain labels like HH LH HL LL BOS ChoCH PDH supply demand premium discount and price levels.
+
+Instrument: {symbol} · Timeframe: {timeframe} · Session: {session}
+
+Goal: Return the most actionable decision now using only what is visible. Be concise. No disclaimers.
+
+Rules:
+• Use exact numbers visible on chart when possible
+• If numbers not fully visible give nearest integer
+• Prefer 1 or 3 minute context if both visible
+• Keep total characters under {max_chars}`
+    },
+    {
+        id: 'vwap-reversion',
+        name: 'VWAP reversion',
+        maxChars: DEFAULT_MAX_CHARS,
+        template: `You are a trading assistant for intraday scalpers trading mean reversion to VWAP. Analyze this chart screenshot with VWAP and its standard deviation bands.
+
+Instrument: {symbol} · Timeframe: {timeframe} · Session: {session}
+
+Goal: Decide whether price is stretched far enough from VWAP to fade back toward it, using only what is visible. Be concise. No disclaimers.
+
+Rules:
+• Only take reversion trades from the outer bands back toward VWAP
+• Wait when price is trending along a band or VWAP is sloping hard
+• Use VWAP and band values as targets and levels when visible
+• If numbers not fully visible give nearest integer
+• Keep total characters under {max_chars}`
+    },
+    {
+        id: 'opening-range-breakout',
+        name: 'Opening range breakout',
+        maxChars: DEFAULT_MAX_CHARS,
+        template: `You are a trading assistant for intraday scalpers trading opening range breakouts. Analyze this chart screenshot around the session open.
+
+Instrument: {symbol} · Timeframe: {timeframe} · Session: {session}
+
+Goal: Identify the opening range high and low and decide whether a breakout or failed breakout is tradable now, using only what is visible. Be concise. No disclaimers.
+
+Rules:
+• Report the opening range high and low as resistance and support
+• Long above the range high or Short below the range low only on a confirmed close
+• Wait while price is inside the range
+• If numbers not fully visible give nearest integer
+• Keep total characters under {max_chars}`
+    },
+    {
+        id: 'order-flow-footprint',
+        name: 'Order flow footprint',
+        maxChars: DEFAULT_MAX_CHARS,
+        template: `You are a trading assistant for intraday scalpers reading order flow. Analyze this footprint chart screenshot showing bid/ask volume, delta and imbalances.
+
+Instrument: {symbol} · Timeframe: {timeframe} · Session: {session}
+
+Goal: Return the most actionable decision now from absorption, stacked imbalances, delta divergence and exhaustion prints, using only what is visible. Be concise. No disclaimers.
+
+Rules:
+• Use price levels of stacked imbalances and high-volume nodes as levels
+• Wait when delta and price agree without absorption or exhaustion
+• If numbers not fully visible give nearest integer
+• Keep total characters under {max_chars}`
+    }
+];
+
+class PromptProfiles {
+    /**
+     * Named, user-editable prompt templates persisted as JSON under userData
+     * @param {string} filePath - Profiles file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.profiles = Array.isArray(data.profiles) ? data.profiles.map(p => this.normalize(p)) : [];
+            }
+        } catch (error) {
+            console.error('[Prompts] Failed to load prompt profiles:', error);
+        }
+
+        if (this.profiles.length === 0) {
+            this.profiles = BUILT_IN_PROFILES.map(profile => ({ ...profile }));
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ profiles: this.profiles }, null, 2));
+    }
+
+    normalize(profile) {
+        const maxChars = parseInt(profile.maxChars, 10);
+        return {
+            id: profile.id || crypto.randomUUID(),
+            name: (profile.name || 'Untitled').toString().trim().slice(0, 60) || 'Untitled',
+            maxChars: Number.isFinite(maxChars) && maxChars > 0 ? maxChars : DEFAULT_MAX_CHARS,
+            template: (profile.template || '').toString()
+        };
+    }
+
+    list() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * @param {string} [id] - Profile id
+     * @returns {Object} - The profile, or the first profile when the id is unknown
+     */
+    resolve(id) {
+        const profile = this.profiles.find(p => p.id === id) || this.profiles[0];
+        return { ...profile };
+    }
+
+    /**
+     * Create or update a profile
+     * @param {Object} profile - { id?, name, maxChars, template }
+     * @returns {Object} - The stored profile
+     */
+    upsert(profile) {
+        if (!profile.template || !profile.template.trim()) {
+            throw new Error('Prompt template is empty');
+        }
+
+        const entry = this.normalize(profile);
+        const index = this.profiles.findIndex(p => p.id === entry.id);
+        if (index === -1) {
+            this.profiles.push(entry);
+        } else {
+            this.profiles[index] = entry;
+        }
+        this.save();
+        return { ...entry };
+    }
+
+    remove(id) {
+        if (this.profiles.length <= 1) {
+            throw new Error('At least one prompt profile is required');
+        }
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this.save();
+    }
+
+    /**
+     * Write a profile to a standalone file for sharing
+     * @param {string} id - Profile id
+     * @param {string} filePath - Destination
+     */
+    exportToFile(id, filePath) {
+        const { name, maxChars, template } = this.resolve(id);
+        fs.writeFileSync(filePath, JSON.stringify({ name, maxChars, template }, null, 2));
+    }
+
+    /**
+     * Add a profile from a file written by exportToFile (or a plain text template)
+     * @param {string} filePath - Source file
+     * @returns {Object} - The imported profile
+     */
+    importFromFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        let profile;
+        try {
+            profile = JSON.parse(content);
+        } catch (error) {
+            profile = { name: path.basename(filePath, path.extname(filePath)), template: content };
+        }
+
+        // Imported profiles never overwrite existing ones
+        return this.upsert({ ...profile, id: undefined });
+    }
+
+    /**
+     * Fill a profile's template for a capture area
+     * @param {Object} profile - Prompt profile
+     * @param {Object} [area] - Watchlist entry ({ name, symbol, timeframe, session })
+     * @returns {string} - Prompt instructions
+     */
+    render(profile, area = {}) {
+        const variables = this.getVariables(profile, area);
+        return profile.template.replace(/\{(\w+)\}/g, (match, name) => (
+            VARIABLES.includes(name) ? variables[name] : match
+        ));
+    }
+
+    getVariables(profile, area) {
+        // Names like "NQ 1m" double as symbol and timeframe when those aren't set explicitly
+        const [nameSymbol, nameTimeframe] = (area.name || '').trim().split(/\s+/);
+        const timeframeFromName = /^\d+\s*[smhdwM]$/.test(nameTimeframe || '') ? nameTimeframe : '';
+
+        return {
+            symbol: area.symbol || (timeframeFromName ? nameSymbol : '') || 'unknown',
+            timeframe: area.timeframe || timeframeFromName || 'unknown',
+            session: area.session && area.session !== 'auto' ? area.session : this.currentSession(),
+            max_chars: String(profile.maxChars)
+        };
+    }
+
+    /**
+     * Trading session for the current time, by UTC hour
+     * @returns {string} - Session name
+     */
+    currentSession(date = new Date()) {
+        const hour = date.getUTCHours();
+        if (hour < 7) return 'Asia';
+        if (hour < 12) return 'London';
+        if (hour < 20) return 'New York';
+        return 'After hours';
+    }
+}
+
+PromptProfiles.VARIABLES = VARIABLES;
+
+module.exports = PromptProfiles;
@@ -2,13 +2,21 @@ class SnapScalpRenderer {
     constructor() {
         this.isRunning = false;
         this.currentZoom = 0;
-        this.captureArea = null;
+        this.areaCards = new Map();
+        this.areas = [];
+        // Latency and last error per provider, and the providers the dashboard shows them for
+        this.providerHealth = {};
+        this.healthProviders = [];
+        this.promptProfiles = [];
         
         this.initializeElements();
         this.setupEventListeners();
         this.setupIpcListeners();
         this.checkApiKey();
         this.loadLlmConfig();
+        this.loadCaptureAreas();
+        this.loadPromptProfiles();
+        this.loadUsage();
     }
 
     initializeElements() {
@@ -16,6 +24,11 @@ class SnapScalpRenderer {
         this.btnSetArea = document.getElementById('btn-set-area');
         this.btnStart = document.getElementById('btn-start');
         this.btnStop = document.getElementById('btn-stop');
+        this.btnHistory = document.getElementById('btn-history');
+        this.btnPaper = document.getElementById('btn-paper');
+        this.btnReplay = document.getElementById('btn-replay');
+        this.btnSessions = document.getElementById('btn-sessions');
+        this.btnSettings = document.getElementById('btn-settings');
         
         // Status
         this.statusLabel = document.getElementById('status-label');
@@ -23,22 +36,21 @@ class SnapScalpRenderer {
         // LLM Provider
         this.llmProviderSelect = document.getElementById('llm-provider-select');
         this.providerStatus = document.getElementById('provider-status');
+        this.providerHealthLabel = document.getElementById('provider-health');
+        this.usageLabel = document.getElementById('usage-label');
         
-        // Decision banner
-        this.decisionBanner = document.getElementById('decision-banner');
-        this.decisionText = document.getElementById('decision-text');
-        this.confidenceValue = document.getElementById('confidence-value');
-        this.reasonText = document.getElementById('reason-text');
+        // Area dashboard
+        this.areaDashboard = document.getElementById('area-dashboard');
+        this.dashboardEmpty = document.getElementById('dashboard-empty');
+        this.areaCardTemplate = document.getElementById('area-card-template');
         
-        // Scenarios table
-        this.scenariosTbody = document.getElementById('scenarios-tbody');
-        
-        // Levels
-        this.supportBadge = document.getElementById('support-badge');
-        this.resistanceBadge = document.getElementById('resistance-badge');
-        
-        // Preview
-        this.previewImage = document.getElementById('preview-image');
+        // History timeline, paper trading, replay, sessions and settings views
+        this.historyPanel = new HistoryPanel(this);
+        this.paperPanel = new PaperPanel();
+        this.replayPanel = new ReplayPanel(this);
+        this.sessionsPanel = new SessionsPanel(this);
+        this.settingsPanel = new SettingsPanel(this);
+        this.currentView = 'dashboard';
         
         // App container for zoom
         this.appContainer = document.querySelector('.app-container');
@@ -48,24 +60,115 @@ class SnapScalpRenderer {
         this.btnSetArea.addEventListener('click', () => this.selectArea());
         this.btnStart.addEventListener('click', () => this.startAnalysis());
         this.btnStop.addEventListener('click', () => this.stopAnalysis());
+        this.btnHistory.addEventListener('click', () => this.toggleView('history'));
+        this.btnPaper.addEventListener('click', () => this.toggleView('paper'));
+        this.btnReplay.addEventListener('click', () => this.toggleView('replay'));
+        this.btnSessions.addEventListener('click', () => this.toggleView('sessions'));
+        this.btnSettings.addEventListener('click', () => this.toggleView('settings'));
         this.llmProviderSelect.addEventListener('change', (e) => this.switchLlmProvider(e.target.value));
     }
 
     setupIpcListeners() {
         // Status updates
-        window.electronAPI.onStatusUpdate((event, status) => {
+        window.electronAPI.onStatusUpdate((event, status, meta) => {
             this.updateStatus(status);
+
+            const card = meta && this.areaCards.get(meta.areaId);
+            if (card) {
+                card.status.textContent = status.replace(`${meta.areaName}: `, '');
+            }
         });
 
         // Analysis results
-        window.electronAPI.onAnalysisResult((event, analysisText, imageBase64) => {
-            console.log('[Renderer] Received analysis result');
+        window.electronAPI.onAnalysisResult((event, analysisText, imageBase64, meta) => {
+            console.log('[Renderer] Received analysis result for area:', meta && meta.areaName);
             console.log('[Renderer] Analysis text:', analysisText);
-            console.log('[Renderer] Analysis text type:', typeof analysisText);
             console.log('[Renderer] Image base64 length:', imageBase64 ? imageBase64.length : 0);
             
-            this.updateResults(analysisText);
-            this.updatePreview(imageBase64);
+            const card = this.areaCards.get(meta && meta.areaId);
+            if (!card) return;
+
+            // Put back when a later reply streams in but never completes
+            card.lastResult = { analysisText, sizing: meta.sizing, priceCheck: meta.priceCheck };
+            this.updateResults(card, analysisText, meta.sizing);
+            this.updatePriceCheck(card, meta.priceCheck);
+            this.updateConsensus(card, meta.consensus);
+            this.updateProvider(card, meta);
+            this.updatePreview(card, imageBase64);
+        });
+
+        // Streaming replies fill the banner in before the validated result arrives
+        window.electronAPI.onAnalysisPartial((event, partial, meta) => {
+            const card = this.areaCards.get(meta && meta.areaId);
+            if (card) {
+                this.updatePartial(card, partial);
+            }
+        });
+
+        // Cancelled or stopped before the streaming reply was validated
+        window.electronAPI.onAnalysisPartialDiscarded((event, meta) => {
+            const card = this.areaCards.get(meta && meta.areaId);
+            if (card) {
+                this.discardPartial(card);
+            }
+        });
+
+        // Failed or invalid analyses replace the card's advice with an explicit error state
+        window.electronAPI.onAnalysisError((event, message, meta) => {
+            const card = this.areaCards.get(meta && meta.areaId);
+            if (card) {
+                this.showAnalysisError(card, message);
+                this.updatePriceCheck(card, null);
+                this.updateConsensus(card, null);
+                this.updateProvider(card, null);
+            }
+        });
+
+        // Started or stopped through the control API
+        window.electronAPI.onAnalysisStateChanged((event, isRunning) => {
+            this.setRunning(isRunning);
+            this.updateStatus(isRunning ? 'Started remotely' : 'Stopped remotely');
+        });
+
+        // Latency and errors after every LLM call
+        window.electronAPI.onProviderHealthUpdated((event, health) => {
+            this.providerHealth = health;
+            this.renderProviderHealth();
+        });
+
+        // Spend after every analysis and when the cost session is reset
+        window.electronAPI.onUsageUpdated((event, spend) => {
+            this.updateUsage(spend);
+            if (this.currentView === 'settings') {
+                this.settingsPanel.costsEditor.loadUsage();
+            }
+        });
+
+        // Alert rules that fired for a new result
+        window.electronAPI.onAlertFired((event, alert, meta) => {
+            this.updateStatus(alert.title);
+            if (meta.sound) {
+                this.playAlertSound();
+            }
+
+            const card = this.areaCards.get(meta.areaId);
+            if (card) {
+                // Reading offsetWidth restarts the animation when alerts arrive back to back
+                card.root.classList.remove('alerting');
+                void card.root.offsetWidth;
+                card.root.classList.add('alerting');
+            }
+        });
+
+        // Watchlist changes
+        window.electronAPI.onCaptureAreasUpdated((event, areas) => {
+            this.renderAreaCards(areas);
+        });
+
+        // Prompt profiles edited in Settings
+        window.electronAPI.onPromptProfilesUpdated((event, profiles) => {
+            this.promptProfiles = profiles;
+            this.renderAreaCards(this.areas);
         });
 
         // Zoom controls
@@ -80,9 +183,9 @@ class SnapScalpRenderer {
 
     async checkApiKey() {
         try {
-            const apiKey = await window.electronAPI.getApiKey();
-            if (!apiKey) {
-                this.updateStatus('Missing API key in dev.env');
+            const config = await window.electronAPI.getLlmConfig();
+            if (!config.hasApiKey) {
+                this.updateStatus('Missing API key - add one in Settings');
             }
         } catch (error) {
             console.error('Error checking API key:', error);
@@ -98,6 +201,10 @@ class SnapScalpRenderer {
             
             // Update provider status
             this.updateProviderStatus(config);
+
+            this.healthProviders = config.consensusProviders || [config.provider];
+            this.providerHealth = await window.electronAPI.getProviderHealth();
+            this.renderProviderHealth();
             
         } catch (error) {
             console.error('Error loading LLM config:', error);
@@ -105,10 +212,70 @@ class SnapScalpRenderer {
         }
     }
 
+    /**
+     * Latency of the last answer, or the last error while a provider keeps failing, for the providers in use
+     */
+    renderProviderHealth() {
+        const entries = this.healthProviders
+            .filter(provider => this.providerHealth[provider])
+            .map(provider => ({ provider, health: this.providerHealth[provider] }));
+        const prefix = entries.length > 1;
+
+        this.providerHealthLabel.textContent = entries.map(({ provider, health }) => {
+            const text = health.consecutiveFailures > 0 || health.latencyMs === null
+                ? 'error'
+                : `${(health.latencyMs / 1000).toFixed(1)}s`;
+            return prefix ? `${provider} ${text}` : text;
+        }).join(' · ');
+        this.providerHealthLabel.classList.toggle('error', entries.some(({ health }) => health.consecutiveFailures > 0));
+        this.providerHealthLabel.title = entries.map(({ provider, health }) => {
+            const lines = [`${provider}: ${health.failures} of ${health.requests} requests failed`];
+            if (health.latencyMs !== null) {
+                lines.push(`last answer in ${(health.latencyMs / 1000).toFixed(1)}s at ${new Date(health.lastSuccessAt).toLocaleTimeString()}`);
+            }
+            if (health.lastError) {
+                lines.push(`last error at ${new Date(health.lastErrorAt).toLocaleTimeString()}: ${health.lastError}`);
+            }
+            return lines.join('\n');
+        }).join('\n\n');
+    }
+
+    async loadUsage() {
+        try {
+            const usage = await window.electronAPI.getUsage();
+            this.updateUsage({ session: usage.session.total.cost, today: usage.today.total.cost });
+        } catch (error) {
+            console.error('Error loading usage:', error);
+        }
+    }
+
+    /**
+     * @param {Object} spend - { session, today } in USD
+     */
+    updateUsage(spend) {
+        this.usageLabel.textContent = `${this.formatCost(spend.session)} / ${this.formatCost(spend.today)}`;
+    }
+
+    /**
+     * @param {number} usd - Amount in USD
+     * @returns {string} - Cents for larger amounts, four decimals below a dollar
+     */
+    formatCost(usd) {
+        return `$${usd.toFixed(usd >= 1 ? 2 : 4)}`;
+    }
+
     updateProviderStatus(config) {
         this.providerStatus.className = 'provider-status';
         
-        if (config.hasApiKey) {
+        if (config.consensusProviders) {
+            this.providerStatus.classList.add(config.hasApiKey ? 'connected' : 'error');
+            this.providerStatus.title = config.hasApiKey
+                ? `Consensus: ${config.consensusProviders.join(', ')}`
+                : 'Consensus mode needs at least two configured vision providers';
+        } else if (config.hasApiKey && config.providerInfo && !config.providerInfo.hasVisionSupport) {
+            this.providerStatus.classList.add('warning');
+            this.providerStatus.title = `${config.provider} (${config.providerInfo.modelName}) has no vision support`;
+        } else if (config.hasApiKey) {
             this.providerStatus.classList.add('connected');
             this.providerStatus.title = `Connected to ${config.provider}`;
         } else {
@@ -139,14 +306,291 @@ class SnapScalpRenderer {
         }
     }
 
-    async selectArea() {
+    async loadCaptureAreas() {
+        try {
+            const areas = await window.electronAPI.getCaptureAreas();
+            this.renderAreaCards(areas);
+        } catch (error) {
+            console.error('Error loading capture areas:', error);
+        }
+    }
+
+    async loadPromptProfiles() {
+        try {
+            const { profiles } = await window.electronAPI.getPromptProfiles();
+            this.promptProfiles = profiles;
+            this.renderAreaCards(this.areas);
+        } catch (error) {
+            console.error('Error loading prompt profiles:', error);
+        }
+    }
+
+    /**
+     * Sync the dashboard with the watchlist, keeping existing cards and their last result
+     * @param {Array<Object>} areas - Watchlist entries
+     */
+    renderAreaCards(areas) {
+        this.areas = areas;
+        const ids = new Set(areas.map(area => area.id));
+
+        this.areaCards.forEach((card, id) => {
+            if (!ids.has(id)) {
+                card.root.remove();
+                this.areaCards.delete(id);
+            }
+        });
+
+        areas.forEach(area => {
+            let card = this.areaCards.get(area.id);
+            if (!card) {
+                card = this.createAreaCard(area.id);
+                this.areaCards.set(area.id, card);
+            }
+
+            // Re-appending keeps the cards in watchlist order
+            this.areaDashboard.appendChild(card.root);
+
+            card.root.classList.toggle('disabled', !area.enabled);
+            card.enabled.checked = area.enabled;
+            if (document.activeElement !== card.name) {
+                card.name.value = area.name;
+            }
+            if (document.activeElement !== card.interval) {
+                card.interval.value = Math.round(area.intervalMs / 1000);
+            }
+            if (document.activeElement !== card.threshold) {
+                card.threshold.value = area.changeThreshold;
+            }
+            card.onChange.checked = area.analyzeOnChange;
+            this.renderProfileOptions(card, area.profileId);
+            if (document.activeElement !== card.symbol) {
+                card.symbol.value = area.symbol;
+            }
+            if (document.activeElement !== card.timeframe) {
+                card.timeframe.value = area.timeframe;
+            }
+            card.session.value = area.session;
+            if (document.activeElement !== card.tickSize) {
+                card.tickSize.value = area.tickSize === null ? '' : area.tickSize;
+            }
+            if (document.activeElement !== card.tickValue) {
+                card.tickValue.value = area.tickValue === null ? '' : area.tickValue;
+            }
+            if (document.activeElement !== card.account) {
+                card.account.value = area.accountSize === null ? '' : area.accountSize;
+            }
+            card.riskMode.value = area.riskMode || '';
+            card.riskValue.style.display = area.riskMode ? '' : 'none';
+            if (document.activeElement !== card.riskValue) {
+                const value = area.riskMode === 'fixed' ? area.riskAmount : area.riskPercent;
+                card.riskValue.value = value === null ? '' : value;
+            }
+            this.renderLinkOptions(card, area, areas);
+
+            // Linked areas are captured on their lead's schedule and show their result on its card
+            const lead = area.linkedTo ? areas.find(a => a.id === area.linkedTo) : null;
+            card.root.classList.toggle('linked', !!lead);
+            card.interval.disabled = (area.analyzeOnChange && area.changeThreshold > 0) || !!lead;
+            card.onChange.disabled = !!lead;
+            if (!area.rect) {
+                card.status.textContent = 'No area selected';
+            } else if (lead) {
+                card.status.textContent = `Linked to ${lead.name}`;
+            }
+        });
+
+        this.dashboardEmpty.style.display = areas.length ? 'none' : 'block';
+        this.historyPanel.setAreas(areas);
+        this.replayPanel.setAreas(areas);
+    }
+
+    /**
+     * Fill a card's prompt profile select; unknown or unset ids fall back to the first profile like the main process does
+     * @param {Object} card - Card element refs
+     * @param {string|null} profileId - The area's profile
+     */
+    renderProfileOptions(card, profileId) {
+        card.profile.innerHTML = '';
+        this.promptProfiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            card.profile.appendChild(option);
+        });
+
+        if (this.promptProfiles.some(profile => profile.id === profileId)) {
+            card.profile.value = profileId;
+        }
+    }
+
+    /**
+     * Fill a card's link select with the areas it can follow; areas that others follow can't be linked
+     * @param {Object} card - Card element refs
+     * @param {Object} area - The card's area
+     * @param {Array<Object>} areas - All areas
+     */
+    renderLinkOptions(card, area, areas) {
+        card.link.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = '—';
+        card.link.appendChild(none);
+
+        areas
+            .filter(other => other.id !== area.id && !other.linkedTo)
+            .forEach(other => {
+                const option = document.createElement('option');
+                option.value = other.id;
+                option.textContent = other.name;
+                card.link.appendChild(option);
+            });
+
+        card.link.value = area.linkedTo || '';
+        card.link.disabled = areas.some(other => other.linkedTo === area.id);
+    }
+
+    /**
+     * Switch between the dashboard and a secondary view; toggling the open view returns to the dashboard
+     * @param {string} view - 'history', 'paper', 'replay', 'sessions' or 'settings'
+     */
+    toggleView(view) {
+        this.currentView = this.currentView === view ? 'dashboard' : view;
+
+        this.areaDashboard.style.display = this.currentView === 'dashboard' ? 'flex' : 'none';
+        this.historyPanel.setOpen(this.currentView === 'history');
+        this.paperPanel.setOpen(this.currentView === 'paper');
+        this.replayPanel.setOpen(this.currentView === 'replay');
+        this.sessionsPanel.setOpen(this.currentView === 'sessions');
+        this.settingsPanel.setOpen(this.currentView === 'settings');
+        this.btnHistory.classList.toggle('active', this.currentView === 'history');
+        this.btnPaper.classList.toggle('active', this.currentView === 'paper');
+        this.btnReplay.classList.toggle('active', this.currentView === 'replay');
+        this.btnSessions.classList.toggle('active', this.currentView === 'sessions');
+        this.btnSettings.classList.toggle('active', this.currentView === 'settings');
+    }
+
+    createAreaCard(areaId) {
+        const root = this.areaCardTemplate.content.firstElementChild.cloneNode(true);
+        const card = {
+            root,
+            enabled: root.querySelector('.area-enabled'),
+            name: root.querySelector('.area-name'),
+            interval: root.querySelector('.area-interval'),
+            threshold: root.querySelector('.area-threshold'),
+            onChange: root.querySelector('.area-on-change'),
+            profile: root.querySelector('.area-profile'),
+            symbol: root.querySelector('.area-symbol'),
+            timeframe: root.querySelector('.area-timeframe'),
+            session: root.querySelector('.area-session'),
+            tickSize: root.querySelector('.area-tick-size'),
+            tickValue: root.querySelector('.area-tick-value'),
+            account: root.querySelector('.area-account'),
+            riskMode: root.querySelector('.area-risk-mode'),
+            riskValue: root.querySelector('.area-risk-value'),
+            link: root.querySelector('.area-link'),
+            status: root.querySelector('.area-status'),
+            decisionBanner: root.querySelector('.decision-banner'),
+            decisionText: root.querySelector('.decision-text'),
+            consensusBadge: root.querySelector('.consensus-badge'),
+            providerBadge: root.querySelector('.provider-badge'),
+            consensusDrawer: root.querySelector('.consensus-drawer'),
+            confidenceValue: root.querySelector('.confidence-value'),
+            reasonText: root.querySelector('.reason-text'),
+            scenariosTbody: root.querySelector('.scenarios-tbody'),
+            supportBadge: root.querySelector('.support-badge'),
+            resistanceBadge: root.querySelector('.resistance-badge'),
+            timeframeBiases: root.querySelector('.timeframe-biases'),
+            priceCheckBadge: root.querySelector('.price-check-badge'),
+            previewImage: root.querySelector('.preview-image')
+        };
+
+        card.enabled.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { enabled: card.enabled.checked });
+        });
+        card.name.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { name: card.name.value.trim() });
+        });
+        card.interval.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { intervalMs: parseInt(card.interval.value, 10) * 1000 });
+        });
+        card.threshold.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { changeThreshold: parseFloat(card.threshold.value) });
+        });
+        card.onChange.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { analyzeOnChange: card.onChange.checked });
+        });
+        card.profile.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { profileId: card.profile.value });
+        });
+        card.symbol.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { symbol: card.symbol.value.trim() });
+        });
+        card.timeframe.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { timeframe: card.timeframe.value.trim() });
+        });
+        card.session.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { session: card.session.value });
+        });
+        card.tickSize.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { tickSize: card.tickSize.value });
+        });
+        card.tickValue.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { tickValue: card.tickValue.value });
+        });
+        card.account.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { accountSize: card.account.value });
+        });
+        card.riskMode.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { riskMode: card.riskMode.value || null });
+        });
+        card.riskValue.addEventListener('change', () => {
+            const field = card.riskMode.value === 'fixed' ? 'riskAmount' : 'riskPercent';
+            this.updateCaptureArea(areaId, { [field]: card.riskValue.value });
+        });
+        card.link.addEventListener('change', () => {
+            this.updateCaptureArea(areaId, { linkedTo: card.link.value || null });
+        });
+        card.consensusBadge.addEventListener('click', () => {
+            const isOpen = card.consensusDrawer.style.display === 'flex';
+            card.consensusDrawer.style.display = isOpen ? 'none' : 'flex';
+        });
+        root.querySelector('.area-reselect').addEventListener('click', () => this.selectArea(areaId));
+        root.querySelector('.area-remove').addEventListener('click', () => this.removeCaptureArea(areaId));
+
+        return card;
+    }
+
+    async updateCaptureArea(areaId, patch) {
+        try {
+            await window.electronAPI.updateCaptureArea(areaId, patch);
+        } catch (error) {
+            console.error('Error updating capture area:', error);
+            this.updateStatus('Failed to update area');
+            // Put the card back to what is stored, e.g. after a rejected link
+            this.renderAreaCards(await window.electronAPI.getCaptureAreas());
+        }
+    }
+
+    async removeCaptureArea(areaId) {
+        const card = this.areaCards.get(areaId);
+        if (!confirm(`Remove ${card ? card.name.value : 'this area'}?`)) {
+            return;
+        }
+
+        try {
+            await window.electronAPI.removeCaptureArea(areaId);
+        } catch (error) {
+            console.error('Error removing capture area:', error);
+        }
+    }
+
+    async selectArea(areaId) {
         try {
             this.updateStatus('Minimizing window - drag to select chart area...');
-            const area = await window.electronAPI.selectArea();
+            const area = await window.electronAPI.selectArea(areaId);
             
             if (area) {
-                this.captureArea = area;
-                this.updateStatus(`Area set: ${Math.round(area.width)}x${Math.round(area.height)}`);
+                this.updateStatus(`${area.name} set: ${Math.round(area.rect.width)}x${Math.round(area.rect.height)}`);
             } else {
                 this.updateStatus('Area selection cancelled');
             }
@@ -160,22 +604,25 @@ class SnapScalpRenderer {
         try {
             const config = await window.electronAPI.getLlmConfig();
             if (!config.hasApiKey) {
-                alert(`Missing API key for ${config.provider} in dev.env`);
+                alert(config.consensusProviders
+                    ? 'Consensus mode needs at least two providers with keys - add them in Settings'
+                    : `Missing API key for ${config.provider} - add one in Settings`);
                 return;
             }
 
-            const captureArea = await window.electronAPI.getCaptureArea();
-            if (!captureArea) {
-                alert('Press Set Area and drag over your chart first');
+            const areas = await window.electronAPI.getCaptureAreas();
+            const activeAreas = areas.filter(area => area.enabled && area.rect);
+            if (activeAreas.length === 0) {
+                alert('Press Add Area and drag over your chart first');
                 return;
             }
 
             await window.electronAPI.startAnalysis();
             
-            this.isRunning = true;
-            this.btnStart.disabled = true;
-            this.btnStop.disabled = false;
-            this.updateStatus('Capturing every 30s');
+            this.setRunning(true);
+            this.updateStatus(activeAreas.length === 1
+                ? `Capturing every ${Math.round(activeAreas[0].intervalMs / 1000)}s`
+                : `Watching ${activeAreas.length} areas`);
         } catch (error) {
             console.error('Start analysis error:', error);
             alert(`Failed to start analysis: ${error.message}`);
@@ -186,20 +633,29 @@ class SnapScalpRenderer {
         try {
             await window.electronAPI.stopAnalysis();
             
-            this.isRunning = false;
-            this.btnStart.disabled = false;
-            this.btnStop.disabled = true;
+            this.setRunning(false);
             this.updateStatus('Stopped');
         } catch (error) {
             console.error('Stop analysis error:', error);
         }
     }
 
+    setRunning(isRunning) {
+        this.isRunning = isRunning;
+        this.btnStart.disabled = isRunning;
+        this.btnStop.disabled = !isRunning;
+    }
+
     updateStatus(status) {
         this.statusLabel.textContent = status;
     }
 
-    updateResults(analysisText) {
+    /**
+     * @param {Object} card - Card element refs
+     * @param {string} analysisText - Analysis JSON
+     * @param {Object|null} [sizing] - Position sizing per scenario, when the area has tick specs
+     */
+    updateResults(card, analysisText, sizing = null) {
         try {
             console.log('[Renderer] updateResults called with:', analysisText);
             console.log('[Renderer] Attempting to parse JSON...');
@@ -217,58 +673,228 @@ class SnapScalpRenderer {
 
             // Update decision banner
             console.log('[Renderer] Updating decision banner...');
-            this.decisionText.textContent = decision.toUpperCase();
-            this.confidenceValue.textContent = confidence.toString();
-            this.reasonText.textContent = reason || '—';
+            card.decisionText.textContent = decision.toUpperCase();
+            card.confidenceValue.textContent = confidence.toString();
+            card.reasonText.textContent = reason || '—';
+            card.reasonText.title = '';
             
             console.log('[Renderer] Decision banner updated:', {
-                decision: this.decisionText.textContent,
-                confidence: this.confidenceValue.textContent,
-                reason: this.reasonText.textContent
+                decision: card.decisionText.textContent,
+                confidence: card.confidenceValue.textContent,
+                reason: card.reasonText.textContent
             });
 
             // Flash animation
-            this.decisionText.classList.add('decision-flash');
+            card.decisionText.classList.add('decision-flash');
             setTimeout(() => {
-                this.decisionText.classList.remove('decision-flash');
+                card.decisionText.classList.remove('decision-flash');
             }, 120);
 
             // Update banner styling
-            this.decisionBanner.className = 'decision-banner';
+            card.decisionBanner.className = 'decision-banner';
             if (decision.toLowerCase() === 'long') {
-                this.decisionBanner.classList.add('long');
+                card.decisionBanner.classList.add('long');
             } else if (decision.toLowerCase() === 'short') {
-                this.decisionBanner.classList.add('short');
+                card.decisionBanner.classList.add('short');
             } else {
-                this.decisionBanner.classList.add('wait');
+                card.decisionBanner.classList.add('wait');
             }
 
             // Update scenarios table
             console.log('[Renderer] Updating scenarios table...');
-            this.updateScenariosTable(scenarios);
+            this.updateScenariosTable(card, scenarios, sizing);
 
             // Update levels
             const support = (levels.support || []).slice(0, 2).join(' ') || '—';
             const resistance = (levels.resistance || []).slice(0, 2).join(' ') || '—';
             
             console.log('[Renderer] Updating levels:', { support, resistance });
-            this.supportBadge.textContent = `S ${support}`;
-            this.resistanceBadge.textContent = `R ${resistance}`;
+            card.supportBadge.textContent = `S ${support}`;
+            card.resistanceBadge.textContent = `R ${resistance}`;
+            this.updateTimeframeBiases(card, data.timeframes || []);
             
             console.log('[Renderer] All UI updates completed successfully');
 
         } catch (error) {
             console.error('[Renderer] Parse results error:', error);
             console.error('[Renderer] Failed to parse analysis text:', analysisText);
-            this.updateStatus('Parse error');
+            card.status.textContent = 'Parse error';
+        }
+    }
+
+    /**
+     * Show the fields of a reply that is still streaming. The banner is marked as preliminary
+     * until updateResults replaces it with the validated analysis.
+     * @param {Object} card - Card element refs
+     * @param {Object} partial - Completed fields among decision, confidence, reason, scenarios and levels
+     */
+    updatePartial(card, partial) {
+        if (partial.decision) {
+            card.decisionText.textContent = partial.decision.toUpperCase();
+            card.decisionBanner.className = `decision-banner streaming ${partial.decision.toLowerCase()}`;
+        }
+        if (partial.confidence !== undefined) {
+            card.confidenceValue.textContent = parseInt(partial.confidence, 10).toString();
+        }
+        if (partial.reason !== undefined) {
+            card.reasonText.textContent = String(partial.reason).substring(0, 80) || '—';
+            card.reasonText.title = '';
+        }
+        if (partial.scenarios) {
+            this.updateScenariosTable(card, partial.scenarios.slice(0, 2));
+        }
+        if (partial.levels) {
+            card.supportBadge.textContent = `S ${(partial.levels.support || []).slice(0, 2).join(' ') || '—'}`;
+            card.resistanceBadge.textContent = `R ${(partial.levels.resistance || []).slice(0, 2).join(' ') || '—'}`;
+        }
+    }
+
+    /**
+     * Put back what the card showed before a reply started streaming. Error states set by a failed
+     * analysis are kept.
+     * @param {Object} card - Card element refs
+     */
+    discardPartial(card) {
+        if (!card.decisionBanner.classList.contains('streaming')) return;
+
+        if (card.lastResult) {
+            this.updateResults(card, card.lastResult.analysisText, card.lastResult.sizing);
+            this.updatePriceCheck(card, card.lastResult.priceCheck);
+            return;
+        }
+        card.decisionBanner.className = 'decision-banner';
+        card.decisionText.textContent = 'WAIT';
+        card.confidenceValue.textContent = '—';
+        card.reasonText.textContent = 'No analysis yet';
+        this.updateScenariosTable(card, []);
+        card.supportBadge.textContent = 'S —';
+        card.resistanceBadge.textContent = 'R —';
+    }
+
+    /**
+     * Show the OCR'd price range and mark scenario prices that aren't on the chart
+     * @param {Object} card - Card element refs
+     * @param {Object|null} priceCheck - { low, high, lastPrice, flagged, dropped }, null when the axis wasn't read
+     */
+    updatePriceCheck(card, priceCheck) {
+        if (!priceCheck) {
+            card.priceCheckBadge.style.display = 'none';
+            return;
+        }
+
+        const range = `${priceCheck.low} – ${priceCheck.high}`;
+        const rows = card.scenariosTbody.querySelectorAll('tr');
+        priceCheck.flagged.forEach(({ scenario, field }) => {
+            // Columns: side, entry, stop, TP1-3
+            const column = field === 'entry' ? 1 : field === 'stop' ? 2 : 3 + parseInt(field.split('.')[1], 10);
+            const cell = rows[scenario] && rows[scenario].children[column];
+            if (cell) {
+                cell.classList.add('off-chart');
+                cell.title = `Outside the visible price range ${range}`;
+            }
+        });
+
+        const problems = priceCheck.dropped
+            ? ` · ${priceCheck.dropped} dropped`
+            : priceCheck.flagged.length ? ` · ${priceCheck.flagged.length} off chart` : '';
+        card.priceCheckBadge.textContent = `Axis ${range}${problems}`;
+        card.priceCheckBadge.title = priceCheck.lastPrice !== null ? `Last price ${priceCheck.lastPrice}` : 'Read from the price axis';
+        card.priceCheckBadge.classList.toggle('warning', problems !== '');
+        card.priceCheckBadge.style.display = 'inline-block';
+    }
+
+    /**
+     * One colored badge per chart of a multi-timeframe group
+     * @param {Object} card - Card element refs
+     * @param {Array<Object>} timeframes - { timeframe, bias, note }
+     */
+    updateTimeframeBiases(card, timeframes) {
+        card.timeframeBiases.innerHTML = '';
+        timeframes.forEach(entry => {
+            const badge = document.createElement('span');
+            badge.className = `level-badge timeframe-badge ${(entry.bias || 'Neutral').toLowerCase()}`;
+            badge.textContent = `${entry.timeframe} ${entry.bias}`;
+            badge.title = entry.note || '';
+            card.timeframeBiases.appendChild(badge);
+        });
+        card.timeframeBiases.style.display = timeframes.length ? 'inline-flex' : 'none';
+    }
+
+    showAnalysisError(card, message) {
+        card.decisionBanner.className = 'decision-banner error';
+        card.decisionText.textContent = 'ERROR';
+        card.confidenceValue.textContent = '—';
+        card.reasonText.textContent = message.substring(0, 120);
+        card.reasonText.title = message;
+
+        this.updateScenariosTable(card, []);
+        card.supportBadge.textContent = 'S —';
+        card.resistanceBadge.textContent = 'R —';
+    }
+
+    /**
+     * Show the agreement badge and fill the drawer with each provider's answer
+     * @param {Object} card - Card element refs
+     * @param {Object|null} consensus - { agreement, answers } from consensus mode, null otherwise
+     */
+    updateConsensus(card, consensus) {
+        card.consensusDrawer.innerHTML = '';
+        if (!consensus) {
+            card.consensusBadge.style.display = 'none';
+            card.consensusDrawer.style.display = 'none';
+            return;
+        }
+
+        card.consensusBadge.textContent = consensus.agreement.label;
+        card.consensusBadge.style.display = 'inline-block';
+
+        consensus.answers.forEach(answer => {
+            const item = document.createElement('div');
+            const header = document.createElement('div');
+            header.className = 'consensus-answer-header';
+            header.textContent = answer.analysis
+                ? `${answer.provider} (${answer.model}): ${answer.analysis.decision} ${answer.analysis.confidence}`
+                : `${answer.provider} (${answer.model}): failed`;
+
+            const raw = document.createElement('pre');
+            raw.className = 'consensus-answer-raw';
+            raw.textContent = answer.error || answer.rawResponse;
+
+            item.appendChild(header);
+            item.appendChild(raw);
+            card.consensusDrawer.appendChild(item);
+        });
+    }
+
+    /**
+     * Name the provider that produced the result; highlighted when a fallback answered for the active one
+     * @param {Object} card - Card element refs
+     * @param {Object|null} meta - { provider, model, fallbackFor, consensus }; consensus results have their own badge
+     */
+    updateProvider(card, meta) {
+        if (!meta || !meta.provider || meta.consensus) {
+            card.providerBadge.style.display = 'none';
+            return;
         }
+
+        card.providerBadge.textContent = meta.provider;
+        card.providerBadge.title = meta.fallbackFor
+            ? `${meta.model}, answering while ${meta.fallbackFor} fails`
+            : meta.model;
+        card.providerBadge.classList.toggle('fallback', !!meta.fallbackFor);
+        card.providerBadge.style.display = 'inline-block';
     }
 
-    updateScenariosTable(scenarios) {
+    /**
+     * @param {Object} card - Card element refs
+     * @param {Array<Object>} scenarios - Scenarios to show
+     * @param {Object|null} [sizing] - { minRR, belowMin, scenarios } from the risk calculator, in scenario order
+     */
+    updateScenariosTable(card, scenarios, sizing = null) {
         // Clear existing rows
-        this.scenariosTbody.innerHTML = '';
+        card.scenariosTbody.innerHTML = '';
 
-        scenarios.forEach(scenario => {
+        scenarios.forEach((scenario, index) => {
             const row = document.createElement('tr');
             
             const side = scenario.side || '';
@@ -276,9 +902,12 @@ class SnapScalpRenderer {
             const stop = scenario.stop || '';
             const targets = scenario.targets || [];
             
-            const t1 = targets[0] || '—';
-            const t2 = targets[1] || '—';
-            const t3 = targets[2] || '—';
+            const size = sizing && sizing.scenarios[index];
+            const [t1, t2, t3] = [0, 1, 2].map(i => {
+                if (!targets[i]) return '—';
+                const r = size && size.rMultiples[i];
+                return typeof r === 'number' ? `${targets[i]} <small class="r-multiple">${r}R</small>` : targets[i];
+            });
 
             row.innerHTML = `
                 <td>${side}</td>
@@ -287,7 +916,14 @@ class SnapScalpRenderer {
                 <td>${t1}</td>
                 <td>${t2}</td>
                 <td>${t3}</td>
+                <td class="sizing-cell">${size && size.contracts ? size.contracts : '—'}</td>
+                <td class="sizing-cell">${size && size.contracts ? `$${size.dollarRisk}` : '—'}</td>
             `;
+            if (size && size.error) {
+                row.title = size.error;
+            } else if (size) {
+                row.title = `${size.stopTicks} ticks to the stop`;
+            }
 
             // Add styling based on side
             if (side.toLowerCase() === 'long') {
@@ -296,14 +932,39 @@ class SnapScalpRenderer {
                 row.classList.add('short');
             }
 
-            this.scenariosTbody.appendChild(row);
+            // Hidden rows stay in the table so row indexes keep matching the scenarios
+            if (size && size.belowMinRR) {
+                row.classList.add(sizing.belowMin === 'hide' ? 'hidden-below-min-rr' : 'below-min-rr');
+                row.title = `R:R ${size.rr} at TP1 is below ${sizing.minRR}`;
+            }
+
+            card.scenariosTbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Two short beeps, generated so no audio file has to ship with the app
+     */
+    playAlertSound() {
+        this.audioContext = this.audioContext || new AudioContext();
+        const start = this.audioContext.currentTime;
+
+        [0, 0.18].forEach(offset => {
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, start + offset);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + offset + 0.15);
+            oscillator.connect(gain).connect(this.audioContext.destination);
+            oscillator.start(start + offset);
+            oscillator.stop(start + offset + 0.15);
         });
     }
 
-    updatePreview(imageBase64) {
+    updatePreview(card, imageBase64) {
         if (imageBase64) {
-            this.previewImage.src = `data:image/png;base64,${imageBase64}`;
-            this.previewImage.style.display = 'block';
+            card.previewImage.src = `data:image/png;base64,${imageBase64}`;
+            card.previewImage.style.display = 'block';
         }
     }
 
@@ -0,0 +1,179 @@
+class ReplayPanel {
+    /**
+     * Replays a folder of chart images or an area's history through a chosen provider and profile,
+     * showing each result on a dashboard-style card as it comes in
+     * @param {SnapScalpRenderer} renderer - Owner, used to render decision cards
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.areas = [];
+        this.directory = null;
+        this.files = null;
+        this.isOpen = false;
+
+        this.initializeElements();
+        this.setupEventListeners();
+    }
+
+    initializeElements() {
+        this.panel = document.getElementById('replay-panel');
+        this.sourceSelect = document.getElementById('replay-source');
+        this.btnFolder = document.getElementById('btn-replay-folder');
+        this.folderLabel = document.getElementById('replay-folder');
+        this.areaSelect = document.getElementById('replay-area');
+        this.profileSelect = document.getElementById('replay-profile');
+        this.providerSelect = document.getElementById('replay-provider');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.btnStart = document.getElementById('btn-replay-start');
+        this.btnStop = document.getElementById('btn-replay-stop');
+        this.progressLabel = document.getElementById('replay-progress');
+        this.frameLabel = document.getElementById('replay-frame');
+        this.filesLabel = document.getElementById('replay-files');
+        this.btnShow = document.getElementById('btn-replay-show');
+
+        this.card = this.renderer.createAreaCard(null);
+        this.card.root.classList.add('history-card');
+        document.getElementById('replay-view').appendChild(this.card.root);
+    }
+
+    setupEventListeners() {
+        this.sourceSelect.addEventListener('change', () => this.updateSource());
+        this.btnFolder.addEventListener('click', () => this.chooseFolder());
+        this.btnStart.addEventListener('click', () => this.start());
+        this.btnStop.addEventListener('click', () => window.electronAPI.stopReplay());
+        this.btnShow.addEventListener('click', () => window.electronAPI.showReplayFile(this.files.csv));
+
+        window.electronAPI.onReplayResult((event, analysisText, imageBase64, meta) => {
+            this.renderer.updateResults(this.card, analysisText, meta.sizing);
+            this.renderer.updatePriceCheck(this.card, meta.priceCheck);
+            this.renderer.updateConsensus(this.card, meta.consensus);
+            this.renderer.updateProvider(this.card, meta);
+            this.renderer.updatePreview(this.card, imageBase64);
+        });
+
+        window.electronAPI.onReplayProgress((event, state) => this.updateProgress(state));
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.panel.style.display = isOpen ? 'flex' : 'none';
+        if (isOpen) {
+            this.renderOptions();
+        }
+    }
+
+    /**
+     * Keep the area select in sync with the watchlist
+     * @param {Array<Object>} areas - Watchlist entries
+     */
+    setAreas(areas) {
+        this.areas = areas;
+        const selected = this.areaSelect.value;
+        this.areaSelect.innerHTML = '<option value="">None</option>';
+        areas.forEach(area => {
+            const option = document.createElement('option');
+            option.value = area.id;
+            option.textContent = area.name;
+            this.areaSelect.appendChild(option);
+        });
+        this.areaSelect.value = areas.some(area => area.id === selected) ? selected : '';
+    }
+
+    async renderOptions() {
+        const profile = this.profileSelect.value;
+        this.profileSelect.innerHTML = '<option value="">Area\'s profile</option>';
+        this.renderer.promptProfiles.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.name;
+            this.profileSelect.appendChild(option);
+        });
+        this.profileSelect.value = this.renderer.promptProfiles.some(entry => entry.id === profile) ? profile : '';
+
+        try {
+            const settings = await window.electronAPI.getSettings();
+            const provider = this.providerSelect.value;
+            const names = [''].concat(Object.keys(settings.providers), 'consensus');
+            this.providerSelect.innerHTML = '';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name || 'Active provider';
+                this.providerSelect.appendChild(option);
+            });
+            this.providerSelect.value = names.includes(provider) ? provider : '';
+        } catch (error) {
+            console.error('[Replay] Failed to load providers:', error);
+        }
+
+        this.updateSource();
+    }
+
+    updateSource() {
+        const isFolder = this.sourceSelect.value === 'folder';
+        this.btnFolder.style.display = isFolder ? '' : 'none';
+        this.folderLabel.style.display = isFolder ? '' : 'none';
+    }
+
+    async chooseFolder() {
+        const folder = await window.electronAPI.chooseReplayFolder();
+        if (!folder) return;
+
+        this.directory = folder.directory;
+        this.folderLabel.textContent = `${folder.directory} (${folder.frames} images)`;
+    }
+
+    async start() {
+        this.files = null;
+        this.filesLabel.textContent = '';
+        this.btnShow.style.display = 'none';
+
+        const result = await window.electronAPI.startReplay({
+            source: this.sourceSelect.value,
+            directory: this.directory,
+            areaId: this.areaSelect.value || null,
+            profileId: this.profileSelect.value || null,
+            provider: this.providerSelect.value || null,
+            speed: parseFloat(this.speedSelect.value)
+        });
+        if (!result.success) {
+            this.progressLabel.textContent = result.error;
+            return;
+        }
+        this.progressLabel.textContent = 'Starting replay...';
+        this.setRunning(true);
+    }
+
+    setRunning(isRunning) {
+        this.btnStart.disabled = isRunning;
+        this.btnStop.disabled = !isRunning;
+    }
+
+    /**
+     * @param {Object} state - { running, label, index, total, frame, errors, cancelled, files, error }
+     */
+    updateProgress(state) {
+        this.setRunning(state.running);
+        if (state.error) {
+            this.progressLabel.textContent = `Replay failed: ${state.error}`;
+            return;
+        }
+
+        const errors = state.errors ? ` · ${state.errors} failed` : '';
+        if (state.running) {
+            this.progressLabel.textContent = `${state.label}: frame ${state.index} of ${state.total}${errors}`;
+            this.frameLabel.textContent = `${state.frame.name} · ${new Date(state.frame.timestamp).toLocaleString()}`;
+            if (state.frame.error) {
+                this.renderer.showAnalysisError(this.card, state.frame.error);
+            }
+            return;
+        }
+
+        this.progressLabel.textContent = `${state.label}: ${state.cancelled ? 'stopped' : 'done'} after ${state.index} of ${state.total} frames${errors}`;
+        this.files = state.files;
+        if (state.files) {
+            this.filesLabel.textContent = `Saved ${state.files.csv} and .json`;
+            this.btnShow.style.display = '';
+        }
+    }
+}
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+// Recorded gaps (lunch, overnight) never hold a replay up longer than this
+const MAX_WAIT_MS = 60000;
+const CSV_COLUMNS = [
+    'frame', 'timestamp', 'provider', 'model', 'profile', 'decision', 'confidence', 'reason',
+    'side', 'entry', 'stop', 'targets', 'scenarios', 'last_price', 'latency_ms', 'error'
+];
+
+class ReplayService {
+    /**
+     * Replays a sequence of chart images through the analysis pipeline at a chosen speed and writes
+     * every result to CSV and JSON, so providers or prompt versions can be compared on the same frames
+     * @param {Object} handlers
+     * @param {Function} handlers.analyzeFrame - async (frame, imageBase64, options) => analysis result; options.signal cancels it
+     * @param {Function} handlers.onProgress - (state) => void, called after every frame and when the run ends
+     */
+    constructor({ analyzeFrame, onProgress }) {
+        this.analyzeFrame = analyzeFrame;
+        this.onProgress = onProgress;
+        this.run = null;
+    }
+
+    isRunning() {
+        return this.run !== null;
+    }
+
+    /**
+     * Image files of a folder in recording order: by the timestamp in the file name, else by modification time
+     * @param {string} directory - Folder with the images
+     * @returns {Array<Object>} - { name, timestamp, load } per frame; load() resolves to a base64 PNG
+     */
+    loadFolder(directory) {
+        return fs.readdirSync(directory)
+            .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .map(name => {
+                const filePath = path.join(directory, name);
+                return {
+                    name,
+                    timestamp: this.parseTimestamp(name) ?? fs.statSync(filePath).mtimeMs,
+                    load: async () => this.toPng(await fs.promises.readFile(filePath))
+                };
+            })
+            .sort((a, b) => a.timestamp - b.timestamp || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * An area's captures from the analysis history; only their thumbnails are kept, so the model sees a smaller image
+     * @param {HistoryStore} historyStore - Analysis history
+     * @param {string} areaId - Area whose captures are replayed
+     * @returns {Array<Object>} - { name, timestamp, load } per frame, oldest first
+     */
+    loadHistory(historyStore, areaId) {
+        return historyStore.list({ areaId }).map(entry => ({
+            name: entry.id,
+            timestamp: Date.parse(entry.timestamp),
+            load: async () => {
+                const record = historyStore.get(entry.id);
+                if (!record) {
+                    throw new Error('History entry no longer available');
+                }
+                return this.toPng(Buffer.from(record.thumbnailBase64, 'base64'));
+            }
+        }));
+    }
+
+    async toPng(buffer) {
+        return (await sharp(buffer).png().toBuffer()).toString('base64');
+    }
+
+    /**
+     * @param {string} name - File name such as "NQ_2024-05-01_13-45-00.png", "20240501-134500-250.png" or "1714571100000.png"
+     * @returns {number|null} - Epoch milliseconds (dates without a zone are local time), null when the name has none
+     */
+    parseTimestamp(name) {
+        const date = name.match(/(\d{4})-?(\d{2})-?(\d{2})[T_ -]?(\d{2})[-:.h]?(\d{2})[-:.m]?(\d{2})(?:[-.](\d{3})(?!\d))?/);
+        if (date) {
+            const [year, month, day, hour, minute, second, millisecond] = date.slice(1).map(value => Number(value || 0));
+            if (month >= 1 && month <= 12 && day >= 1 && day <= 31 && hour < 24 && minute < 60 && second < 60) {
+                return new Date(year, month - 1, day, hour, minute, second, millisecond).getTime();
+            }
+        }
+
+        const epoch = name.match(/(?:^|\D)(\d{13}|\d{10})(?:\D|$)/);
+        if (epoch) {
+            return epoch[1].length === 13 ? Number(epoch[1]) : Number(epoch[1]) * 1000;
+        }
+        return null;
+    }
+
+    /**
+     * Replay frames one after another. Frames are spaced by their recorded gaps divided by the speed
+     * (time spent analyzing counts towards the gap); speed 0 replays as fast as the provider answers.
+     * @param {Array<Object>} frames - From loadFolder or loadHistory
+     * @param {Object} options - { label, provider, profileName, speed, outputDir } plus whatever analyzeFrame needs
+     * @returns {Promise<Object>} - Final state, with the written files
+     */
+    async start(frames, options) {
+        if (this.run) {
+            throw new Error('A replay is already running');
+        }
+        if (frames.length === 0) {
+            throw new Error('No images to replay');
+        }
+
+        const run = {
+            id: new Date().toISOString().replace(/[:.]/g, '-'),
+            options,
+            frames,
+            rows: [],
+            cancelled: false,
+            abort: new AbortController(),
+            wake: null,
+            startedAt: new Date().toISOString(),
+            files: null
+        };
+        this.run = run;
+        console.log(`[Replay] Replaying ${frames.length} frame(s) of ${options.label} with ${options.provider} at ${options.speed || 'max'}x`);
+
+        try {
+            for (let i = 0; i < frames.length && !run.cancelled; i++) {
+                const started = Date.now();
+                const row = await this.replayFrame(frames[i], run);
+                // The frame that was being analyzed when the replay was stopped has no result
+                if (run.cancelled && row.error) break;
+                run.rows.push(row);
+                this.onProgress(this.getState(run, row));
+
+                const next = frames[i + 1];
+                if (next && options.speed > 0 && !run.cancelled) {
+                    const gap = Math.max(0, next.timestamp - frames[i].timestamp) / options.speed;
+                    await this.wait(run, Math.min(MAX_WAIT_MS, gap) - (Date.now() - started));
+                }
+            }
+            run.files = this.writeResults(run);
+        } finally {
+            this.run = null;
+        }
+
+        const state = this.getState(run);
+        this.onProgress(state);
+        return state;
+    }
+
+    async replayFrame(frame, run) {
+        const started = Date.now();
+        const row = { frame: frame.name, timestamp: new Date(frame.timestamp).toISOString() };
+
+        try {
+            const imageBase64 = await frame.load();
+            const result = await this.analyzeFrame(frame, imageBase64, { ...run.options, signal: run.abort.signal });
+            return {
+                ...row,
+                provider: result.provider,
+                model: result.model,
+                profileName: result.profileName || null,
+                latencyMs: Date.now() - started,
+                analysis: JSON.parse(result.analysis),
+                priceCheck: result.priceCheck || null,
+                sizing: result.sizing || null,
+                error: null
+            };
+        } catch (error) {
+            console.error(`[Replay] Frame ${frame.name} failed:`, error.message);
+            return { ...row, latencyMs: Date.now() - started, analysis: null, error: error.message };
+        }
+    }
+
+    wait(run, ms) {
+        if (ms <= 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            run.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Stop right away, cancelling the frame being analyzed; what was replayed so far is still written
+     */
+    stop() {
+        if (this.run) {
+            this.run.cancelled = true;
+            this.run.abort.abort();
+            if (this.run.wake) this.run.wake();
+        }
+    }
+
+    /**
+     * @param {Object} run - Current run
+     * @param {Object} [row] - Row of the frame just replayed; omitted once the run is over
+     * @returns {Object} - { running, label, index, total, frame, errors, cancelled, files }
+     */
+    getState(run, row = null) {
+        return {
+            running: row !== null,
+            label: run.options.label,
+            index: run.rows.length,
+            total: run.frames.length,
+            frame: row ? { name: row.frame, timestamp: row.timestamp, error: row.error } : null,
+            errors: run.rows.filter(entry => entry.error).length,
+            cancelled: run.cancelled,
+            files: run.files
+        };
+    }
+
+    /**
+     * @param {Object} run - Finished run
+     * @returns {Object} - { csv, json } file paths
+     */
+    writeResults(run) {
+        const { label, provider, profileName, speed, outputDir } = run.options;
+        const slug = value => String(value || 'default').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+        const base = path.join(outputDir, `replay-${slug(label)}-${slug(provider)}-${slug(profileName)}-${run.id}`);
+
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(`${base}.json`, JSON.stringify({
+            label,
+            provider,
+            profileName: profileName || null,
+            speed,
+            startedAt: run.startedAt,
+            finishedAt: new Date().toISOString(),
+            cancelled: run.cancelled,
+            frames: run.rows
+        }, null, 2));
+        fs.writeFileSync(`${base}.csv`, this.toCsv(run.rows));
+
+        console.log(`[Replay] Results written to ${base}.csv/.json`);
+        return { csv: `${base}.csv`, json: `${base}.json` };
+    }
+
+    /**
+     * One line per frame with the plan for the decision (the matching scenario, else the first)
+     * @param {Array<Object>} rows - Replayed frames
+     * @returns {string} - CSV text
+     */
+    toCsv(rows) {
+        const lines = rows.map(row => {
+            const analysis = row.analysis;
+            const plan = analysis
+                ? analysis.scenarios.find(scenario => scenario.side === analysis.decision) || analysis.scenarios[0]
+                : null;
+            const values = {
+                frame: row.frame,
+                timestamp: row.timestamp,
+                provider: row.provider,
+                model: row.model,
+                profile: row.profileName,
+                decision: analysis && analysis.decision,
+                confidence: analysis && analysis.confidence,
+                reason: analysis && analysis.reason,
+                side: plan && plan.side,
+                entry: plan && plan.entry,
+                stop: plan && plan.stop,
+                targets: plan && plan.targets.join(' / '),
+                scenarios: analysis && analysis.scenarios.length,
+                last_price: analysis && analysis.last_price,
+                latency_ms: row.latencyMs,
+                error: row.error
+            };
+            return CSV_COLUMNS.map(column => this.csvValue(values[column])).join(',');
+        });
+        return `${[CSV_COLUMNS.join(',')].concat(lines).join('\n')}\n`;
+    }
+
+    csvValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = ReplayService;
@@ -0,0 +1,104 @@
+/**
+ * Position size, dollar risk and R multiples for each scenario of an analysis.
+ * Sizing needs the instrument's tick size and tick value; without them there is nothing to size.
+ * @param {Array<Object>} scenarios - Validated scenarios
+ * @param {Object} instrument - { tickSize, tickValue } from the capture area
+ * @param {Object} risk - Risk settings ({ accountSize, mode, percent, amount, minRR, belowMin })
+ * @returns {Object|null} - { budget, minRR, belowMin, scenarios: [...] } in scenario order, null without tick size/value
+ */
+function sizeScenarios(scenarios, instrument, risk) {
+    if (!(instrument.tickSize > 0) || !(instrument.tickValue > 0)) {
+        return null;
+    }
+
+    const budget = riskBudget(risk);
+    return {
+        budget,
+        minRR: risk.minRR,
+        belowMin: risk.belowMin,
+        scenarios: scenarios.map(scenario => {
+            const sizing = sizeScenario(scenario, instrument, budget);
+            // R:R is judged at the first target, the one a scalper actually plans to take
+            return { ...sizing, belowMinRR: sizing.rr !== null && sizing.rr < risk.minRR };
+        })
+    };
+}
+
+/**
+ * Risk settings for one area: its own account size and risk per trade where set, the global ones otherwise
+ * @param {Object} risk - Risk settings
+ * @param {Object} area - Watchlist entry ({ accountSize, riskMode, riskPercent, riskAmount }, null when not overridden)
+ * @returns {Object} - Risk settings to size the area's scenarios with
+ */
+function resolveRisk(risk, area) {
+    const pick = (override, fallback) => (override !== null && override !== undefined ? override : fallback);
+    return {
+        ...risk,
+        accountSize: pick(area.accountSize, risk.accountSize),
+        mode: pick(area.riskMode, risk.mode),
+        percent: pick(area.riskPercent, risk.percent),
+        amount: pick(area.riskAmount, risk.amount)
+    };
+}
+
+/**
+ * @param {Object} risk - Risk settings
+ * @returns {number} - Money to risk per trade
+ */
+function riskBudget(risk) {
+    return risk.mode === 'fixed' ? risk.amount : risk.accountSize * risk.percent / 100;
+}
+
+/**
+ * @param {Object} scenario - { side, entry, stop, targets }
+ * @param {Object} instrument - { tickSize, tickValue }
+ * @param {number} budget - Money to risk
+ * @returns {Object} - { contracts, stopTicks, dollarRisk, rMultiples, rr, error }
+ */
+function sizeScenario(scenario, instrument, budget) {
+    const entry = parsePrice(scenario.entry);
+    const stop = parsePrice(scenario.stop);
+    const empty = { contracts: 0, stopTicks: null, dollarRisk: 0, rMultiples: scenario.targets.map(() => null), rr: null };
+
+    if (entry === null || stop === null) {
+        return { ...empty, error: 'Entry or stop is not a price' };
+    }
+
+    const direction = scenario.side === 'Short' ? -1 : 1;
+    const riskPoints = (entry - stop) * direction;
+    if (riskPoints <= 0) {
+        return { ...empty, error: riskPoints === 0 ? 'Stop equals entry' : 'Stop is on the wrong side of the entry' };
+    }
+
+    const stopTicks = round(riskPoints / instrument.tickSize, 2);
+    const riskPerContract = stopTicks * instrument.tickValue;
+    const contracts = Math.floor(budget / riskPerContract);
+    const rMultiples = scenario.targets.map(target => {
+        const price = parsePrice(target);
+        return price === null ? null : round((price - entry) * direction / riskPoints, 2);
+    });
+
+    return {
+        contracts,
+        stopTicks,
+        dollarRisk: round(contracts * riskPerContract, 2),
+        rMultiples,
+        rr: rMultiples.length ? rMultiples[0] : null,
+        error: contracts === 0 ? `One contract risks ${round(riskPerContract, 2)}, more than the budget` : null
+    };
+}
+
+/**
+ * @param {string} value - Price as the model wrote it ("18,250.25", "18250-18255")
+ * @returns {number|null} - The first number in it
+ */
+function parsePrice(value) {
+    const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+function round(value, decimals) {
+    return Number(value.toFixed(decimals));
+}
+
+module.exports = { sizeScenarios, sizeScenario, resolveRisk, riskBudget, parsePrice };
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { validateAnalysis } = require('./analysis-schema');
+const { isRoutineStatus } = require('./session-report');
+
+const BUNDLE_FORMAT = 'snapscalp-session';
+const BUNDLE_VERSION = 1;
+const THUMBNAIL_WIDTH = 320;
+
+class SessionRecorder {
+    /**
+     * Recorded sessions on disk: one folder per session holding session.json (analyses, status
+     * timeline and notes) and frames/<frameId>.png with every analyzed capture. Frame file names
+     * start with the capture time, so a frames folder can be replayed as it is.
+     * @param {string} directory - Directory under userData that holds the sessions
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.current = null;
+    }
+
+    isRecording() {
+        return this.current !== null;
+    }
+
+    /**
+     * @returns {Object} - { recording, session } with the summary of the session being recorded
+     */
+    getState() {
+        return {
+            recording: this.isRecording(),
+            session: this.current ? this.summarize(this.current) : null
+        };
+    }
+
+    /**
+     * Start a new session; a session already being recorded is stopped first
+     * @param {string} [name] - Session name, defaults to the start time
+     * @returns {Object} - Session summary
+     */
+    start(name) {
+        if (this.current) {
+            this.stop();
+        }
+
+        const startedAt = new Date();
+        const session = {
+            id: `${startedAt.getTime()}-${crypto.randomBytes(3).toString('hex')}`,
+            name: (name || '').trim() || `Session ${startedAt.toLocaleString()}`,
+            startedAt: startedAt.toISOString(),
+            endedAt: null,
+            frames: [],
+            statuses: [],
+            notes: []
+        };
+        fs.mkdirSync(path.join(this.directory, session.id, 'frames'), { recursive: true });
+        this.current = session;
+        this.save(session);
+
+        console.log(`[Session] Recording ${session.name}`);
+        return this.summarize(session);
+    }
+
+    /**
+     * @returns {Object|null} - Summary of the stopped session, null when nothing was recording
+     */
+    stop() {
+        if (!this.current) {
+            return null;
+        }
+
+        const session = this.current;
+        session.endedAt = new Date().toISOString();
+        this.save(session);
+        this.current = null;
+
+        console.log(`[Session] Stopped ${session.name} with ${session.frames.length} frame(s)`);
+        return this.summarize(session);
+    }
+
+    /**
+     * Save an analyzed capture to the session being recorded
+     * @param {Object} area - Watchlist entry ({ id, name })
+     * @param {Object} result - Analysis result (analysis JSON string, provider, model, profileName, consensus, priceCheck, sizing)
+     * @param {string} imageBase64 - The capture as sent to the dashboard (PNG, base64)
+     */
+    addFrame(area, result, imageBase64) {
+        const session = this.current;
+        if (!session) return;
+
+        // Local time, the way the replay reads time stamps in file names
+        const timestamp = new Date();
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const id = [
+            `${timestamp.getFullYear()}${pad(timestamp.getMonth() + 1)}${pad(timestamp.getDate())}`,
+            `${pad(timestamp.getHours())}${pad(timestamp.getMinutes())}${pad(timestamp.getSeconds())}`,
+            pad(timestamp.getMilliseconds(), 3),
+            crypto.randomBytes(2).toString('hex')
+        ].join('-');
+
+        fs.writeFileSync(path.join(this.directory, session.id, 'frames', `${id}.png`), Buffer.from(imageBase64, 'base64'));
+        session.frames.push({
+            id,
+            timestamp: timestamp.toISOString(),
+            areaId: area.id,
+            areaName: area.name,
+            provider: result.provider,
+            model: result.model,
+            profileName: result.profileName || null,
+            agreement: result.consensus ? result.consensus.agreement.label : null,
+            analysis: JSON.parse(result.analysis),
+            priceCheck: result.priceCheck || null,
+            sizing: result.sizing || null
+        });
+        this.save(session);
+    }
+
+    /**
+     * Add a status line to the timeline of the session being recorded; written with the next frame.
+     * Per-cycle progress (capturing, analyzing, updated) is left out, the frames already tell it.
+     * @param {string} status - Status text
+     * @param {Object} [meta] - { areaId, areaName }
+     */
+    addStatus(status, meta) {
+        if (!this.current || isRoutineStatus(status)) return;
+        this.current.statuses.push({
+            timestamp: new Date().toISOString(),
+            areaName: meta && meta.areaName ? meta.areaName : null,
+            status
+        });
+    }
+
+    /**
+     * Attach a note to a session, while recording or when reviewing it later
+     * @param {string} sessionId - Session id
+     * @param {string} text - Note text
+     * @returns {Object} - The stored note
+     */
+    addNote(sessionId, text) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed) {
+            throw new Error('Note is empty');
+        }
+
+        const session = this.current && this.current.id === sessionId ? this.current : this.load(sessionId);
+        const note = { timestamp: new Date().toISOString(), text: trimmed };
+        session.notes.push(note);
+        this.save(session);
+        return note;
+    }
+
+    save(session) {
+        fs.writeFileSync(path.join(this.directory, session.id, 'session.json'), JSON.stringify(session));
+    }
+
+    /**
+     * @param {string} id - Session id
+     * @returns {Object} - The full session (without images)
+     */
+    load(id) {
+        if (this.current && this.current.id === id) {
+            return JSON.parse(JSON.stringify(this.current));
+        }
+        const file = path.join(this.directory, path.basename(id), 'session.json');
+        if (!fs.existsSync(file)) {
+            throw new Error('Session not found');
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * @param {string} id - Session id
+     * @param {string} frameId - Frame id
+     * @returns {Buffer} - The frame's PNG
+     */
+    readFrame(id, frameId) {
+        return fs.readFileSync(this.getFramePath(id, frameId));
+    }
+
+    /**
+     * Small JPEG copies of a session's frames for the report's screenshot strip
+     * @param {string} id - Session id
+     * @returns {Promise<Map<string, string>>} - Frame id -> base64 JPEG; missing frames are left out
+     */
+    async getThumbnails(id) {
+        const thumbnails = new Map();
+        for (const frame of this.load(id).frames) {
+            try {
+                const thumbnail = await sharp(this.getFramePath(id, frame.id))
+                    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+                    .jpeg({ quality: 70 })
+                    .toBuffer();
+                thumbnails.set(frame.id, thumbnail.toString('base64'));
+            } catch (error) {
+                console.error(`[Session] No thumbnail for frame ${frame.id}:`, error.message);
+            }
+        }
+        return thumbnails;
+    }
+
+    getFramePath(id, frameId) {
+        return path.join(this.directory, path.basename(id), 'frames', `${path.basename(frameId)}.png`);
+    }
+
+    getSessionDirectory(id) {
+        return path.join(this.directory, path.basename(id));
+    }
+
+    /**
+     * @returns {Array<Object>} - Summaries of the stored sessions, newest first
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .filter(id => fs.existsSync(path.join(this.directory, id, 'session.json')))
+            .map(id => {
+                try {
+                    return this.summarize(this.load(id));
+                } catch (error) {
+                    console.error(`[Session] Failed to read session ${id}:`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    summarize(session) {
+        return {
+            id: session.id,
+            name: session.name,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            frames: session.frames.length,
+            areas: [...new Set(session.frames.map(frame => frame.areaName))],
+            notes: session.notes.length,
+            recording: this.current !== null && this.current.id === session.id
+        };
+    }
+
+    /**
+     * Write a session with its images into one portable file
+     * @param {string} id - Session id
+     * @param {string} filePath - Bundle file to write
+     */
+    exportBundle(id, filePath) {
+        const session = this.load(id);
+        const images = {};
+        session.frames.forEach(frame => {
+            try {
+                images[frame.id] = this.readFrame(id, frame.id).toString('base64');
+            } catch (error) {
+                console.error(`[Session] Frame ${frame.id} is missing from ${id}:`, error.message);
+            }
+        });
+        fs.writeFileSync(filePath, JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, session, images }));
+    }
+
+    /**
+     * Import a bundle written by exportBundle as a new stored session
+     * @param {string} filePath - Bundle file
+     * @returns {Object} - Summary of the imported session
+     */
+    importBundle(filePath) {
+        let bundle;
+        try {
+            bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Not a session bundle: ${error.message}`);
+        }
+        if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.session || !Array.isArray(bundle.session.frames)) {
+            throw new Error('Not a session bundle');
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            throw new Error('The bundle was written by a newer version of the app');
+        }
+
+        // Bundles come from other people: only frames with a valid analysis are kept, and every
+        // field the report shows is taken over as plain data
+        const frames = bundle.session.frames
+            .map(frame => this.importFrame(frame))
+            .filter(Boolean);
+        const skipped = bundle.session.frames.length - frames.length;
+        if (skipped > 0) {
+            console.warn(`[Session] Skipped ${skipped} invalid frame(s) of the bundle`);
+        }
+
+        // Imports never overwrite a stored session
+        const startedAt = this.toIsoDate(bundle.session.startedAt) || (frames[0] ? frames[0].timestamp : new Date().toISOString());
+        const session = {
+            id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            name: String(bundle.session.name || `Session ${new Date(startedAt).toLocaleString()}`).slice(0, 200),
+            startedAt,
+            endedAt: this.toIsoDate(bundle.session.endedAt) || startedAt,
+            frames,
+            statuses: (Array.isArray(bundle.session.statuses) ? bundle.session.statuses : [])
+                .filter(entry => entry && this.toIsoDate(entry.timestamp))
+                .map(entry => ({
+                    timestamp: this.toIsoDate(entry.timestamp),
+                    areaName: entry.areaName ? String(entry.areaName) : null,
+                    status: String(entry.status)
+                })),
+            notes: (Array.isArray(bundle.session.notes) ? bundle.session.notes : [])
+                .filter(note => note && this.toIsoDate(note.timestamp))
+                .map(note => ({
+                    timestamp: this.toIsoDate(note.timestamp),
+                    text: String(note.text)
+                }))
+        };
+        const framesDirectory = path.join(this.directory, session.id, 'frames');
+        fs.mkdirSync(framesDirectory, { recursive: true });
+        session.frames.forEach(frame => {
+            const image = bundle.images && bundle.images[frame.id];
+            if (typeof image === 'string') {
+                fs.writeFileSync(path.join(framesDirectory, `${path.basename(frame.id)}.png`), Buffer.from(image, 'base64'));
+            }
+        });
+        this.save(session);
+
+        console.log(`[Session] Imported ${session.name} with ${session.frames.length} frame(s)`);
+        return this.summarize(session);
+    }
+
+    /**
+     * @param {Object} frame - Frame of an imported bundle
+     * @returns {Object|null} - The frame with its analysis validated against the schema, null when it doesn't pass
+     */
+    importFrame(frame) {
+        if (!frame || typeof frame.id !== 'string' || !/^[\w-]+$/.test(frame.id) || !this.toIsoDate(frame.timestamp)) {
+            return null;
+        }
+        const validation = validateAnalysis(frame.analysis);
+        if (!validation.success) {
+            return null;
+        }
+
+        const textOrNull = value => (value === null || value === undefined ? null : String(value));
+        return {
+            id: frame.id,
+            timestamp: this.toIsoDate(frame.timestamp),
+            areaId: textOrNull(frame.areaId),
+            areaName: String(frame.areaName || 'Chart'),
+            provider: String(frame.provider || 'unknown'),
+            model: String(frame.model || 'unknown'),
+            profileName: textOrNull(frame.profileName),
+            agreement: textOrNull(frame.agreement),
+            analysis: validation.data,
+            priceCheck: frame.priceCheck && typeof frame.priceCheck === 'object' ? frame.priceCheck : null,
+            sizing: frame.sizing && typeof frame.sizing === 'object' ? frame.sizing : null
+        };
+    }
+
+    /**
+     * @param {*} value - Time stamp from a bundle
+     * @returns {string|null} - ISO date, null when it isn't one
+     */
+    toIsoDate(value) {
+        const time = Date.parse(value);
+        return Number.isFinite(time) ? new Date(time).toISOString() : null;
+    }
+
+    /**
+     * @param {string} id - Session id; the session being recorded can't be removed
+     */
+    remove(id) {
+        if (this.current && this.current.id === id) {
+            throw new Error('Stop recording before deleting the session');
+        }
+        fs.rmSync(this.getSessionDirectory(id), { recursive: true, force: true });
+    }
+}
+
+module.exports = SessionRecorder;
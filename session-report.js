@@ -0,0 +1,258 @@
+const { clusterLevels } = require('./consensus');
+
+const DECISION_COLORS = { Long: '#16a34a', Short: '#dc2626', Wait: '#9ca3af' };
+const AREA_COLORS = ['#2563eb', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+// Per-cycle progress is already told by the frames; the status timeline keeps everything else
+const ROUTINE_STATUS = /: (Capturing|Analyzing|Updated at .*)$/;
+const MAX_KEY_LEVELS = 5;
+const CHART_WIDTH = 760;
+const CHART_HEIGHT = 180;
+const BAND_HEIGHT = 18;
+const CHART_PAD = 36;
+
+/**
+ * Render a recorded session as one self-contained HTML page (inline styles, SVG charts and
+ * screenshots as data URIs) that reads the same in a browser, a review window or a PDF.
+ * @param {Object} session - Stored session (frames, statuses, notes)
+ * @param {Map<string, string>} thumbnails - Frame id -> base64 JPEG for the screenshot strip
+ * @param {Object} [options] - { levelTolerancePct } for grouping key levels
+ * @returns {string} - HTML document
+ */
+function renderReport(session, thumbnails, options = {}) {
+    const frames = session.frames;
+    const areas = [...new Set(frames.map(frame => frame.areaName))];
+    const start = Date.parse(session.startedAt);
+    const lastFrame = frames[frames.length - 1];
+    const end = Math.max(start + 1, Date.parse(session.endedAt || (lastFrame ? lastFrame.timestamp : session.startedAt)));
+    const timeline = { start, end, areas };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(session.name)}</title>
+<style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 24px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .meta { color: #666; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    .legend span { display: inline-block; margin-right: 12px; }
+    .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+    .strip { display: flex; gap: 8px; overflow-x: auto; padding-bottom: 8px; }
+    .strip figure { margin: 0; flex: 0 0 auto; width: 200px; break-inside: avoid; }
+    .strip img { width: 200px; border: 1px solid #ddd; display: block; }
+    .strip figcaption { font-size: 10px; margin-top: 2px; }
+    .long { color: ${DECISION_COLORS.Long}; }
+    .short { color: ${DECISION_COLORS.Short}; }
+    .wait { color: #666; }
+    @media print {
+        body { margin: 0; }
+        .strip { flex-wrap: wrap; overflow: visible; }
+    }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.name)}</h1>
+<div class="meta">${escapeHtml(formatDateTime(start))} – ${escapeHtml(formatDateTime(end))} · ${frames.length} analyses · ${escapeHtml(areas.join(', ') || 'no areas')}</div>
+${renderSummary(frames, areas)}
+${frames.length ? `<h2>Confidence</h2>${renderLegend(areas)}${renderConfidenceChart(frames, timeline)}` : ''}
+${frames.length ? `<h2>Decisions over time</h2>${renderDecisionBands(frames, timeline)}` : ''}
+${renderKeyLevels(frames, areas, options.levelTolerancePct || 0.1)}
+${renderNotes(session.notes || [])}
+${renderStrip(frames, thumbnails)}
+${renderStatuses(session.statuses || [])}
+</body>
+</html>
+`;
+}
+
+function renderSummary(frames, areas) {
+    if (areas.length === 0) {
+        return '<h2>Summary</h2><p>No analyses were recorded.</p>';
+    }
+
+    const rows = areas.map(area => {
+        const own = frames.filter(frame => frame.areaName === area);
+        const count = decision => own.filter(frame => frame.analysis.decision === decision).length;
+        const averageConfidence = Math.round(own.reduce((sum, frame) => sum + frame.analysis.confidence, 0) / own.length);
+        const providers = [...new Set(own.map(frame => frame.provider))].join(', ');
+        return `<tr><td>${escapeHtml(area)}</td><td>${own.length}</td><td class="long">${count('Long')}</td><td class="short">${count('Short')}</td><td class="wait">${count('Wait')}</td><td>${escapeHtml(averageConfidence)}</td><td>${escapeHtml(providers)}</td></tr>`;
+    });
+
+    return `<h2>Summary</h2>
+<table><tr><th>Area</th><th>Analyses</th><th>Long</th><th>Short</th><th>Wait</th><th>Avg confidence</th><th>Providers</th></tr>
+${rows.join('\n')}</table>`;
+}
+
+function renderLegend(areas) {
+    const areaItems = areas.map((area, index) => `<span><i style="background:${areaColor(index)}"></i>${escapeHtml(area)}</span>`);
+    const decisionItems = Object.entries(DECISION_COLORS).map(([decision, color]) => `<span><i style="background:${color};border-radius:50%"></i>${decision}</span>`);
+    return `<div class="legend">${areaItems.concat(decisionItems).join('')}</div>`;
+}
+
+/**
+ * One confidence line per area; the dots are coloured by the decision
+ */
+function renderConfidenceChart(frames, timeline) {
+    const x = timestamp => xAt(timestamp, timeline);
+    const y = confidence => CHART_HEIGHT - 16 - confidence / 100 * (CHART_HEIGHT - 32);
+
+    const grid = [0, 50, 100].map(value => (
+        `<line x1="${CHART_PAD}" x2="${CHART_WIDTH - CHART_PAD}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e5e5"/>` +
+        `<text x="${CHART_PAD - 6}" y="${y(value) + 4}" font-size="10" text-anchor="end" fill="#666">${value}</text>`
+    ));
+    const series = timeline.areas.map((area, index) => {
+        const points = frames
+            .filter(frame => frame.areaName === area)
+            .map(frame => ({ x: x(Date.parse(frame.timestamp)), y: y(frame.analysis.confidence), frame }));
+        const line = `<polyline fill="none" stroke="${areaColor(index)}" stroke-width="1.5" points="${points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ')}"/>`;
+        const dots = points.map(point => (
+            `<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="3" fill="${decisionColor(point.frame.analysis.decision)}">` +
+            `<title>${escapeHtml(`${formatTime(point.frame.timestamp)} ${area}: ${point.frame.analysis.decision} ${point.frame.analysis.confidence}`)}</title></circle>`
+        ));
+        return line + dots.join('');
+    });
+
+    return `<svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+${grid.join('\n')}
+${series.join('\n')}
+${renderTimeAxis(timeline, CHART_HEIGHT - 2)}
+</svg>`;
+}
+
+/**
+ * One band per area; each decision holds until the area's next analysis
+ */
+function renderDecisionBands(frames, timeline) {
+    const height = timeline.areas.length * (BAND_HEIGHT + 6) + 16;
+    const bands = timeline.areas.map((area, row) => {
+        const own = frames.filter(frame => frame.areaName === area);
+        const top = row * (BAND_HEIGHT + 6);
+        const segments = own.map((frame, index) => {
+            const from = xAt(Date.parse(frame.timestamp), timeline);
+            const to = index + 1 < own.length ? xAt(Date.parse(own[index + 1].timestamp), timeline) : xAt(timeline.end, timeline);
+            return `<rect x="${from.toFixed(1)}" y="${top}" width="${Math.max(1, to - from).toFixed(1)}" height="${BAND_HEIGHT}" fill="${decisionColor(frame.analysis.decision)}">` +
+                `<title>${escapeHtml(`${formatTime(frame.timestamp)}: ${frame.analysis.decision} ${frame.analysis.confidence} – ${frame.analysis.reason}`)}</title></rect>`;
+        });
+        return `<text x="${CHART_PAD - 6}" y="${top + BAND_HEIGHT - 5}" font-size="10" text-anchor="end">${escapeHtml(shorten(area, 6))}</text>${segments.join('')}`;
+    });
+
+    return `<svg width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">
+${bands.join('\n')}
+${renderTimeAxis(timeline, height - 2)}
+</svg>`;
+}
+
+function renderTimeAxis(timeline, y) {
+    return [timeline.start, (timeline.start + timeline.end) / 2, timeline.end].map((timestamp, index) => (
+        `<text x="${xAt(timestamp, timeline).toFixed(1)}" y="${y}" font-size="10" fill="#666" text-anchor="${['start', 'middle', 'end'][index]}">${escapeHtml(formatTime(timestamp))}</text>`
+    )).join('');
+}
+
+/**
+ * Levels each area's analyses named most often, grouped like consensus levels
+ */
+function renderKeyLevels(frames, areas, tolerancePct) {
+    if (areas.length === 0) {
+        return '';
+    }
+
+    const rows = areas.map(area => {
+        const own = frames.filter(frame => frame.areaName === area);
+        const support = clusterLevels(own.map(frame => frame.analysis.levels.support), tolerancePct, 'desc').slice(0, MAX_KEY_LEVELS);
+        const resistance = clusterLevels(own.map(frame => frame.analysis.levels.resistance), tolerancePct, 'asc').slice(0, MAX_KEY_LEVELS);
+        const last = own[own.length - 1].analysis;
+        return `<tr><td>${escapeHtml(area)}</td><td>${escapeHtml(support.join(', ') || '—')}</td><td>${escapeHtml(resistance.join(', ') || '—')}</td><td class="${decisionClass(last.decision)}">${escapeHtml(`${last.decision} ${last.confidence} – ${last.reason}`)}</td></tr>`;
+    });
+
+    return `<h2>Key levels</h2>
+<table><tr><th>Area</th><th>Support (most named first)</th><th>Resistance (most named first)</th><th>Last decision</th></tr>
+${rows.join('\n')}</table>`;
+}
+
+function renderNotes(notes) {
+    if (notes.length === 0) {
+        return '';
+    }
+    const items = notes.map(note => `<tr><td>${escapeHtml(formatTime(note.timestamp))}</td><td>${escapeHtml(note.text)}</td></tr>`);
+    return `<h2>Notes</h2>
+<table>${items.join('\n')}</table>`;
+}
+
+function renderStrip(frames, thumbnails) {
+    const figures = frames
+        .filter(frame => thumbnails.has(frame.id))
+        .map(frame => (
+            `<figure><img src="data:image/jpeg;base64,${thumbnails.get(frame.id)}" alt="">` +
+            `<figcaption>${escapeHtml(formatTime(frame.timestamp))} · ${escapeHtml(frame.areaName)} · ` +
+            `<b class="${decisionClass(frame.analysis.decision)}">${escapeHtml(`${frame.analysis.decision} ${frame.analysis.confidence}`)}</b></figcaption></figure>`
+        ));
+    if (figures.length === 0) {
+        return '';
+    }
+    return `<h2>Screenshots</h2>
+<div class="strip">
+${figures.join('\n')}
+</div>`;
+}
+
+function renderStatuses(statuses) {
+    // Sessions recorded before routine statuses were filtered out still have them
+    const notable = statuses.filter(entry => !isRoutineStatus(entry.status));
+    if (notable.length === 0) {
+        return '';
+    }
+    const rows = notable.map(entry => `<tr><td>${escapeHtml(formatTime(entry.timestamp))}</td><td>${escapeHtml(entry.status)}</td></tr>`);
+    return `<h2>Status timeline</h2>
+<table>${rows.join('\n')}</table>`;
+}
+
+/**
+ * @param {string} status - Status line
+ * @returns {boolean} - True for per-cycle progress that the frames already tell
+ */
+function isRoutineStatus(status) {
+    return ROUTINE_STATUS.test(status);
+}
+
+// Decisions only come from validated analyses, but the report never trusts them into markup
+function decisionColor(decision) {
+    return DECISION_COLORS[decision] || DECISION_COLORS.Wait;
+}
+
+function decisionClass(decision) {
+    return DECISION_COLORS[decision] ? decision.toLowerCase() : 'wait';
+}
+
+function xAt(timestamp, timeline) {
+    return CHART_PAD + (timestamp - timeline.start) / (timeline.end - timeline.start) * (CHART_WIDTH - 2 * CHART_PAD);
+}
+
+function areaColor(index) {
+    return AREA_COLORS[index % AREA_COLORS.length];
+}
+
+function shorten(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+}
+
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { renderReport, isRoutineStatus };
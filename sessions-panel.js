@@ -0,0 +1,190 @@
+class SessionsPanel {
+    /**
+     * Records sessions and lists the stored ones with their report, export and import actions
+     * @param {SnapScalpRenderer} renderer - Owner; its Sessions button shows when a recording is running
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.state = { recording: false, session: null };
+        this.selectedId = null;
+        this.isOpen = false;
+
+        this.initializeElements();
+        this.setupEventListeners();
+        this.loadState();
+    }
+
+    initializeElements() {
+        this.panel = document.getElementById('sessions-panel');
+        this.nameInput = document.getElementById('session-name');
+        this.btnRecord = document.getElementById('btn-session-record');
+        this.stateLabel = document.getElementById('session-state');
+        this.noteInput = document.getElementById('session-note');
+        this.btnNote = document.getElementById('btn-session-note');
+        this.btnImport = document.getElementById('btn-session-import');
+        this.tbody = document.getElementById('sessions-body');
+        this.statusLabel = document.getElementById('sessions-status');
+    }
+
+    setupEventListeners() {
+        this.btnRecord.addEventListener('click', () => this.toggleRecording());
+        this.btnNote.addEventListener('click', () => this.addNote());
+        this.noteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addNote();
+        });
+        this.btnImport.addEventListener('click', () => this.importBundle());
+
+        window.electronAPI.onSessionStateChanged((event, state) => {
+            this.updateState(state);
+            if (this.isOpen) {
+                this.refresh();
+            }
+        });
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.panel.style.display = isOpen ? 'flex' : 'none';
+        if (isOpen) {
+            this.refresh();
+        }
+    }
+
+    async loadState() {
+        try {
+            this.updateState(await window.electronAPI.getSessionState());
+        } catch (error) {
+            console.error('[Sessions] Failed to load recording state:', error);
+        }
+    }
+
+    /**
+     * @param {Object} state - { recording, session }
+     */
+    updateState(state) {
+        this.state = state;
+        this.btnRecord.textContent = state.recording ? 'Stop recording' : 'Record';
+        this.btnRecord.classList.toggle('recording', state.recording);
+        this.nameInput.disabled = state.recording;
+        this.stateLabel.textContent = state.recording
+            ? `Recording ${state.session.name}: ${state.session.frames} analyses`
+            : '';
+        this.renderer.btnSessions.classList.toggle('recording', state.recording);
+    }
+
+    async toggleRecording() {
+        if (this.state.recording) {
+            await window.electronAPI.stopSessionRecording();
+        } else {
+            await window.electronAPI.startSessionRecording(this.nameInput.value);
+            this.nameInput.value = '';
+        }
+    }
+
+    async refresh() {
+        try {
+            const sessions = await window.electronAPI.listSessions();
+            if (!sessions.some(session => session.id === this.selectedId)) {
+                this.selectedId = null;
+            }
+            this.renderSessions(sessions);
+        } catch (error) {
+            console.error('[Sessions] Failed to load sessions:', error);
+            this.statusLabel.textContent = 'Sessions unavailable';
+        }
+    }
+
+    renderSessions(sessions) {
+        this.tbody.innerHTML = '';
+        sessions.forEach(session => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', session.id === this.selectedId);
+            row.innerHTML = `
+                <td class="session-name"></td>
+                <td class="session-started"></td>
+                <td class="session-frames"></td>
+                <td class="session-areas"></td>
+                <td class="session-notes"></td>
+                <td class="session-actions">
+                    <button class="btn btn-small session-view">View</button>
+                    <button class="btn btn-small session-html">HTML</button>
+                    <button class="btn btn-small session-pdf">PDF</button>
+                    <button class="btn btn-small session-bundle">Bundle</button>
+                    <button class="btn btn-small session-delete">Delete</button>
+                </td>
+            `;
+
+            row.querySelector('.session-name').textContent = session.recording ? `● ${session.name}` : session.name;
+            row.querySelector('.session-started').textContent = new Date(session.startedAt).toLocaleString();
+            row.querySelector('.session-frames').textContent = session.frames;
+            row.querySelector('.session-areas').textContent = session.areas.join(', ');
+            row.querySelector('.session-notes').textContent = session.notes;
+
+            row.addEventListener('click', () => {
+                this.selectedId = session.id;
+                this.tbody.querySelectorAll('tr').forEach(other => other.classList.toggle('selected', other === row));
+            });
+            row.querySelector('.session-view').addEventListener('click', () => this.run(window.electronAPI.openSessionReport(session.id)));
+            row.querySelector('.session-html').addEventListener('click', () => this.run(window.electronAPI.exportSessionReport(session.id, 'html'), 'Report saved to'));
+            row.querySelector('.session-pdf').addEventListener('click', () => this.run(window.electronAPI.exportSessionReport(session.id, 'pdf'), 'PDF saved to'));
+            row.querySelector('.session-bundle').addEventListener('click', () => this.run(window.electronAPI.exportSessionBundle(session.id), 'Bundle saved to'));
+            row.querySelector('.session-delete').addEventListener('click', () => this.deleteSession(session));
+            row.querySelector('.session-delete').disabled = session.recording;
+
+            this.tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the outcome of a session action in the status line
+     * @param {Promise<Object>} request - IPC call returning { success, filePath, error, canceled }
+     * @param {string} [savedText] - Prefix for the saved file's path
+     */
+    async run(request, savedText) {
+        this.statusLabel.textContent = 'Working...';
+        const result = await request;
+        if (result.canceled) {
+            this.statusLabel.textContent = '';
+        } else if (!result.success) {
+            this.statusLabel.textContent = result.error;
+        } else {
+            this.statusLabel.textContent = savedText && result.filePath ? `${savedText} ${result.filePath}` : '';
+        }
+    }
+
+    async addNote() {
+        const sessionId = this.selectedId || (this.state.session && this.state.session.id);
+        if (!sessionId) {
+            this.statusLabel.textContent = 'Select a session or start recording to add notes';
+            return;
+        }
+
+        const result = await window.electronAPI.addSessionNote(sessionId, this.noteInput.value);
+        if (result.success) {
+            this.noteInput.value = '';
+            this.statusLabel.textContent = 'Note added';
+        } else {
+            this.statusLabel.textContent = result.error;
+        }
+    }
+
+    async importBundle() {
+        const result = await window.electronAPI.importSessionBundle();
+        if (result.success) {
+            this.selectedId = result.session.id;
+            this.statusLabel.textContent = `Imported ${result.session.name}`;
+        } else if (!result.canceled) {
+            this.statusLabel.textContent = result.error;
+        }
+    }
+
+    async deleteSession(session) {
+        if (!confirm(`Delete session ${session.name} and its screenshots?`)) {
+            return;
+        }
+        const result = await window.electronAPI.deleteSession(session.id);
+        if (!result.success) {
+            this.statusLabel.textContent = result.error;
+        }
+    }
+}
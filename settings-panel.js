@@ -0,0 +1,398 @@
+class SettingsPanel {
+    /**
+     * Editor for the persisted settings; saving applies them in the main process right away
+     * @param {SnapScalpRenderer} renderer - Owner, notified after a successful save
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.isOpen = false;
+
+        this.panel = document.getElementById('settings-panel');
+        this.intervalInput = document.getElementById('settings-default-interval');
+        this.requestTimeout = document.getElementById('settings-request-timeout');
+        this.requestRetries = document.getElementById('settings-request-retries');
+        this.requestStreaming = document.getElementById('settings-request-streaming');
+        this.consensusEnabled = document.getElementById('settings-consensus-enabled');
+        this.consensusProviders = document.getElementById('settings-consensus-providers');
+        this.consensusTolerance = document.getElementById('settings-consensus-tolerance');
+        this.failoverEnabled = document.getElementById('settings-failover-enabled');
+        this.failoverProviders = document.getElementById('settings-failover-providers');
+        this.failoverFailures = document.getElementById('settings-failover-failures');
+        this.failoverRetry = document.getElementById('settings-failover-retry');
+        this.alertRules = document.querySelectorAll('.alert-rule');
+        this.alertsSound = document.getElementById('settings-alerts-sound');
+        this.alertsFlash = document.getElementById('settings-alerts-flash');
+        this.overlayEnabled = document.getElementById('settings-overlay-enabled');
+        this.hudEnabled = document.getElementById('settings-hud-enabled');
+        this.hudClickThrough = document.getElementById('settings-hud-click-through');
+        this.hudReplace = document.getElementById('settings-hud-replace');
+        this.hudOpacity = document.getElementById('settings-hud-opacity');
+        this.paperEnabled = document.getElementById('settings-paper-enabled');
+        this.paperExpiry = document.getElementById('settings-paper-expiry');
+        this.riskAccount = document.getElementById('settings-risk-account');
+        this.riskMode = document.getElementById('settings-risk-mode');
+        this.riskPercent = document.getElementById('settings-risk-percent');
+        this.riskAmount = document.getElementById('settings-risk-amount');
+        this.riskMinRR = document.getElementById('settings-risk-min-rr');
+        this.riskBelowMin = document.getElementById('settings-risk-below-min');
+        this.priceCheckEnabled = document.getElementById('settings-price-check-enabled');
+        this.priceCheckMode = document.getElementById('settings-price-check-mode');
+        this.controlEnabled = document.getElementById('settings-control-enabled');
+        this.controlPort = document.getElementById('settings-control-port');
+        this.controlState = document.getElementById('settings-control-state');
+        this.controlToken = document.getElementById('settings-control-token');
+        this.providersTbody = document.getElementById('settings-providers-tbody');
+        this.statusLabel = document.getElementById('settings-status');
+        this.keysTbody = document.getElementById('settings-keys-tbody');
+        this.keysStatusLabel = document.getElementById('keys-status');
+        this.promptEditor = new PromptEditor();
+        this.webhookEditor = new WebhookEditor(renderer);
+        this.costsEditor = new CostsEditor(renderer);
+
+        document.getElementById('btn-settings-save').addEventListener('click', () => this.save());
+        document.getElementById('btn-keys-import').addEventListener('click', () => this.importKeys());
+        document.getElementById('btn-control-copy').addEventListener('click', () => {
+            navigator.clipboard.writeText(this.controlToken.value);
+        });
+        document.getElementById('btn-control-regenerate').addEventListener('click', () => this.regenerateControlToken());
+        this.riskMode.addEventListener('change', () => this.updateRiskMode());
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.panel.style.display = isOpen ? 'flex' : 'none';
+        if (isOpen) {
+            this.load();
+            this.loadKeys();
+            this.loadControlApi();
+            this.promptEditor.load();
+            this.webhookEditor.load();
+            this.costsEditor.loadUsage();
+        }
+    }
+
+    async load() {
+        try {
+            const settings = await window.electronAPI.getSettings();
+            this.render(settings);
+            this.statusLabel.textContent = '';
+        } catch (error) {
+            console.error('[Settings] Failed to load settings:', error);
+            this.statusLabel.textContent = 'Failed to load settings';
+        }
+    }
+
+    render(settings) {
+        this.intervalInput.value = Math.round(settings.defaultIntervalMs / 1000);
+        this.providersTbody.innerHTML = '';
+
+        Object.entries(settings.providers).forEach(([name, provider]) => {
+            const row = document.createElement('tr');
+            row.dataset.provider = name;
+            row.innerHTML = `
+                <td class="settings-provider-name"></td>
+                <td><input type="text" class="settings-model" spellcheck="false"></td>
+                <td><input type="number" class="settings-temperature" min="0" max="2" step="0.05"></td>
+                <td><input type="number" class="settings-max-tokens" min="50" step="50"></td>
+                <td><input type="text" class="settings-base-url" spellcheck="false"></td>
+                <td><input type="checkbox" class="settings-vision"></td>
+            `;
+
+            row.querySelector('.settings-provider-name').textContent = name;
+            row.querySelector('.settings-model').value = provider.model;
+            row.querySelector('.settings-temperature').value = provider.temperature;
+            row.querySelector('.settings-max-tokens').value = provider.maxTokens;
+
+            // Fields a provider doesn't have stay disabled; only local models may lack vision
+            const baseUrl = row.querySelector('.settings-base-url');
+            baseUrl.value = provider.baseUrl || '';
+            baseUrl.disabled = provider.baseUrl === undefined;
+            const vision = row.querySelector('.settings-vision');
+            vision.checked = provider.vision !== false;
+            vision.disabled = provider.vision === undefined;
+
+            this.providersTbody.appendChild(row);
+        });
+
+        this.requestTimeout.value = settings.requests.timeoutSec;
+        this.requestRetries.value = settings.requests.retries;
+        this.requestStreaming.checked = settings.requests.streaming;
+        this.consensusEnabled.checked = settings.consensus.enabled;
+        this.consensusTolerance.value = settings.consensus.levelTolerancePct;
+        this.consensusProviders.innerHTML = '';
+        Object.keys(settings.providers).forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'area-interval-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = name;
+            checkbox.checked = settings.consensus.providers.includes(name);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${name}`));
+            this.consensusProviders.appendChild(label);
+        });
+
+        this.failoverEnabled.checked = settings.failover.enabled;
+        this.failoverProviders.value = settings.failover.providers.join(', ');
+        this.failoverFailures.value = settings.failover.failuresBeforeSwitch;
+        this.failoverRetry.value = settings.failover.retryPrimaryMin;
+
+        this.alertRules.forEach(row => {
+            const rule = settings.alerts.rules[row.dataset.rule];
+            row.querySelector('.alert-enabled').checked = rule.enabled;
+            row.querySelector('.alert-cooldown').value = rule.cooldownSec;
+            const min = row.querySelector('.alert-min');
+            if (min) {
+                min.value = rule.min;
+            }
+        });
+        this.alertsSound.checked = settings.alerts.sound;
+        this.alertsFlash.checked = settings.alerts.flash;
+        this.riskAccount.value = settings.risk.accountSize;
+        this.riskMode.value = settings.risk.mode;
+        this.riskPercent.value = settings.risk.percent;
+        this.riskAmount.value = settings.risk.amount;
+        this.riskMinRR.value = settings.risk.minRR;
+        this.riskBelowMin.value = settings.risk.belowMin;
+        this.updateRiskMode();
+        this.priceCheckEnabled.checked = settings.priceCheck.enabled;
+        this.priceCheckMode.value = settings.priceCheck.mode;
+        this.overlayEnabled.checked = settings.chartOverlay.enabled;
+        this.hudEnabled.checked = settings.hud.enabled;
+        this.hudClickThrough.checked = settings.hud.clickThrough;
+        this.hudReplace.checked = settings.hud.replaceDashboard;
+        this.hudOpacity.value = Math.round(settings.hud.opacity * 100);
+        this.paperEnabled.checked = settings.paperTrading.enabled;
+        this.paperExpiry.value = settings.paperTrading.expiryMin;
+        this.costsEditor.render(settings.costs);
+        this.controlEnabled.checked = settings.controlApi.enabled;
+        this.controlPort.value = settings.controlApi.port;
+    }
+
+    updateRiskMode() {
+        const isFixed = this.riskMode.value === 'fixed';
+        this.riskPercent.style.display = isFixed ? 'none' : '';
+        this.riskAmount.style.display = isFixed ? '' : 'none';
+    }
+
+    async loadControlApi() {
+        try {
+            this.renderControlApi(await window.electronAPI.getControlApi());
+        } catch (error) {
+            console.error('[Settings] Failed to load control API status:', error);
+        }
+    }
+
+    renderControlApi(status) {
+        this.controlToken.value = status.token;
+        if (status.error) {
+            this.controlState.textContent = status.error;
+        } else {
+            this.controlState.textContent = status.running ? `Listening on ${status.url}` : 'Off';
+        }
+    }
+
+    async regenerateControlToken() {
+        if (!confirm('Replace the control API token? Connected clients will need the new one.')) {
+            return;
+        }
+        this.renderControlApi(await window.electronAPI.regenerateControlToken());
+    }
+
+    collect() {
+        const providers = {};
+        this.providersTbody.querySelectorAll('tr').forEach(row => {
+            const provider = {
+                model: row.querySelector('.settings-model').value.trim(),
+                temperature: parseFloat(row.querySelector('.settings-temperature').value),
+                maxTokens: parseInt(row.querySelector('.settings-max-tokens').value, 10)
+            };
+
+            const baseUrl = row.querySelector('.settings-base-url');
+            if (!baseUrl.disabled) {
+                provider.baseUrl = baseUrl.value.trim();
+            }
+            const vision = row.querySelector('.settings-vision');
+            if (!vision.disabled) {
+                provider.vision = vision.checked;
+            }
+
+            providers[row.dataset.provider] = provider;
+        });
+
+        const rules = {};
+        this.alertRules.forEach(row => {
+            rules[row.dataset.rule] = {
+                enabled: row.querySelector('.alert-enabled').checked,
+                cooldownSec: parseInt(row.querySelector('.alert-cooldown').value, 10)
+            };
+            const min = row.querySelector('.alert-min');
+            if (min) {
+                rules[row.dataset.rule].min = parseInt(min.value, 10);
+            }
+        });
+
+        return {
+            defaultIntervalMs: parseInt(this.intervalInput.value, 10) * 1000,
+            risk: {
+                accountSize: parseFloat(this.riskAccount.value),
+                mode: this.riskMode.value,
+                percent: parseFloat(this.riskPercent.value),
+                amount: parseFloat(this.riskAmount.value),
+                minRR: parseFloat(this.riskMinRR.value),
+                belowMin: this.riskBelowMin.value
+            },
+            priceCheck: {
+                enabled: this.priceCheckEnabled.checked,
+                mode: this.priceCheckMode.value
+            },
+            chartOverlay: {
+                enabled: this.overlayEnabled.checked
+            },
+            hud: {
+                enabled: this.hudEnabled.checked,
+                clickThrough: this.hudClickThrough.checked,
+                replaceDashboard: this.hudReplace.checked,
+                opacity: parseInt(this.hudOpacity.value, 10) / 100
+            },
+            paperTrading: {
+                enabled: this.paperEnabled.checked,
+                expiryMin: parseInt(this.paperExpiry.value, 10)
+            },
+            costs: this.costsEditor.collect(),
+            controlApi: {
+                enabled: this.controlEnabled.checked,
+                port: parseInt(this.controlPort.value, 10)
+            },
+            alerts: {
+                sound: this.alertsSound.checked,
+                flash: this.alertsFlash.checked,
+                rules
+            },
+            requests: {
+                timeoutSec: parseInt(this.requestTimeout.value, 10),
+                retries: parseInt(this.requestRetries.value, 10),
+                streaming: this.requestStreaming.checked
+            },
+            failover: {
+                enabled: this.failoverEnabled.checked,
+                providers: this.failoverProviders.value.toLowerCase().split(/[\s,]+/).filter(Boolean),
+                failuresBeforeSwitch: parseInt(this.failoverFailures.value, 10),
+                retryPrimaryMin: parseInt(this.failoverRetry.value, 10)
+            },
+            consensus: {
+                enabled: this.consensusEnabled.checked,
+                providers: Array.from(this.consensusProviders.querySelectorAll('input:checked')).map(input => input.value),
+                levelTolerancePct: parseFloat(this.consensusTolerance.value)
+            },
+            providers
+        };
+    }
+
+    async loadKeys() {
+        try {
+            this.renderKeys(await window.electronAPI.getKeyStatus());
+        } catch (error) {
+            console.error('[Settings] Failed to load key status:', error);
+            this.keysStatusLabel.textContent = 'Failed to load key status';
+        }
+    }
+
+    renderKeys(status) {
+        this.keysStatusLabel.textContent = status.encryptionAvailable
+            ? ''
+            : 'OS keychain encryption unavailable - keys cannot be saved';
+        this.keysTbody.innerHTML = '';
+
+        Object.entries(status.providers).forEach(([provider, keyStatus]) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="settings-provider-name"></td>
+                <td class="settings-key-state"></td>
+                <td><input type="password" class="settings-key" autocomplete="off" spellcheck="false"></td>
+                <td class="settings-key-actions">
+                    <button class="btn btn-small settings-key-save">Save</button>
+                    <button class="btn btn-small settings-key-test">Test</button>
+                    <button class="btn btn-small settings-key-remove">Remove</button>
+                </td>
+            `;
+
+            row.querySelector('.settings-provider-name').textContent = provider;
+            row.querySelector('.settings-key-state').textContent = keyStatus.stored
+                ? 'Encrypted'
+                : (keyStatus.configured ? 'Session only' : '—');
+
+            const input = row.querySelector('.settings-key');
+            input.placeholder = keyStatus.configured ? 'Replace key' : 'Paste key';
+
+            row.querySelector('.settings-key-save').addEventListener('click', () => this.saveKey(provider, input));
+            row.querySelector('.settings-key-test').addEventListener('click', () => this.testKey(provider, input));
+            row.querySelector('.settings-key-remove').addEventListener('click', () => this.removeKey(provider));
+            row.querySelector('.settings-key-remove').disabled = !keyStatus.configured;
+
+            this.keysTbody.appendChild(row);
+        });
+    }
+
+    async saveKey(provider, input) {
+        const result = await window.electronAPI.saveApiKey(provider, input.value);
+        if (result.success) {
+            this.renderKeys(result.status);
+            this.keysStatusLabel.textContent = `${provider} key saved`;
+            this.renderer.loadLlmConfig();
+        } else {
+            this.keysStatusLabel.textContent = `Failed to save ${provider} key: ${result.error}`;
+        }
+    }
+
+    async testKey(provider, input) {
+        this.keysStatusLabel.textContent = `Testing ${provider} key...`;
+        try {
+            const result = await window.electronAPI.testApiKey(provider, input.value);
+            this.keysStatusLabel.textContent = `${provider}: ${result.message}`;
+        } catch (error) {
+            this.keysStatusLabel.textContent = `${provider}: test failed`;
+        }
+    }
+
+    async removeKey(provider) {
+        if (!confirm(`Remove the stored ${provider} key?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.removeApiKey(provider);
+        if (!result.success) {
+            this.keysStatusLabel.textContent = `Failed to remove ${provider} key: ${result.error}`;
+            return;
+        }
+        this.renderKeys(result.status);
+        this.renderer.loadLlmConfig();
+    }
+
+    async importKeys() {
+        const result = await window.electronAPI.importApiKeys();
+        this.renderKeys(result.status);
+        this.keysStatusLabel.textContent = result.imported.length
+            ? `Imported: ${result.imported.join(', ')}`
+            : 'No keys found in dev.env or the environment';
+        this.renderer.loadLlmConfig();
+    }
+
+    async save() {
+        try {
+            const result = await window.electronAPI.saveSettings(this.collect());
+            if (result.success) {
+                this.render(result.settings);
+                this.statusLabel.textContent = 'Saved';
+                this.loadControlApi();
+                this.costsEditor.loadUsage();
+                this.renderer.loadLlmConfig();
+            } else {
+                this.statusLabel.textContent = `Failed to save: ${result.error}`;
+            }
+        } catch (error) {
+            console.error('[Settings] Failed to save settings:', error);
+            this.statusLabel.textContent = 'Failed to save settings';
+        }
+    }
+}
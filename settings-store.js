@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SETTINGS = {
+    provider: 'openai',
+    defaultIntervalMs: 30000,
+    // Ask several providers per capture and merge their answers (see consensus.js)
+    consensus: {
+        enabled: false,
+        providers: ['openai', 'claude'],
+        levelTolerancePct: 0.1
+    },
+    // Every LLM call is cut off after timeoutSec; rate limits (429) and server errors (5xx) are retried
+    // up to retries times with exponential backoff. Streamed replies update the dashboard while they arrive
+    requests: {
+        timeoutSec: 60,
+        retries: 2,
+        streaming: true
+    },
+    // Providers that take over, in this order, after the active one failed failuresBeforeSwitch analyses
+    // in a row; the ones ahead are tried again every retryPrimaryMin minutes
+    failover: {
+        enabled: false,
+        providers: ['claude', 'local'],
+        failuresBeforeSwitch: 2,
+        retryPrimaryMin: 5
+    },
+    // Opt-in localhost HTTP/WebSocket API (see control-server.js); the token lives in the key store
+    controlApi: {
+        enabled: false,
+        port: 8765
+    },
+    // Position sizing for the scenarios table (see risk-calculator.js); tick size/value are set per area,
+    // and areas may override the account size and risk per trade
+    risk: {
+        accountSize: 10000,
+        mode: 'percent',
+        percent: 1,
+        amount: 100,
+        minRR: 1.5,
+        // 'dim' greys out scenarios below minRR at the first target, 'hide' leaves them out
+        belowMin: 'dim'
+    },
+    // Offline OCR of the price scale (see price-axis-reader.js): given to the model as ground truth and
+    // used to flag or drop scenarios with prices that aren't on the chart
+    priceCheck: {
+        enabled: true,
+        mode: 'flag'
+    },
+    // Click-through window drawing the latest levels and plan over each chart (see chart-overlay.js)
+    chartOverlay: {
+        enabled: false
+    },
+    // Always-on-top mini window with each area's decision and top scenario (see hud-window.js).
+    // position is where it was last dragged to, null until then; replaceDashboard hides the main window
+    hud: {
+        enabled: false,
+        clickThrough: false,
+        opacity: 0.9,
+        replaceDashboard: false,
+        position: null
+    },
+    // Follow every suggested scenario as a paper trade (see paper-trader.js); pending or open trades
+    // older than expiryMin are expired or closed at the current price
+    paperTrading: {
+        enabled: false,
+        expiryMin: 60
+    },
+    // Token prices in USD per million tokens, looked up by model name (see usage-tracker.js). Analysis
+    // stops once today's or this session's spend reaches its budget; a budget of 0 is off
+    costs: {
+        prices: [
+            { model: 'gpt-5-chat-latest', input: 1.25, output: 10 },
+            { model: 'claude-3-5-sonnet-20241022', input: 3, output: 15 },
+            { model: 'sonar-pro', input: 3, output: 15 },
+            { model: 'mock', input: 0, output: 0 }
+        ],
+        dailyBudget: 0,
+        sessionBudget: 0
+    },
+    // Notification rules checked after every analysis (see alert-monitor.js); cooldowns apply per area
+    alerts: {
+        sound: true,
+        flash: true,
+        rules: {
+            decisionFlip: { enabled: true, cooldownSec: 120 },
+            confidence: { enabled: false, min: 80, cooldownSec: 300 },
+            newScenario: { enabled: false, cooldownSec: 120 }
+        }
+    },
+    providers: {
+        openai: {
+            model: 'gpt-5-chat-latest',
+            temperature: 0.1,
+            maxTokens: 400,
+            baseUrl: 'https://api.openai.com/v1'
+        },
+        claude: {
+            model: 'claude-3-5-sonnet-20241022',
+            temperature: 0.1,
+            maxTokens: 400,
+            baseUrl: 'https://api.anthropic.com'
+        },
+        perplexity: {
+            model: 'sonar-pro',
+            temperature: 0.1,
+            maxTokens: 400,
+            baseUrl: 'https://api.perplexity.ai'
+        },
+        // Local OpenAI-compatible server (Ollama, LM Studio, llama.cpp server)
+        local: {
+            model: 'llava',
+            temperature: 0.1,
+            maxTokens: 400,
+            baseUrl: 'http://localhost:11434/v1',
+            vision: true
+        },
+        // Offline answers derived from the image (see mock-chat-model.js), for replays without network
+        mock: {
+            model: 'mock',
+            temperature: 0,
+            maxTokens: 400
+        }
+    }
+};
+
+class SettingsStore {
+    /**
+     * User settings persisted as JSON under userData
+     * @param {string} filePath - Settings file
+     * @param {Object} [overrides] - Values from dev.env/environment applied over the built-in defaults
+     */
+    constructor(filePath, overrides = {}) {
+        this.filePath = filePath;
+        this.defaults = this.merge(DEFAULT_SETTINGS, overrides);
+        this.settings = this.defaults;
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.settings = this.normalize(this.merge(this.defaults, saved));
+            }
+        } catch (error) {
+            console.error('[Settings] Failed to load settings:', error);
+            this.settings = this.defaults;
+        }
+    }
+
+    /**
+     * @returns {Object} - A copy of the current settings
+     */
+    get() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    /**
+     * Merge a partial update into the settings and persist it
+     * @param {Object} patch - Partial settings
+     * @returns {Object} - The saved settings
+     */
+    update(patch) {
+        this.settings = this.normalize(this.merge(this.settings, patch));
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(this.settings, null, 2));
+
+        return this.get();
+    }
+
+    normalize(settings) {
+        const providers = {};
+        for (const [name, provider] of Object.entries(settings.providers)) {
+            const temperature = parseFloat(provider.temperature);
+            const maxTokens = parseInt(provider.maxTokens, 10);
+            providers[name] = {
+                ...provider,
+                model: (provider.model || '').toString().trim() || DEFAULT_SETTINGS.providers[name]?.model,
+                temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : 0.1,
+                maxTokens: Number.isFinite(maxTokens) ? Math.max(50, maxTokens) : 400
+            };
+        }
+
+        const consensus = settings.consensus || DEFAULT_SETTINGS.consensus;
+        const levelTolerancePct = parseFloat(consensus.levelTolerancePct);
+
+        const requests = { ...DEFAULT_SETTINGS.requests, ...settings.requests };
+        const timeoutSec = parseInt(requests.timeoutSec, 10);
+        const retries = parseInt(requests.retries, 10);
+
+        const failover = { ...DEFAULT_SETTINGS.failover, ...settings.failover };
+        const failuresBeforeSwitch = parseInt(failover.failuresBeforeSwitch, 10);
+        const retryPrimaryMin = parseInt(failover.retryPrimaryMin, 10);
+
+        const risk = { ...DEFAULT_SETTINGS.risk, ...settings.risk };
+        const accountSize = parseFloat(risk.accountSize);
+        const riskPercent = parseFloat(risk.percent);
+        const riskAmount = parseFloat(risk.amount);
+        const minRR = parseFloat(risk.minRR);
+
+        const paperTrading = { ...DEFAULT_SETTINGS.paperTrading, ...settings.paperTrading };
+        const expiryMin = parseInt(paperTrading.expiryMin, 10);
+        const hud = { ...DEFAULT_SETTINGS.hud, ...settings.hud };
+        const hudOpacity = parseFloat(hud.opacity);
+
+        const costs = { ...DEFAULT_SETTINGS.costs, ...settings.costs };
+        const prices = new Map();
+        (Array.isArray(costs.prices) ? costs.prices : []).forEach(entry => {
+            const model = entry && (entry.model || '').toString().trim();
+            const input = parseFloat(entry && entry.input);
+            const output = parseFloat(entry && entry.output);
+            // A model listed twice keeps its last prices
+            if (model && Number.isFinite(input) && Number.isFinite(output)) {
+                prices.set(model, { model, input: Math.max(0, input), output: Math.max(0, output) });
+            }
+        });
+        const dailyBudget = parseFloat(costs.dailyBudget);
+        const sessionBudget = parseFloat(costs.sessionBudget);
+
+        const alerts = settings.alerts || DEFAULT_SETTINGS.alerts;
+        const rules = {};
+        for (const [name, defaults] of Object.entries(DEFAULT_SETTINGS.alerts.rules)) {
+            const rule = { ...defaults, ...(alerts.rules && alerts.rules[name]) };
+            const cooldownSec = parseInt(rule.cooldownSec, 10);
+            rules[name] = {
+                ...rule,
+                enabled: rule.enabled === true,
+                cooldownSec: Number.isFinite(cooldownSec) ? Math.max(0, cooldownSec) : defaults.cooldownSec
+            };
+        }
+        const minConfidence = parseInt(rules.confidence.min, 10);
+        rules.confidence.min = Number.isFinite(minConfidence)
+            ? Math.min(100, Math.max(1, minConfidence))
+            : DEFAULT_SETTINGS.alerts.rules.confidence.min;
+
+        return {
+            ...settings,
+            defaultIntervalMs: Math.max(5000, parseInt(settings.defaultIntervalMs, 10) || DEFAULT_SETTINGS.defaultIntervalMs),
+            consensus: {
+                enabled: consensus.enabled === true,
+                providers: (Array.isArray(consensus.providers) ? consensus.providers : []).filter(name => providers[name]),
+                levelTolerancePct: Number.isFinite(levelTolerancePct)
+                    ? Math.min(5, Math.max(0, levelTolerancePct))
+                    : DEFAULT_SETTINGS.consensus.levelTolerancePct
+            },
+            requests: {
+                timeoutSec: Number.isFinite(timeoutSec) ? Math.min(300, Math.max(5, timeoutSec)) : DEFAULT_SETTINGS.requests.timeoutSec,
+                retries: Number.isFinite(retries) ? Math.min(5, Math.max(0, retries)) : DEFAULT_SETTINGS.requests.retries,
+                streaming: requests.streaming !== false
+            },
+            failover: {
+                enabled: failover.enabled === true,
+                providers: [...new Set((Array.isArray(failover.providers) ? failover.providers : []).filter(name => providers[name]))],
+                failuresBeforeSwitch: Number.isFinite(failuresBeforeSwitch)
+                    ? Math.min(10, Math.max(1, failuresBeforeSwitch))
+                    : DEFAULT_SETTINGS.failover.failuresBeforeSwitch,
+                retryPrimaryMin: Number.isFinite(retryPrimaryMin)
+                    ? Math.min(120, Math.max(1, retryPrimaryMin))
+                    : DEFAULT_SETTINGS.failover.retryPrimaryMin
+            },
+            controlApi: {
+                enabled: !!(settings.controlApi && settings.controlApi.enabled === true),
+                port: this.normalizePort(settings.controlApi && settings.controlApi.port)
+            },
+            risk: {
+                accountSize: Number.isFinite(accountSize) && accountSize > 0 ? accountSize : DEFAULT_SETTINGS.risk.accountSize,
+                mode: risk.mode === 'fixed' ? 'fixed' : 'percent',
+                percent: Number.isFinite(riskPercent) ? Math.min(100, Math.max(0.01, riskPercent)) : DEFAULT_SETTINGS.risk.percent,
+                amount: Number.isFinite(riskAmount) && riskAmount > 0 ? riskAmount : DEFAULT_SETTINGS.risk.amount,
+                minRR: Number.isFinite(minRR) ? Math.max(0, minRR) : DEFAULT_SETTINGS.risk.minRR,
+                belowMin: risk.belowMin === 'hide' ? 'hide' : 'dim'
+            },
+            priceCheck: {
+                enabled: !(settings.priceCheck && settings.priceCheck.enabled === false),
+                mode: settings.priceCheck && settings.priceCheck.mode === 'drop' ? 'drop' : 'flag'
+            },
+            chartOverlay: {
+                enabled: !!(settings.chartOverlay && settings.chartOverlay.enabled === true)
+            },
+            hud: {
+                enabled: hud.enabled === true,
+                clickThrough: hud.clickThrough === true,
+                opacity: Number.isFinite(hudOpacity) ? Math.min(1, Math.max(0.3, hudOpacity)) : DEFAULT_SETTINGS.hud.opacity,
+                replaceDashboard: hud.replaceDashboard === true,
+                position: hud.position && Number.isFinite(hud.position.x) && Number.isFinite(hud.position.y)
+                    ? { x: Math.round(hud.position.x), y: Math.round(hud.position.y) }
+                    : null
+            },
+            paperTrading: {
+                enabled: paperTrading.enabled === true,
+                expiryMin: Number.isFinite(expiryMin) ? Math.min(1440, Math.max(1, expiryMin)) : DEFAULT_SETTINGS.paperTrading.expiryMin
+            },
+            costs: {
+                prices: Array.from(prices.values()),
+                dailyBudget: Number.isFinite(dailyBudget) ? Math.max(0, dailyBudget) : 0,
+                sessionBudget: Number.isFinite(sessionBudget) ? Math.max(0, sessionBudget) : 0
+            },
+            alerts: {
+                sound: alerts.sound !== false,
+                flash: alerts.flash !== false,
+                rules
+            },
+            providers
+        };
+    }
+
+    normalizePort(value) {
+        const port = parseInt(value, 10);
+        return Number.isFinite(port) && port >= 1024 && port <= 65535 ? port : DEFAULT_SETTINGS.controlApi.port;
+    }
+
+    merge(base, patch) {
+        const result = { ...base };
+        for (const [key, value] of Object.entries(patch || {})) {
+            if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+                result[key] = this.merge(base[key], value);
+            } else if (value !== undefined) {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+}
+
+SettingsStore.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = SettingsStore;
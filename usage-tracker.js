@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Daily totals older than this are dropped
+const MAX_DAYS = 90;
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+class UsageTracker {
+    /**
+     * Token, image and cost totals of the LLM calls. Daily totals (overall, per area and per model)
+     * are persisted as JSON under userData; the session totals live in memory from app start until
+     * the session is reset.
+     * @param {string} filePath - Usage file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.days = {};
+        this.session = this.createSession();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.days = data.days && typeof data.days === 'object' ? data.days : {};
+            }
+        } catch (error) {
+            console.error('[Usage] Failed to load usage:', error);
+            this.days = {};
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ days: this.days }));
+        } catch (error) {
+            console.error('[Usage] Failed to save usage:', error);
+        }
+    }
+
+    createSession() {
+        return { startedAt: new Date().toISOString(), total: this.createTotals(), areas: {} };
+    }
+
+    createTotals() {
+        return { requests: 0, inputTokens: 0, outputTokens: 0, images: 0, imageBytes: 0, cost: 0, unpriced: 0 };
+    }
+
+    /**
+     * Start counting a new session
+     * @returns {Object} - The empty session totals
+     */
+    resetSession() {
+        this.session = this.createSession();
+        return this.session;
+    }
+
+    /**
+     * Add the usage of one analysis to today's and the session's totals
+     * @param {string} areaName - Area the analysis was for
+     * @param {Array<Object>} usage - LLM service usage entries ({ model, requests, inputTokens, outputTokens, images, imageBytes })
+     * @param {Array<Object>} prices - { model, input, output } in USD per million tokens
+     * @param {Date} [at] - Time of the analysis
+     * @returns {Object} - { cost, unpriced }; calls to models without a price count as unpriced and cost nothing
+     */
+    record(areaName, usage, prices, at = new Date()) {
+        const day = this.getDay(this.getDayKey(at));
+        let cost = 0;
+        let unpriced = 0;
+
+        usage.forEach(entry => {
+            const price = prices.find(candidate => candidate.model === entry.model);
+            const counts = {
+                requests: entry.requests,
+                inputTokens: entry.inputTokens,
+                outputTokens: entry.outputTokens,
+                images: entry.images.length * entry.requests,
+                imageBytes: entry.imageBytes * entry.requests,
+                cost: price
+                    ? (entry.inputTokens * price.input + entry.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT
+                    : 0,
+                unpriced: price ? 0 : entry.requests
+            };
+            cost += counts.cost;
+            unpriced += counts.unpriced;
+
+            day.areas[areaName] = day.areas[areaName] || this.createTotals();
+            day.models[entry.model] = day.models[entry.model] || this.createTotals();
+            this.session.areas[areaName] = this.session.areas[areaName] || this.createTotals();
+            [day.total, day.areas[areaName], day.models[entry.model], this.session.total, this.session.areas[areaName]]
+                .forEach(totals => this.add(totals, counts));
+        });
+
+        this.prune();
+        this.save();
+        return { cost, unpriced };
+    }
+
+    add(totals, counts) {
+        Object.keys(counts).forEach(key => {
+            totals[key] = (totals[key] || 0) + counts[key];
+        });
+    }
+
+    getDay(key) {
+        if (!this.days[key]) {
+            this.days[key] = { total: this.createTotals(), areas: {}, models: {} };
+        }
+        return this.days[key];
+    }
+
+    /**
+     * @param {Date} date - Any time of the day
+     * @returns {string} - Local calendar day as YYYY-MM-DD, so "today" ends at local midnight
+     */
+    getDayKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    prune() {
+        const keys = Object.keys(this.days).sort();
+        keys.slice(0, Math.max(0, keys.length - MAX_DAYS)).forEach(key => delete this.days[key]);
+    }
+
+    /**
+     * @returns {Object} - { session, today } spend in USD
+     */
+    getSpend() {
+        const today = this.days[this.getDayKey(new Date())];
+        return { session: this.session.total.cost, today: today ? today.total.cost : 0 };
+    }
+
+    /**
+     * @returns {Object} - { session: { startedAt, total, areas }, today: { date, total, areas, models }, days: [{ date, total }] newest first }
+     */
+    getTotals() {
+        const date = this.getDayKey(new Date());
+        const today = this.days[date] || { total: this.createTotals(), areas: {}, models: {} };
+        return JSON.parse(JSON.stringify({
+            session: this.session,
+            today: { date, ...today },
+            days: Object.keys(this.days).sort().reverse().map(key => ({ date: key, total: this.days[key].total }))
+        }));
+    }
+}
+
+module.exports = UsageTracker;
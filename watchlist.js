@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const MIN_INTERVAL_MS = 5000;
+const DEFAULT_CHANGE_THRESHOLD = 0.5;
+
+class Watchlist {
+    /**
+     * @param {string} filePath - JSON file the watchlist is persisted to
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.areas = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.areas = Array.isArray(data.areas) ? data.areas.map(area => this.normalize(area)) : [];
+            }
+        } catch (error) {
+            console.error('[Watchlist] Failed to load watchlist:', error);
+            this.areas = [];
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ areas: this.areas }, null, 2));
+        } catch (error) {
+            console.error('[Watchlist] Failed to save watchlist:', error);
+        }
+    }
+
+    normalize(area) {
+        return {
+            id: area.id || crypto.randomUUID(),
+            name: (area.name || 'Chart').toString().slice(0, 40),
+            enabled: area.enabled !== false,
+            intervalMs: Math.max(MIN_INTERVAL_MS, parseInt(area.intervalMs, 10) || DEFAULT_INTERVAL_MS),
+            // Percent of pixels that must change before a new LLM call is made (0 analyzes every frame)
+            changeThreshold: Number.isFinite(parseFloat(area.changeThreshold))
+                ? Math.min(100, Math.max(0, parseFloat(area.changeThreshold)))
+                : DEFAULT_CHANGE_THRESHOLD,
+            analyzeOnChange: area.analyzeOnChange === true,
+            // Prompt profile and the variables it is filled with; empty values are derived at run time
+            profileId: area.profileId || null,
+            symbol: (area.symbol || '').toString().trim().slice(0, 20),
+            timeframe: (area.timeframe || '').toString().trim().slice(0, 10),
+            session: area.session || 'auto',
+            // Instrument specs for position sizing; null leaves the scenarios unsized
+            tickSize: this.positiveOrNull(area.tickSize),
+            tickValue: this.positiveOrNull(area.tickValue),
+            // Account and risk per trade for this instrument; null uses the ones in Settings → Risk
+            accountSize: this.positiveOrNull(area.accountSize),
+            riskMode: area.riskMode === 'percent' || area.riskMode === 'fixed' ? area.riskMode : null,
+            riskPercent: this.positiveOrNull(area.riskPercent),
+            riskAmount: this.positiveOrNull(area.riskAmount),
+            // Lead area this one is captured and analyzed with (multi-timeframe group)
+            linkedTo: area.linkedTo || null,
+            rect: area.rect || null
+        };
+    }
+
+    positiveOrNull(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+
+    /**
+     * @returns {Array<Object>} - All capture areas in display order
+     */
+    list() {
+        return this.areas.map(area => ({ ...area }));
+    }
+
+    /**
+     * @returns {Array<Object>} - Areas that are enabled and have a rectangle selected
+     */
+    listActive() {
+        return this.list().filter(area => area.enabled && area.rect);
+    }
+
+    get(id) {
+        const area = this.areas.find(a => a.id === id);
+        return area ? { ...area } : null;
+    }
+
+    /**
+     * Add a named capture area
+     * @param {Object} area - { name, rect, intervalMs, enabled }
+     * @returns {Object} - The stored area
+     */
+    add(area) {
+        const entry = this.normalize({
+            ...area,
+            name: area.name || `Chart ${this.areas.length + 1}`
+        });
+        this.areas.push(entry);
+        this.save();
+        return { ...entry };
+    }
+
+    /**
+     * Update fields of an existing area
+     * @param {string} id - Area id
+     * @param {Object} patch - Fields to change (name, enabled, intervalMs, changeThreshold, analyzeOnChange,
+     *                         profileId, symbol, timeframe, session, tickSize, tickValue, linkedTo, rect)
+     * @returns {Object} - The updated area
+     */
+    update(id, patch) {
+        const index = this.areas.findIndex(a => a.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown capture area: ${id}`);
+        }
+        if (patch.linkedTo) {
+            this.assertCanLink(id, patch.linkedTo);
+        }
+        this.areas[index] = this.normalize({ ...this.areas[index], ...patch, id });
+        this.save();
+        return { ...this.areas[index] };
+    }
+
+    /**
+     * Groups are one level deep: a lead can't follow another area and a follower can't lead
+     * @param {string} id - Area to link
+     * @param {string} leadId - Area it should follow
+     */
+    assertCanLink(id, leadId) {
+        const lead = this.areas.find(a => a.id === leadId);
+        if (!lead) {
+            throw new Error(`Unknown capture area: ${leadId}`);
+        }
+        if (leadId === id) {
+            throw new Error('An area can\'t be linked to itself');
+        }
+        if (lead.linkedTo) {
+            throw new Error(`${lead.name} is already linked to another area`);
+        }
+        if (this.areas.some(a => a.linkedTo === id)) {
+            throw new Error('Areas that others are linked to can\'t be linked themselves');
+        }
+    }
+
+    /**
+     * @param {string} leadId - Lead area id
+     * @returns {Array<Object>} - Active areas linked to the lead, in display order
+     */
+    listLinked(leadId) {
+        return this.listActive().filter(area => area.linkedTo === leadId);
+    }
+
+    remove(id) {
+        // Followers of a removed lead become standalone areas again
+        this.areas = this.areas
+            .filter(a => a.id !== id)
+            .map(a => (a.linkedTo === id ? { ...a, linkedTo: null } : a));
+        this.save();
+    }
+}
+
+Watchlist.DEFAULT_INTERVAL_MS = DEFAULT_INTERVAL_MS;
+
+module.exports = Watchlist;
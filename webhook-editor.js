@@ -0,0 +1,167 @@
+const WEBHOOK_DECISIONS = ['Long', 'Short', 'Wait'];
+
+class WebhookEditor {
+    /**
+     * Webhook target editor in the Settings view
+     * @param {SnapScalpRenderer} renderer - Owner, source of the capture areas offered as filters
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.targets = [];
+        this.selectedId = null;
+
+        this.select = document.getElementById('webhook-select');
+        this.nameInput = document.getElementById('webhook-name');
+        this.enabledInput = document.getElementById('webhook-enabled');
+        this.urlInput = document.getElementById('webhook-url');
+        this.contentTypeInput = document.getElementById('webhook-content-type');
+        this.secretInput = document.getElementById('webhook-secret');
+        this.clearSecretInput = document.getElementById('webhook-clear-secret');
+        this.retriesInput = document.getElementById('webhook-retries');
+        this.screenshotInput = document.getElementById('webhook-screenshot');
+        this.decisionsContainer = document.getElementById('webhook-decisions');
+        this.minConfidenceInput = document.getElementById('webhook-min-confidence');
+        this.areasContainer = document.getElementById('webhook-areas');
+        this.templateInput = document.getElementById('webhook-template');
+        this.lastDeliveryLabel = document.getElementById('webhook-last-delivery');
+        this.statusLabel = document.getElementById('webhook-status');
+
+        this.select.addEventListener('change', () => this.show(this.select.value));
+        document.getElementById('btn-webhook-save').addEventListener('click', () => this.save());
+        document.getElementById('btn-webhook-new').addEventListener('click', () => this.show(null));
+        document.getElementById('btn-webhook-delete').addEventListener('click', () => this.remove());
+        document.getElementById('btn-webhook-test').addEventListener('click', () => this.test());
+    }
+
+    async load() {
+        try {
+            this.render(await window.electronAPI.getWebhooks());
+            this.statusLabel.textContent = '';
+        } catch (error) {
+            console.error('[Webhooks] Failed to load webhooks:', error);
+            this.statusLabel.textContent = 'Failed to load webhooks';
+        }
+    }
+
+    render(targets) {
+        this.targets = targets;
+        this.select.innerHTML = '';
+        targets.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.id;
+            option.textContent = target.name;
+            this.select.appendChild(option);
+        });
+
+        const selected = targets.find(target => target.id === this.selectedId) || targets[0];
+        this.show(selected ? selected.id : null);
+    }
+
+    /**
+     * Fill the form from a target, or reset it for a new one
+     * @param {string|null} targetId - Target to show
+     */
+    show(targetId) {
+        const target = this.targets.find(t => t.id === targetId);
+        const filter = target ? target.filter : { decisions: ['Long', 'Short'], minConfidence: 0, areaIds: [] };
+        this.selectedId = target ? target.id : null;
+        this.select.value = this.selectedId || '';
+
+        this.nameInput.value = target ? target.name : '';
+        this.enabledInput.checked = target ? target.enabled : true;
+        this.urlInput.value = target ? target.url : '';
+        this.contentTypeInput.value = target ? target.contentType : 'application/json';
+        this.secretInput.value = '';
+        this.secretInput.placeholder = target && target.hasSecret ? 'Signing secret set - type to replace' : 'Signing secret (optional)';
+        this.clearSecretInput.checked = false;
+        this.retriesInput.value = target ? target.maxRetries : 3;
+        this.screenshotInput.checked = target ? target.includeScreenshot : false;
+        this.minConfidenceInput.value = filter.minConfidence;
+        this.templateInput.value = target ? target.template : '';
+
+        this.renderCheckboxes(this.decisionsContainer, WEBHOOK_DECISIONS.map(d => ({ value: d, label: d })), filter.decisions);
+        this.renderCheckboxes(
+            this.areasContainer,
+            this.renderer.areas.map(area => ({ value: area.id, label: area.name })),
+            filter.areaIds
+        );
+
+        const delivery = target && target.lastDelivery;
+        this.lastDeliveryLabel.textContent = delivery
+            ? `Last delivery: ${delivery.ok ? `HTTP ${delivery.status}` : delivery.error} after ${delivery.attempts} attempt(s)`
+            : '';
+        this.statusLabel.textContent = target ? '' : (this.targets.length ? 'New webhook - fill in and Save' : 'No webhooks yet');
+    }
+
+    renderCheckboxes(container, options, checkedValues) {
+        container.innerHTML = '';
+        options.forEach(option => {
+            const label = document.createElement('label');
+            label.className = 'area-interval-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = option.value;
+            checkbox.checked = checkedValues.includes(option.value);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${option.label}`));
+            container.appendChild(label);
+        });
+    }
+
+    checkedValues(container) {
+        return Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    async save() {
+        const result = await window.electronAPI.saveWebhook({
+            id: this.selectedId || undefined,
+            name: this.nameInput.value,
+            enabled: this.enabledInput.checked,
+            url: this.urlInput.value,
+            contentType: this.contentTypeInput.value,
+            secret: this.secretInput.value,
+            clearSecret: this.clearSecretInput.checked,
+            maxRetries: parseInt(this.retriesInput.value, 10),
+            includeScreenshot: this.screenshotInput.checked,
+            template: this.templateInput.value,
+            // No area checked means every area
+            filter: {
+                decisions: this.checkedValues(this.decisionsContainer),
+                minConfidence: parseInt(this.minConfidenceInput.value, 10),
+                areaIds: this.checkedValues(this.areasContainer)
+            }
+        });
+
+        if (result.success) {
+            this.selectedId = result.target.id;
+            this.render(result.targets);
+            this.statusLabel.textContent = 'Saved';
+        } else {
+            this.statusLabel.textContent = `Failed to save: ${result.error}`;
+        }
+    }
+
+    async remove() {
+        if (!this.selectedId || !confirm(`Delete webhook ${this.nameInput.value}?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.deleteWebhook(this.selectedId);
+        this.selectedId = null;
+        this.render(result.targets);
+    }
+
+    async test() {
+        if (!this.selectedId) {
+            this.statusLabel.textContent = 'Save the webhook before testing it';
+            return;
+        }
+
+        this.statusLabel.textContent = 'Sending test payload...';
+        const result = await window.electronAPI.testWebhook(this.selectedId);
+        await this.load();
+        this.statusLabel.textContent = result.ok
+            ? `Test delivered (HTTP ${result.status})`
+            : `Test failed: ${result.error}`;
+    }
+}
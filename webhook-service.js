@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const DECISIONS = ['Long', 'Short', 'Wait'];
+
+class WebhookService {
+    /**
+     * Outbound webhook targets persisted as JSON under userData. Signing secrets are kept
+     * in the key store and never sent back to the renderer.
+     * @param {string} filePath - Targets file
+     * @param {KeyStore} secrets - Encrypted store for signing secrets
+     */
+    constructor(filePath, secrets) {
+        this.filePath = filePath;
+        this.secrets = secrets;
+        this.targets = [];
+        this.lastDelivery = new Map();
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.targets = Array.isArray(data.targets) ? data.targets.map(t => this.normalize(t)) : [];
+            }
+        } catch (error) {
+            console.error('[Webhooks] Failed to load webhook targets:', error);
+            this.targets = [];
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ targets: this.targets }, null, 2));
+    }
+
+    normalize(target) {
+        const minConfidence = parseInt(target.filter && target.filter.minConfidence, 10);
+        const maxRetries = parseInt(target.maxRetries, 10);
+        const decisions = target.filter && Array.isArray(target.filter.decisions)
+            ? target.filter.decisions.filter(decision => DECISIONS.includes(decision))
+            : DECISIONS;
+
+        return {
+            id: target.id || crypto.randomUUID(),
+            name: (target.name || 'Webhook').toString().trim().slice(0, 60) || 'Webhook',
+            enabled: target.enabled !== false,
+            url: (target.url || '').toString().trim(),
+            contentType: (target.contentType || 'application/json').toString().trim(),
+            // Empty template sends the payload as is
+            template: (target.template || '').toString(),
+            includeScreenshot: target.includeScreenshot === true,
+            maxRetries: Number.isFinite(maxRetries) ? Math.min(5, Math.max(0, maxRetries)) : DEFAULT_MAX_RETRIES,
+            filter: {
+                decisions,
+                minConfidence: Number.isFinite(minConfidence) ? Math.min(100, Math.max(0, minConfidence)) : 0,
+                // Empty means every area
+                areaIds: target.filter && Array.isArray(target.filter.areaIds) ? target.filter.areaIds : []
+            }
+        };
+    }
+
+    /**
+     * @returns {Array<Object>} - Targets with hasSecret and the last delivery result instead of the secret
+     */
+    list() {
+        return this.targets.map(target => ({
+            ...target,
+            hasSecret: !!this.secrets.get(this.secretKey(target.id)),
+            lastDelivery: this.lastDelivery.get(target.id) || null
+        }));
+    }
+
+    /**
+     * Create or update a target
+     * @param {Object} target - Target fields; secret is stored when non-empty, clearSecret removes it
+     * @returns {Object} - The stored target
+     */
+    upsert(target) {
+        const entry = this.normalize(target);
+        if (!/^https?:\/\//i.test(entry.url)) {
+            throw new Error('Webhook URL must start with http:// or https://');
+        }
+
+        if (target.clearSecret) {
+            this.secrets.remove(this.secretKey(entry.id));
+        } else if (target.secret) {
+            this.secrets.set(this.secretKey(entry.id), target.secret);
+        }
+
+        const index = this.targets.findIndex(t => t.id === entry.id);
+        if (index === -1) {
+            this.targets.push(entry);
+        } else {
+            this.targets[index] = entry;
+        }
+        this.save();
+        return { ...entry };
+    }
+
+    remove(id) {
+        this.targets = this.targets.filter(t => t.id !== id);
+        this.lastDelivery.delete(id);
+        this.secrets.remove(this.secretKey(id));
+        this.save();
+    }
+
+    secretKey(id) {
+        return `webhook:${id}`;
+    }
+
+    /**
+     * Build the payload sent for one analysis result
+     * @param {Object} result - { area, analysis (object), provider, model, profileName, consensus, priceCheck, sizing, imageBase64 }
+     * @returns {Object} - Webhook payload; screenshot is dropped per target when not wanted
+     */
+    buildPayload({ area, analysis, provider, model, profileName, consensus, priceCheck, sizing, imageBase64 }) {
+        return {
+            event: 'analysis-result',
+            timestamp: new Date().toISOString(),
+            area: { id: area.id, name: area.name },
+            provider,
+            model,
+            profile: profileName || null,
+            agreement: consensus ? consensus.agreement.label : null,
+            decision: analysis.decision,
+            confidence: analysis.confidence,
+            reason: analysis.reason,
+            scenarios: analysis.scenarios,
+            levels: analysis.levels,
+            timeframes: analysis.timeframes || [],
+            priceCheck: priceCheck || null,
+            sizing: sizing || null,
+            screenshot: imageBase64 || null
+        };
+    }
+
+    matches(target, payload) {
+        const { decisions, minConfidence, areaIds } = target.filter;
+        return decisions.includes(payload.decision)
+            && payload.confidence >= minConfidence
+            && (areaIds.length === 0 || areaIds.includes(payload.area.id));
+    }
+
+    /**
+     * Send a payload to every enabled target whose filter accepts it
+     * @param {Object} payload - From buildPayload
+     * @returns {Promise<Array<Object>>} - Delivery result per target that was sent to
+     */
+    dispatch(payload) {
+        const targets = this.targets.filter(target => target.enabled && this.matches(target, payload));
+        return Promise.all(targets.map(target => this.deliver(target, payload)));
+    }
+
+    /**
+     * Send one payload to one target, retrying network errors, 429 and 5xx with exponential backoff
+     * @param {Object} target - Webhook target
+     * @param {Object} payload - From buildPayload
+     * @returns {Promise<Object>} - { targetId, ok, status, attempts, error, at }
+     */
+    async deliver(target, payload) {
+        const body = this.renderBody(target, target.includeScreenshot ? payload : { ...payload, screenshot: null });
+        const headers = {
+            'Content-Type': target.contentType,
+            'X-SnapScalp-Event': payload.event
+        };
+
+        const secret = this.secrets.get(this.secretKey(target.id));
+        if (secret) {
+            const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+            headers['X-SnapScalp-Signature'] = `sha256=${signature}`;
+        }
+
+        let delivery;
+        let attempts = 0;
+        while (attempts <= target.maxRetries) {
+            if (attempts > 0) {
+                await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)));
+            }
+            attempts++;
+
+            try {
+                const response = await axios.post(target.url, body, {
+                    headers,
+                    timeout: REQUEST_TIMEOUT_MS,
+                    // The body is already serialized; send it byte for byte so the signature matches
+                    transformRequest: [data => data]
+                });
+                delivery = { ok: true, status: response.status, error: null };
+                break;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                delivery = { ok: false, status, error: status ? `HTTP ${status}` : error.message };
+
+                const retryable = status === null || status === 429 || status >= 500;
+                if (!retryable) break;
+                console.warn(`[Webhooks] ${target.name}: attempt ${attempts} failed (${delivery.error})`);
+            }
+        }
+
+        const result = { targetId: target.id, ...delivery, attempts, at: new Date().toISOString() };
+        this.lastDelivery.set(target.id, result);
+        if (!result.ok) {
+            console.error(`[Webhooks] Delivery to ${target.name} failed: ${result.error}`);
+        }
+        return result;
+    }
+
+    /**
+     * Fill a target's template. {{path}} takes values from the payload (e.g. {{area.name}},
+     * {{scenarios.0.entry}}); objects are inserted as JSON and, for JSON content types, strings
+     * are escaped so they can sit inside quotes. {{payload}} inserts the whole payload.
+     * @param {Object} target - Webhook target
+     * @param {Object} payload - Payload to send
+     * @returns {string} - Request body
+     */
+    renderBody(target, payload) {
+        if (!target.template.trim()) {
+            return JSON.stringify(payload);
+        }
+
+        const isJson = target.contentType.includes('json');
+        return target.template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+            const value = key === 'payload'
+                ? payload
+                : key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), payload);
+
+            if (value === undefined || value === null) return '';
+            if (typeof value === 'object') return JSON.stringify(value);
+            return isJson ? JSON.stringify(String(value)).slice(1, -1) : String(value);
+        });
+    }
+}
+
+WebhookService.DECISIONS = DECISIONS;
+
+module.exports = WebhookService;